@@ -0,0 +1,133 @@
+/* sync-server.js
+  Reference sync server for Pocket Progress, with no dependencies beyond Node itself:
+
+    SYNC_TOKEN=secret npm run sync-server
+
+  then enter http://localhost:8787 and the token under Settings → Sync on each device.
+  - PORT (default 8787) and SYNC_DATA (default server/data/ops.jsonl) can be set in the environment.
+  - Ops are appended to a JSON Lines file and numbered in arrival order. Pushing an op twice (same
+    opId, e.g. after a dropped response) stores it once.
+  - The server never looks inside ops: every device merges them itself (src/lib/oplog.js).
+*/
+import { createServer } from "node:http";
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { timingSafeEqual } from "node:crypto";
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.SYNC_TOKEN || "";
+const DATA_FILE = resolve(
+    process.env.SYNC_DATA || resolve(dirname(fileURLToPath(import.meta.url)), "data/ops.jsonl")
+);
+const PAGE_SIZE = 500;
+const MAX_BODY = 5 * 1024 * 1024;
+
+if (!TOKEN) {
+    console.error("Set SYNC_TOKEN to the token clients must send, e.g. SYNC_TOKEN=secret npm run sync-server");
+    process.exit(1);
+}
+
+// All ops in memory, in arrival order; ops[i].seq === i + 1
+const ops = [];
+const opIds = new Set();
+
+function load() {
+    if (!existsSync(DATA_FILE)) return;
+    for (const line of readFileSync(DATA_FILE, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        const op = JSON.parse(line);
+        ops.push(op);
+        opIds.add(op.opId);
+    }
+}
+
+function append(incoming) {
+    const fresh = [];
+    for (const op of incoming) {
+        if (!op || typeof op.opId !== "string" || opIds.has(op.opId)) continue;
+        const stored = { ...op, seq: ops.length + fresh.length + 1 };
+        fresh.push(stored);
+        opIds.add(op.opId);
+    }
+    if (fresh.length > 0) {
+        mkdirSync(dirname(DATA_FILE), { recursive: true });
+        appendFileSync(DATA_FILE, fresh.map((op) => JSON.stringify(op)).join("\n") + "\n");
+        ops.push(...fresh);
+    }
+    return fresh.length;
+}
+
+function authorized(req) {
+    const header = req.headers.authorization || "";
+    const given = Buffer.from(header.replace(/^Bearer\s+/i, ""));
+    const expected = Buffer.from(TOKEN);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Headers": "Authorization, Content-Type",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolveBody, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new Error("Body too large"));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => resolveBody(Buffer.concat(chunks).toString("utf8")));
+        req.on("error", reject);
+    });
+}
+
+async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (url.pathname === "/" && req.method === "GET") return send(res, 200, { ok: true, ops: ops.length });
+    if (url.pathname !== "/ops") return send(res, 404, { error: "Not found" });
+    if (!authorized(req)) return send(res, 401, { error: "Bad token" });
+
+    if (req.method === "GET") {
+        const since = Math.max(0, Number(url.searchParams.get("since")) || 0);
+        const page = ops.slice(since, since + PAGE_SIZE);
+        const cursor = since + page.length;
+        return send(res, 200, { ops: page, cursor, more: cursor < ops.length });
+    }
+
+    if (req.method === "POST") {
+        let body;
+        try {
+            body = JSON.parse(await readBody(req));
+        } catch (err) {
+            return send(res, 400, { error: `Bad request: ${err.message}` });
+        }
+        if (!body || !Array.isArray(body.ops)) return send(res, 400, { error: "Expected { ops: [...] }" });
+        const added = append(body.ops);
+        return send(res, 200, { added, cursor: ops.length });
+    }
+
+    return send(res, 405, { error: "Method not allowed" });
+}
+
+load();
+createServer((req, res) => {
+    handle(req, res).catch((err) => {
+        console.error(err);
+        send(res, 500, { error: "Server error" });
+    });
+}).listen(PORT, () => {
+    console.log(`Pocket Progress sync server on http://localhost:${PORT} (${ops.length} ops in ${DATA_FILE})`);
+});
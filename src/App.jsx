@@ -1,206 +1,842 @@
 /* App.jsx
   Single-file React component for "Pocket Progress". Features included:
-  - Center pie chart showing progress toward a target.
-  - Thumb-friendly rotary knob (pointer drag) that changes a pending value in 1,000 steps.
-  - Grouped quick buttons: -10k | -1k | +1k | +10k that update the pending value.
+  - Center dial (components/Dial.jsx) showing progress toward a target; goals split into parts get one
+    segment per part, and tapping a segment shows that part (and makes the knob add to it).
+  - History screen with cumulative progress, weekly/monthly bars and summary stats.
+  - Optional deadline per goal with projected completion, required pace and ahead/behind indicator.
+  - Recurring contributions (Settings) booked automatically on open and flagged for review.
+  - Thumb-friendly rotary knob (angular drag with acceleration, wheel, keyboard) that changes a pending
+    value in 1,000 steps; see components/Knob.jsx.
+  - Grouped quick buttons (default -10k | -1k | +1k | +10k) that update the pending value.
+  - Per-goal units/currency, decimals, locale, quick steps and knob step (lib/format.js).
   - Tap the knob's pending value to commit (prompts for optional label), which adds an entry and updates progress.
-  - Settings drawer with full entries manager: edit (amount & label) inline, delete, clear all, set target, reset.
-  - All persistent data stored to localStorage.
+  - Settings drawer with full entries manager: search, filters, grouping with subtotals, bulk delete/relabel,
+    edit (amount, label, date & note) inline, delete, clear all, set target, reset, in a virtualized list that
+    loads more as it scrolls; see components/EntriesManager.jsx.
+  - CSV/JSON export and import (with preview, merge or replace) from the Settings drawer.
+  - Undo/redo for every ledger change, offered through a snackbar after each change.
+  - Open tabs and windows stay in sync: changes are merged into storage and announced to the others.
+  - Optional sync with a self-hosted server (Settings → Sync), with an offline op queue (lib/sync.js).
+  - Works offline: an "Offline" badge shows in the header, and a new version waits for the user to reload
+    (components/UpdatePrompt.jsx). Settings → About shows the version and whether storage is persistent.
+  - Quick add through deep links (?add=5000&label=…&goal=…), home-screen shortcuts and the share target,
+    always confirmed first (lib/quickAdd.js).
+  - Milestones per goal (Settings → Milestones): crossing one is celebrated once, optionally with a system
+    notification, and the history view shows when each was reached (lib/milestones.js).
+  - Goal types (Settings → Goal type): savings count up; a budget counts down a weekly or monthly spending
+    limit and archives each period when it ends (lib/budget.js); a debt shows the principal still owed with
+    interest, the projected payoff and what the amount on the knob would change (lib/debt.js).
+  - Every string comes from the message catalogs in src/locales (lib/i18n.js), with a language picker in
+    Settings; right-to-left languages mirror the layout, the dial and the knob.
+  - Multiple named goals, each with its own target, entries, accent color and dial style (donut, half gauge
+    or bar); switcher in the header.
+  - Light, dark or system theme (Settings → Theme, lib/theme.js); the active goal's accent also colors the
+    browser's theme-color.
+  - All persistent data stored in IndexedDB (see lib/storage.js); progress is derived from the entries.
+  - Accessible: the knob is an ARIA slider, the dial has a text alternative and part buttons, progress
+    changes are announced in a live region, and overlays are modal dialogs (components/Modal.jsx).
   - Minimal Tailwind-style classes used (you can replace with plain CSS if not using Tailwind).
 */
-import React, { useEffect, useRef, useState } from "react";
-import { PieChart, Pie, Cell } from "recharts";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { motion } from "framer-motion";
-
-const STORAGE_KEYS = {
-    TARGET: "fp_targetSum_v1",
-    PROGRESS: "fp_progress_v1",
-    ENTRIES: "fp_entries_v1",
-};
+import AboutSettings from "./components/AboutSettings.jsx";
+import AutoBadge from "./components/AutoBadge.jsx";
+import BudgetPanel from "./components/BudgetPanel.jsx";
+import DebtPanel from "./components/DebtPanel.jsx";
+import DataTransfer from "./components/DataTransfer.jsx";
+import Dial from "./components/Dial.jsx";
+import DisplaySettings from "./components/DisplaySettings.jsx";
+import EntriesManager from "./components/EntriesManager.jsx";
+import ForecastPanel from "./components/ForecastPanel.jsx";
+import GoalManager from "./components/GoalManager.jsx";
+import GoalTypeSettings from "./components/GoalTypeSettings.jsx";
+import HistoryView from "./components/HistoryView.jsx";
+import PartsManager from "./components/PartsManager.jsx";
+import Knob from "./components/Knob.jsx";
+import LanguageSettings from "./components/LanguageSettings.jsx";
+import LockSettings from "./components/LockSettings.jsx";
+import MilestoneCelebration from "./components/MilestoneCelebration.jsx";
+import MilestoneSettings from "./components/MilestoneSettings.jsx";
+import Modal from "./components/Modal.jsx";
+import QuickAddDialog from "./components/QuickAddDialog.jsx";
+import RecurringReview from "./components/RecurringReview.jsx";
+import RecurringRules from "./components/RecurringRules.jsx";
+import Snackbar from "./components/Snackbar.jsx";
+import ThemeSettings from "./components/ThemeSettings.jsx";
+import SyncSettings from "./components/SyncSettings.jsx";
+import UpdatePrompt from "./components/UpdatePrompt.jsx";
+import {
+    createGoal,
+    goalKind,
+    moveGoal,
+    nextGoalColor,
+    prependEntries,
+    removeEntries,
+    resolveActiveGoal,
+    sortEntries,
+    sumEntries,
+    updateEntries,
+} from "./lib/goals.js";
+import { makeId } from "./lib/id.js";
+import { applyBudgetRollover, budgetStatus } from "./lib/budget.js";
+import { debtStatus } from "./lib/debt.js";
+import { downloadFile } from "./lib/download.js";
+import {
+    goalDisplay,
+    goalKnobStep,
+    goalQuickSteps,
+    makeFormatter,
+    roundTo,
+} from "./lib/format.js";
+import { emptyHistory, pushStep, redoStep, undoStep } from "./lib/history.js";
+import { I18nContext, applyDocumentLanguage, makeTranslator } from "./lib/i18n.js";
+import {
+    THEME_COLORS,
+    ThemeContext,
+    applyAccent,
+    applyTheme,
+    goalDialStyle,
+    resolveTheme,
+    watchSystemTheme,
+} from "./lib/theme.js";
+import { milestoneLabel, reachMilestones } from "./lib/milestones.js";
+import { showNotification } from "./lib/notify.js";
+import { dialSegments, goalParts, partBreakdown, UNASSIGNED } from "./lib/parts.js";
+import { applyDueRecurring, isPendingReview } from "./lib/recurring.js";
+import { mergeEntries, mergeGoals } from "./lib/merge.js";
+import {
+    LockedError,
+    changePassphrase,
+    clearRecovery,
+    disableLock,
+    enableLock,
+    loadGoals,
+    loadLockSettings,
+    saveActiveGoalId,
+    saveGoals,
+    saveLanguage,
+    saveTheme,
+    setAutoLock,
+} from "./lib/storage.js";
+import {
+    DEFAULT_SYNC,
+    SyncError,
+    disableSync,
+    enableSync,
+    loadSync,
+    pendingCount,
+    recordChange,
+    syncNow,
+} from "./lib/sync.js";
+import { connectTabs } from "./lib/tabSync.js";
+import { clearQuickAddParams, parseQuickAdd } from "./lib/quickAdd.js";
+import { applyCsvImport, applyJsonImport } from "./lib/transfer.js";
 
 const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
 
-export default function App() {
-    // Persistent state
-    const [targetSum, setTargetSum] = useState(() => {
-        const raw = localStorage.getItem(STORAGE_KEYS.TARGET);
-        return raw ? Number(raw) : 100000;
-    });
-    const [progress, setProgress] = useState(() => {
-        const raw = localStorage.getItem(STORAGE_KEYS.PROGRESS);
-        return raw ? Number(raw) : 25000;
+// Server sync: wait this long after a change before pushing, and poll at this interval
+const SYNC_DELAY_MS = 2000;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+// How often the app lock checks for inactivity
+const IDLE_CHECK_MS = 15 * 1000;
+
+export default function App({ initialState, onLock }) {
+    // Persistent state (loaded from IndexedDB before the first render, see main.jsx). A change that
+    // couldn't be saved before another tab locked the app is replayed on top and saved right away.
+    const [goals, setGoals] = useState(() => {
+        const { unsaved } = initialState;
+        return unsaved ? mergeGoals(unsaved.base, unsaved.goals, initialState.goals) : initialState.goals;
     });
-    const [entries, setEntries] = useState(() => {
-        const raw = localStorage.getItem(STORAGE_KEYS.ENTRIES);
+    const [activeGoalId, setActiveGoalId] = useState(initialState.activeGoalId);
+    const [recovery, setRecovery] = useState(initialState.recovery);
+
+    // UI language (lib/i18n.js); the document direction follows it for right-to-left scripts
+    const [language, setLanguage] = useState(initialState.language);
+    const t = useMemo(() => makeTranslator(language), [language]);
+    useEffect(() => {
+        applyDocumentLanguage(t);
+    }, [t]);
+
+    // For effects registered once (recurring bookings) and celebrations they trigger
+    const tRef = useRef(t);
+    tRef.current = t;
+
+    function changeLanguage(next) {
+        setLanguage(next);
+        saveLanguage(next).catch((err) => console.error("Failed saving language", err));
+    }
+
+    // Color theme (lib/theme.js): "system" follows the device and switches along with it
+    const [theme, setTheme] = useState(initialState.theme);
+    const [resolvedTheme, setResolvedTheme] = useState(() => resolveTheme(initialState.theme));
+    useEffect(() => {
+        applyTheme(theme);
+        setResolvedTheme(resolveTheme(theme));
+        if (theme !== "system") return undefined;
+        return watchSystemTheme(() => setResolvedTheme(resolveTheme(theme)));
+    }, [theme]);
+    const themeColors = THEME_COLORS[resolvedTheme];
+
+    function changeTheme(next) {
+        setTheme(next);
+        saveTheme(next).catch((err) => console.error("Failed saving theme", err));
+    }
+    const activeGoal = resolveActiveGoal(goals, activeGoalId);
+    const { targetSum, entries } = activeGoal;
+    const progress = useMemo(() => sumEntries(entries), [entries]);
+    const sortedEntries = useMemo(() => sortEntries(entries), [entries]);
+
+    // The active goal's color is the accent, down to the browser's theme-color
+    useEffect(() => {
+        applyAccent(activeGoal.color);
+    }, [activeGoal.color]);
+
+    // Server sync settings and status (see runSync below)
+    const [sync, setSync] = useState(DEFAULT_SYNC);
+    const [syncStatus, setSyncStatus] = useState({ busy: false, pending: 0, error: null });
+    const syncRef = useRef(sync);
+    syncRef.current = sync;
+
+    // Connectivity, for the header badge
+    const [online, setOnline] = useState(navigator.onLine);
+    useEffect(() => {
+        function update() {
+            setOnline(navigator.onLine);
+        }
+        window.addEventListener("online", update);
+        window.addEventListener("offline", update);
+        return () => {
+            window.removeEventListener("online", update);
+            window.removeEventListener("offline", update);
+        };
+    }, []);
+
+    // Persistence and other tabs. `persisted` is the goal list as this tab last loaded or saved it;
+    // saves and re-reads run one at a time and merge rather than overwrite (lib/merge.js).
+    const goalsRef = useRef(goals);
+    goalsRef.current = goals;
+    const persisted = useRef(initialState.goals);
+    const storageQueue = useRef(Promise.resolve());
+    const tabs = useRef(null);
+
+    // Another tab turned the app lock on: this one can't read the data any more either. A change not
+    // saved yet is handed over and merged into the stored goals once unlocked (see main.jsx).
+    function lockedOut() {
+        const local = goalsRef.current;
+        onLock(local === persisted.current ? null : { base: persisted.current, goals: local });
+    }
+
+    function enqueueStorage(task) {
+        storageQueue.current = storageQueue.current.then(task).catch((err) => {
+            if (err instanceof LockedError) lockedOut();
+            else console.error("Failed saving goals", err);
+        });
+    }
+
+    // Switch to a merged list; if the user changed something meanwhile, replay that change on top
+    function adoptGoals(from, merged) {
+        if (merged === from) return;
+        setGoals((cur) => (cur === from ? merged : mergeGoals(from, cur, merged)));
+    }
+
+    useEffect(() => {
+        enqueueStorage(async () => {
+            const local = goalsRef.current;
+            const base = persisted.current;
+            if (local === base) return;
+            const { goals: stored, changed } = await saveGoals(local, base);
+            persisted.current = stored;
+            if (changed && tabs.current) tabs.current.notify();
+            adoptGoals(local, stored);
+            if (await recordChange(base, local)) scheduleSync();
+        });
+    }, [goals]);
+
+    // Pick up goals another tab (or a server sync) wrote
+    async function reloadGoals() {
+        const stored = await loadGoals();
+        if (stored.length === 0) return;
+        const local = goalsRef.current;
+        const merged = mergeGoals(persisted.current, local, stored);
+        persisted.current = stored;
+        adoptGoals(local, merged);
+    }
+
+    useEffect(() => {
+        const connection = connectTabs(() => {
+            enqueueStorage(reloadGoals);
+            loadSync()
+                .then(setSync)
+                .catch(() => {});
+            loadLockSettings()
+                .then(setLockSettings)
+                .catch((err) => console.error("Failed loading lock settings", err));
+        });
+        tabs.current = connection;
+        return () => {
+            connection.close();
+            tabs.current = null;
+        };
+    }, []);
+
+    // Optional server sync (lib/sync.js): local changes are queued as ops and pushed/pulled shortly
+    // after each change, on resume, when the connection returns and every few minutes
+    const syncing = useRef(false);
+    const syncTimer = useRef(null);
+
+    function syncErrorMessage(err) {
+        if (err instanceof TypeError) return t("sync.unreachable");
+        if (err instanceof SyncError) return t(`sync.error.${err.code}`, { status: err.status });
+        return err.message;
+    }
+
+    async function runSync() {
+        if (syncing.current) return;
+        syncing.current = true;
+        setSyncStatus((s) => ({ ...s, busy: true }));
+        let error = null;
         try {
-            return raw ? JSON.parse(raw) : [];
+            const result = await syncNow(tRef.current("goals.syncedName"));
+            if (result && result.changed) {
+                enqueueStorage(reloadGoals);
+                if (tabs.current) tabs.current.notify();
+            }
         } catch (err) {
-            console.error("Failed parsing entries from localStorage", err);
-            return [];
+            if (err instanceof LockedError) {
+                syncing.current = false;
+                lockedOut();
+                return;
+            }
+            error = syncErrorMessage(err);
         }
-    });
+        syncing.current = false;
+        setSync(await loadSync());
+        setSyncStatus({ busy: false, pending: await pendingCount(), error });
+    }
+
+    const runSyncRef = useRef(runSync);
+    runSyncRef.current = runSync;
+
+    function scheduleSync() {
+        clearTimeout(syncTimer.current);
+        syncTimer.current = setTimeout(() => runSyncRef.current(), SYNC_DELAY_MS);
+    }
+
+    async function turnOnSync(settings) {
+        try {
+            setSync(await enableSync(settings, goalsRef.current));
+            runSync();
+        } catch (err) {
+            setSyncStatus((s) => ({ ...s, error: syncErrorMessage(err) }));
+        }
+    }
+
+    async function turnOffSync() {
+        clearTimeout(syncTimer.current);
+        setSync(await disableSync());
+        setSyncStatus({ busy: false, pending: 0, error: null });
+    }
+
+    // Optional app lock (components/LockSettings.jsx): encrypts the data at rest and locks this tab
+    // after a while without use, once pending saves are written
+    const [lockSettings, setLockSettings] = useState(null);
+    const lastActivity = useRef(Date.now());
+
+    useEffect(() => {
+        loadLockSettings()
+            .then(setLockSettings)
+            .catch((err) => console.error("Failed loading lock settings", err));
+    }, []);
+
+    function lockNow() {
+        storageQueue.current.then(() => onLock());
+    }
 
     useEffect(() => {
-        localStorage.setItem(STORAGE_KEYS.TARGET, String(targetSum));
-    }, [targetSum]);
+        const minutes = lockSettings ? lockSettings.autoLockMinutes : 0;
+        if (!minutes) return undefined;
+        lastActivity.current = Date.now();
+        function check() {
+            if (Date.now() - lastActivity.current >= minutes * 60 * 1000) lockNow();
+        }
+        function onActivity() {
+            lastActivity.current = Date.now();
+        }
+        // Timers are throttled in the background, so check again when the app comes back into view
+        function onVisibility() {
+            if (document.visibilityState === "visible") check();
+        }
+        const events = ["pointerdown", "keydown", "wheel", "touchstart"];
+        events.forEach((name) => window.addEventListener(name, onActivity, { passive: true }));
+        document.addEventListener("visibilitychange", onVisibility);
+        const interval = setInterval(check, IDLE_CHECK_MS);
+        return () => {
+            events.forEach((name) => window.removeEventListener(name, onActivity));
+            document.removeEventListener("visibilitychange", onVisibility);
+            clearInterval(interval);
+        };
+    }, [lockSettings]);
+
+    async function turnOnLock(passphrase, autoLockMinutes) {
+        await storageQueue.current;
+        await enableLock(passphrase, autoLockMinutes);
+        setLockSettings(await loadLockSettings());
+        // Other tabs still hold the data in the clear; they lock themselves on their next read
+        if (tabs.current) tabs.current.notify();
+    }
+
+    async function turnOffLock(passphrase) {
+        await storageQueue.current;
+        if (!(await disableLock(passphrase))) return false;
+        setLockSettings(null);
+        if (tabs.current) tabs.current.notify();
+        return true;
+    }
+
+    async function changeAutoLock(autoLockMinutes) {
+        await setAutoLock(autoLockMinutes);
+        setLockSettings(await loadLockSettings());
+        if (tabs.current) tabs.current.notify();
+    }
 
     useEffect(() => {
-        localStorage.setItem(STORAGE_KEYS.PROGRESS, String(progress));
-    }, [progress]);
+        const trigger = () => syncRef.current.enabled && runSyncRef.current();
+        function onVisibility() {
+            if (document.visibilityState === "visible") trigger();
+        }
+        loadSync().then((state) => {
+            syncRef.current = state;
+            setSync(state);
+            trigger();
+        });
+        window.addEventListener("online", trigger);
+        document.addEventListener("visibilitychange", onVisibility);
+        const interval = setInterval(trigger, SYNC_INTERVAL_MS);
+        return () => {
+            window.removeEventListener("online", trigger);
+            document.removeEventListener("visibilitychange", onVisibility);
+            clearInterval(interval);
+            clearTimeout(syncTimer.current);
+        };
+    }, []);
 
     useEffect(() => {
-        localStorage.setItem(STORAGE_KEYS.ENTRIES, JSON.stringify(entries));
-    }, [entries]);
+        saveActiveGoalId(activeGoal.id).catch((err) =>
+            console.error("Failed saving active goal", err)
+        );
+    }, [activeGoal.id]);
+
+    // Goal-scoped setters, mirroring useState's value-or-updater signature
+    function updateGoal(id, fn) {
+        setGoals((prev) => prev.map((g) => (g.id === id ? fn(g) : g)));
+    }
 
-    // Derived values
-    const percent =
-        targetSum === 0
-            ? 0
-            : Math.min(100, Math.round((progress / targetSum) * 10000) / 100);
+    function goalFieldSetter(field) {
+        return (next) =>
+            updateGoal(activeGoal.id, (g) => ({
+                ...g,
+                [field]: typeof next === "function" ? next(g[field]) : next,
+            }));
+    }
+
+    const setTargetSum = goalFieldSetter("targetSum");
+    const setDeadline = goalFieldSetter("deadline");
+    const setRecurring = goalFieldSetter("recurring");
+
+    // Derived values. A budget's dial counts down (percent is the share of the period's budget left);
+    // a debt's shows how much of the balance is paid off, interest included.
+    const budget = useMemo(() => (activeGoal.budget ? budgetStatus(activeGoal) : null), [activeGoal]);
+    const debt = useMemo(() => (activeGoal.debt ? debtStatus(activeGoal) : null), [activeGoal]);
+    let percent;
+    if (budget) {
+        percent =
+            budget.available <= 0
+                ? 0
+                : clamp(Math.round((budget.left / budget.available) * 10000) / 100, 0, 100);
+    } else if (debt) {
+        percent =
+            targetSum <= 0 ? 0 : clamp(Math.round((1 - debt.principal / targetSum) * 10000) / 100, 0, 100);
+    } else {
+        percent = targetSum === 0 ? 0 : Math.min(100, Math.round((progress / targetSum) * 10000) / 100);
+    }
+
+    // Parts (sub-targets) and the part selected by tapping its dial segment
+    const parts = goalParts(activeGoal);
+    const breakdown = useMemo(() => partBreakdown(activeGoal, t("parts.unassigned")), [activeGoal, t]);
+    const [selectedPartId, setSelectedPartId] = useState(null);
+    const selectedPart =
+        parts.length > 0 ? breakdown.find((row) => row.id === selectedPartId) || null : null;
+    const commitPartName =
+        selectedPart && selectedPart.id !== UNASSIGNED ? selectedPart.name : "";
+    const selectedPercent =
+        selectedPart && selectedPart.target > 0 ? Math.round((selectedPart.progress / selectedPart.target) * 100) : 0;
+
+    // Display format and step presets for the active goal
+    const fmt = useMemo(() => makeFormatter(goalDisplay(activeGoal), t.locale), [activeGoal.display, t]);
+    const knobStep = goalKnobStep(activeGoal);
+    const quickSteps = goalQuickSteps(activeGoal);
 
     // Knob & pending value
-    const [knobValue, setKnobValue] = useState(1000);
-    const knobRef = useRef(null);
-    const pointerActive = useRef(false);
-    const lastAngle = useRef(null);
+    const [knobValue, setKnobValue] = useState(knobStep);
+    const knobMax = Math.max(knobStep, targetSum * 2);
+
+    // Main view: "dial" or "history"
+    const [view, setView] = useState("dial");
+
+    // Screen-reader announcement whenever progress changes (not on load or when switching goals)
+    const [announcement, setAnnouncement] = useState("");
+    const announced = useRef({ goalId: activeGoal.id, progress });
+    useEffect(() => {
+        const last = announced.current;
+        announced.current = { goalId: activeGoal.id, progress };
+        if (last.goalId !== activeGoal.id || last.progress === progress) return;
+        if (budget) {
+            setAnnouncement(
+                t("dial.budgetLeft", { left: fmt.format(budget.left), available: fmt.format(budget.available) })
+            );
+        } else if (debt) {
+            setAnnouncement(t("dial.debtStatus", { percent: fmt.percent(percent), owed: fmt.format(debt.principal) }));
+        } else {
+            setAnnouncement(
+                t("dial.progressStatus", {
+                    percent: fmt.percent(percent),
+                    progress: fmt.format(progress),
+                    target: fmt.format(targetSum),
+                })
+            );
+        }
+    }, [activeGoal.id, progress]);
 
     // Settings drawer
     const [showSettings, setShowSettings] = useState(false);
 
-    // Edit state for entries list
-    const [editIdx, setEditIdx] = useState(null);
-    const [editAmount, setEditAmount] = useState("");
-    const [editName, setEditName] = useState("");
-
     // Alert state for Clear All
     const [showClearAlert, setShowClearAlert] = useState(false);
 
-    // Add an entry (amount can be negative to retract)
-    function addEntry(amount, partName = "") {
-        const newAmount = Number(amount);
+    // Undo/redo history and the snackbar that offers it
+    const [history, setHistory] = useState(emptyHistory);
+    const [snack, setSnack] = useState(null);
+    const dismissSnack = useCallback(() => setSnack(null), []);
+
+    function showSnack(message, actionLabel, onAction) {
+        setSnack({ id: Date.now(), message, actionLabel, onAction });
+    }
+
+    // Milestones an entry crossed: celebrate once, and notify if the goal asks for it
+    const [celebration, setCelebration] = useState(null);
+    const dismissCelebration = useCallback(() => setCelebration(null), []);
+
+    function celebrate(goal, crossed) {
+        if (crossed.length === 0 || goalKind(goal) !== "savings") return;
+        const t = tRef.current;
+        const goalFmt = makeFormatter(goalDisplay(goal), t.locale);
+        const labels = crossed.map((m) => milestoneLabel(m, goalFmt)).join(", ");
+        const title = t("milestones.reachedTitle", { goal: goal.name || t("common.untitled"), milestones: labels });
+        const message = t("common.amountOf", {
+            amount: goalFmt.format(sumEntries(goal.entries)),
+            target: goalFmt.format(goal.targetSum),
+        });
+        setCelebration({ id: Date.now(), title, message, color: goal.color });
+        if (goal.notifyMilestones) {
+            showNotification(title, { body: message, tag: `milestone-${goal.id}` }).catch((err) =>
+                console.error("Failed showing notification", err)
+            );
+        }
+    }
+
+    // Every ledger mutation goes through here so it can be undone (the active goal's unless given).
+    // Milestones reached on the way are marked in the same update, so they stay achieved after an undo.
+    function changeLedger(label, fn, goalId = activeGoal.id) {
+        const goal = goals.find((g) => g.id === goalId) || activeGoal;
+        const before = goal.entries;
+        const after = fn(before);
+        if (after === before) return;
+        updateGoal(goal.id, (g) => reachMilestones({ ...g, entries: after }, before).goal);
+        const { goal: reached, crossed } = reachMilestones({ ...goal, entries: after }, before);
+        celebrate(reached, crossed);
+        setHistory((h) => pushStep(h, { goalId: goal.id, label, before, after }));
+        showSnack(label, t("common.undo"), () => undoRef.current());
+    }
+
+    // Changes that replace the whole goal list (imports) are undoable as one step
+    function changeGoals(label, fn) {
+        const before = goals;
+        const after = fn(before);
+        if (after === before) return;
+        setGoals(after);
+        setHistory((h) => pushStep(h, { scope: "goals", label, before, after }));
+        showSnack(label, t("common.undo"), () => undoRef.current());
+    }
+
+    // Reapply only what the step changed (from -> to), keeping anything changed since, e.g. in another tab
+    function applyStep(step, from, to) {
+        if (step.scope === "goals") {
+            setGoals((cur) => mergeGoals(from, to, cur));
+            return;
+        }
+        updateGoal(step.goalId, (g) => ({ ...g, entries: mergeEntries(from, to, g.entries) }));
+        if (step.goalId !== activeGoal.id) setActiveGoalId(step.goalId);
+    }
+
+    function undo() {
+        const [step, next] = undoStep(history);
+        if (!step) return;
+        setHistory(next);
+        applyStep(step, step.after, step.before);
+        showSnack(t("history.undone", { label: step.label }), t("common.redo"), () => redoRef.current());
+    }
+
+    function redo() {
+        const [step, next] = redoStep(history);
+        if (!step) return;
+        setHistory(next);
+        applyStep(step, step.before, step.after);
+        showSnack(t("history.redone", { label: step.label }), t("common.undo"), () => undoRef.current());
+    }
+
+    // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo (not while typing in a field)
+    const undoRef = useRef(undo);
+    const redoRef = useRef(redo);
+    undoRef.current = undo;
+    redoRef.current = redo;
+    useEffect(() => {
+        function onKeyDown(e) {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            if (e.target.closest && e.target.closest("input, textarea, select")) return;
+            const key = e.key.toLowerCase();
+            if (key === "z" && !e.shiftKey) {
+                e.preventDefault();
+                undoRef.current();
+            } else if ((key === "z" && e.shiftKey) || key === "y") {
+                e.preventDefault();
+                redoRef.current();
+            }
+        }
+        window.addEventListener("keydown", onKeyDown);
+        return () => window.removeEventListener("keydown", onKeyDown);
+    }, []);
+
+    // Add an entry (amount can be negative to retract), to the active goal unless goalId is given
+    function addEntry(amount, partName = "", { goalId = activeGoal.id, note = null } = {}) {
+        const goal = goals.find((g) => g.id === goalId) || activeGoal;
+        const goalFmt = goal === activeGoal ? fmt : makeFormatter(goalDisplay(goal), t.locale);
+        const newAmount = roundTo(Number(amount), goalFmt.decimals);
         if (Number.isNaN(newAmount) || newAmount === 0) {
             // Do nothing for NaN or zero
             return;
         }
         const entry = {
+            id: makeId(),
             amount: newAmount,
             partName: partName ? String(partName) : null,
             date: new Date().toISOString(),
+            note: note || null,
         };
-        setEntries((prev) => [entry, ...prev]);
-        setProgress((p) => p + newAmount);
+        changeLedger(t("history.added", { amount: goalFmt.signed(newAmount) }), (prev) => prependEntries(prev, [entry]), goal.id);
     }
 
-    // Knob rotation handling (pointer events)
+    // Commit knob: prompt for optional label and add entry
+    function commitKnob() {
+        addEntry(knobValue, commitPartName);
+        setKnobValue(knobStep);
+    }
+
+    // Quick add from a deep link, home-screen shortcut or share target; confirmed in QuickAddDialog
+    const [quickAdd, setQuickAdd] = useState(() =>
+        parseQuickAdd(window.location.search, goals, fmt.locale || navigator.language)
+    );
+
     useEffect(() => {
-        const el = knobRef.current;
-        if (!el) return undefined;
-
-        function onPointerDown(e) {
-            e.preventDefault();
-            pointerActive.current = true;
-            lastAngle.current = e.clientX; // Track horizontal position
-            window.addEventListener("pointermove", onPointerMove);
-            window.addEventListener("pointerup", onPointerUp);
-        }
+        if (quickAdd) clearQuickAddParams();
+    }, []);
 
-        function onPointerMove(e) {
-            if (!pointerActive.current) return;
-            const deltaX = e.clientX - lastAngle.current; // Horizontal movement
-            const STEP_SIZE = 10; // Adjust step size for sensitivity
-            const steps = Math.round(deltaX / STEP_SIZE);
-
-            if (steps !== 0) {
-                setKnobValue((v) =>
-                    clamp(v + steps * 1000, 0, Math.max(1000, targetSum * 2))
-                );
-                lastAngle.current = e.clientX; // Update last position
-            }
-        }
+    function confirmQuickAdd({ goalId, amount, label, note }) {
+        if (goalId !== activeGoal.id) selectGoal(goalId);
+        addEntry(amount, label, { goalId, note });
+        setQuickAdd(null);
+    }
 
-        function onPointerUp() {
-            pointerActive.current = false;
-            window.removeEventListener("pointermove", onPointerMove);
-            window.removeEventListener("pointerup", onPointerUp);
-        }
+    // Entries manager
+    function updateEntry(id, fields) {
+        changeLedger(t("history.entryUpdated"), (prev) => updateEntries(prev, [id], (e) => ({ ...e, ...fields })));
+    }
 
-        el.addEventListener("pointerdown", onPointerDown);
+    function deleteEntries(ids) {
+        changeLedger(t("history.entriesDeleted", { count: ids.length }), (prev) => removeEntries(prev, ids));
+    }
 
-        return () => {
-            el.removeEventListener("pointerdown", onPointerDown);
-            window.removeEventListener("pointermove", onPointerMove);
-            window.removeEventListener("pointerup", onPointerUp);
-        };
-    }, [targetSum]);
+    function relabelEntries(ids, label) {
+        changeLedger(t("history.entriesRelabeled", { count: ids.length }), (prev) =>
+            updateEntries(prev, ids, (e) => ({ ...e, partName: label }))
+        );
+    }
 
-    // Commit knob: prompt for optional label and add entry
-    function commitKnob() {
-        addEntry(knobValue, "");
-        setKnobValue(1000);
+    function clearAllEntries() {
+        changeLedger(t("history.allCleared"), () => []);
+        setShowClearAlert(false); // Close the alert
     }
 
-    // Entries editing
-    function startEdit(idx) {
-        const entry = entries[idx];
-        if (!entry) return;
-        setEditIdx(idx);
-        setEditAmount(String(entry.amount));
-        setEditName(entry.partName || "");
+    // Goals
+    function selectGoal(id) {
+        setSelectedPartId(null);
+        setKnobValue(goalKnobStep(goals.find((g) => g.id === id) || activeGoal));
+        setActiveGoalId(id);
     }
 
-    function cancelEdit() {
-        setEditIdx(null);
-        setEditAmount("");
-        setEditName("");
+    function createNewGoal(name) {
+        const goal = createGoal({ name, color: nextGoalColor(goals) });
+        setGoals((prev) => [...prev, goal]);
+        selectGoal(goal.id);
     }
 
-    function saveEdit() {
-        if (editIdx === null) return;
-        const parsed = Number(editAmount);
-        if (Number.isNaN(parsed)) {
-            alert("Enter a valid numeric amount");
-            return;
+    function patchGoal(id, patch) {
+        updateGoal(id, (g) => ({ ...g, ...patch }));
+    }
+
+    function deleteGoal(id) {
+        setGoals((prev) => prev.filter((g) => g.id !== id));
+    }
+
+    // Recurring contributions: book anything that came due since the last visit, on open and on resume.
+    // Then archive the budget periods that have ended, so late bookings land in the right period.
+    useEffect(() => {
+        function runRecurring() {
+            const current = goalsRef.current;
+            const { goals: booked, added } = applyDueRecurring(current);
+            const reached = booked.map((goal, i) => {
+                if (goal === current[i]) return goal;
+                const result = reachMilestones(goal, current[i].entries);
+                celebrate(result.goal, result.crossed);
+                return result.goal;
+            });
+            const { goals: next, closed } = applyBudgetRollover(added > 0 ? reached : current);
+            if (next === current) return;
+            setGoals(next);
+            const messages = [];
+            if (added > 0) messages.push(tRef.current("recurring.added", { count: added }));
+            if (closed > 0) messages.push(tRef.current("budget.archived", { count: closed }));
+            if (messages.length > 0) showSnack(messages.join(" · "));
+        }
+        function onVisibility() {
+            if (document.visibilityState === "visible") runRecurring();
+        }
+        runRecurring();
+        document.addEventListener("visibilitychange", onVisibility);
+        return () => document.removeEventListener("visibilitychange", onVisibility);
+    }, []);
+
+    function reviewAutoEntry(entry, keep) {
+        if (keep) {
+            changeLedger(t("recurring.kept"), (prev) =>
+                updateEntries(prev, [entry.id], (e) => ({ ...e, reviewed: true }))
+            );
+        } else {
+            changeLedger(t("recurring.skipped"), (prev) => removeEntries(prev, [entry.id]));
         }
-        setEntries((prev) => {
-            const prevEntry = prev[editIdx];
-            const updatedEntry = {
-                ...prevEntry,
-                amount: parsed,
-                partName: editName ? editName.trim() : null,
-            };
-            const copy = prev.slice();
-            copy[editIdx] = updatedEntry;
-            return copy;
-        });
-        setProgress((p) => {
-            const old = Number(entries[editIdx]?.amount ?? 0);
-            return p - old + parsed;
-        });
-        cancelEdit();
     }
 
-    function deleteEntry(idx) {
-        const ent = entries[idx];
-        if (!ent) return;
-        if (editIdx === idx) cancelEdit();
-        setEntries((prev) => prev.filter((_, i) => i !== idx));
-        setProgress((p) => p - Number(ent.amount));
+    function keepAllAutoEntries() {
+        changeLedger(t("recurring.allKept"), (prev) =>
+            updateEntries(
+                prev,
+                prev.filter(isPendingReview).map((e) => e.id),
+                (e) => ({ ...e, reviewed: true })
+            )
+        );
     }
 
-    function clearAllEntries() {
-        setEntries([]);
-        setProgress(0);
-        cancelEdit();
-        setShowClearAlert(false); // Close the alert
+    // Import (the preview and parsing live in DataTransfer)
+    function importCsv(plan, mode) {
+        const count = (mode === "replace" ? plan.entries : plan.fresh).length;
+        changeLedger(t("transfer.imported", { count }), (prev) => applyCsvImport(plan, prev, mode));
+    }
+
+    function importJson(plan, mode) {
+        changeGoals(t("transfer.backupImported"), (prev) => applyJsonImport(plan, prev, mode));
+    }
+
+    // Recovered (corrupt) data from storage migrations
+    function downloadRecovery() {
+        downloadFile(
+            "pocket-progress-recovery.json",
+            JSON.stringify(recovery, null, 2),
+            "application/json"
+        );
+    }
+
+    function discardRecovery() {
+        if (!window.confirm(t("recovery.confirmDiscard"))) return;
+        clearRecovery()
+            .then(() => setRecovery([]))
+            .catch((err) => console.error("Failed clearing recovery data", err));
     }
 
     const remaining = Math.max(0, targetSum - progress);
-    const pieData = [
-        { name: "Progress", value: Math.min(progress, targetSum) },
-        { name: "Remaining", value: Math.max(0, targetSum - progress) },
-    ];
+    // The dial's filled and empty amounts (left and spent for a budget, paid and owed for a debt)
+    let dialValues;
+    if (budget) {
+        dialValues = [Math.max(0, budget.left), Math.max(0, Math.min(budget.spent, budget.available))];
+    } else if (debt) {
+        dialValues = [clamp(targetSum - debt.principal, 0, targetSum), Math.max(0, debt.principal)];
+    } else {
+        dialValues = [Math.min(progress, targetSum), Math.max(0, targetSum - progress)];
+    }
+    // With parts, the dial gets a filled and a faded slice per part instead (savings goals only)
+    const segments = parts.length > 0 && !budget && !debt ? dialSegments(breakdown) : null;
+    const dialSlices = segments
+        ? segments.map((seg) => ({
+              value: seg.value,
+              color: seg.color,
+              opacity: (seg.filled ? 1 : 0.25) * (selectedPart && selectedPart.id !== seg.partId ? 0.4 : 1),
+          }))
+        : [
+              { value: dialValues[0], color: activeGoal.color },
+              { value: dialValues[1], color: budget && budget.overspent ? themeColors.over : themeColors.track },
+          ];
+    // Text alternative for the dial
+    let dialSummary = t("dial.progressStatus", {
+        percent: fmt.percent(percent),
+        progress: fmt.format(progress),
+        target: fmt.format(targetSum),
+    });
+    if (budget) {
+        dialSummary = t("dial.budgetLeftPeriod", {
+            left: fmt.format(budget.left),
+            available: fmt.format(budget.available),
+        });
+    } else if (debt) {
+        dialSummary = t("dial.debtStatus", {
+            percent: fmt.percent(percent),
+            owed: fmt.format(debt.principal),
+        });
+    }
+    const dialDescription = [
+        `${activeGoal.name}: ${dialSummary}`,
+        ...(parts.length > 0
+            ? breakdown.map((row) =>
+                  t("dial.partStatus", {
+                      part: row.name,
+                      progress: fmt.format(row.progress),
+                      target: fmt.format(row.target),
+                  })
+              )
+            : []),
+    ].join("; ");
+
+    // Wording that depends on the goal type
+    let knobLabel = commitPartName ? t("knob.addTo", { part: commitPartName }) : t("knob.add");
+    let targetLabel = t("settings.targetSum");
+    if (budget) {
+        knobLabel = commitPartName ? t("knob.spendOn", { part: commitPartName }) : t("knob.spend");
+        targetLabel = t(activeGoal.budget.period === "week" ? "settings.limitPerWeek" : "settings.limitPerMonth");
+    } else if (debt) {
+        knobLabel = commitPartName ? t("knob.payToward", { part: commitPartName }) : t("knob.pay");
+        targetLabel = t("settings.startingBalance");
+    }
 
     return (
+        <I18nContext.Provider value={t}>
+        <ThemeContext.Provider value={themeColors}>
         <div
             className="min-h-screen bg-gray-50 text-gray-900 flex flex-col"
             style={{
@@ -208,15 +844,47 @@ export default function App() {
                 paddingBottom: "env(safe-area-inset-bottom)",
             }}
         >
-            <header className="flex items-center justify-between px-4 py-3 border-b bg-white/60 backdrop-blur">
-                <h1 className="text-lg font-semibold">Pocket Progress</h1>
-                <div>
+            <header className="flex items-center justify-between px-4 py-3 border-b bg-surface/60 backdrop-blur">
+                <div className="flex items-center gap-2">
+                    <h1 className="text-lg font-semibold">Pocket Progress</h1>
+                    {!online && (
+                        <span
+                            className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs"
+                            title={t("app.offlineHint")}
+                        >
+                            {t("app.offline")}
+                        </span>
+                    )}
+                </div>
+                <div className="flex items-center gap-2">
+                    <select
+                        value={activeGoal.id}
+                        onChange={(e) => selectGoal(e.target.value)}
+                        className="max-w-[10rem] px-2 py-1 rounded-md bg-gray-100 text-sm"
+                        aria-label={t("app.goal")}
+                    >
+                        {goals
+                            .filter((g) => !g.archived)
+                            .map((g) => (
+                                <option key={g.id} value={g.id}>
+                                    {g.name || t("common.untitled")}
+                                </option>
+                            ))}
+                    </select>
+                    <button
+                        type="button"
+                        onClick={() => setView((v) => (v === "history" ? "dial" : "history"))}
+                        className="px-3 py-1 rounded-md bg-gray-100 hover:bg-gray-200 text-sm"
+                    >
+                        {view === "history" ? t("app.dial") : t("app.history")}
+                    </button>
                     <button
                         type="button"
                         onClick={() => setShowSettings((s) => !s)}
                         className="px-3 py-1 rounded-md bg-gray-100 hover:bg-gray-200 text-sm"
+                        aria-haspopup="dialog"
                     >
-                        Settings
+                        {t("settings.title")}
                     </button>
                 </div>
             </header>
@@ -228,357 +896,432 @@ export default function App() {
                     transition={{ duration: 0.28 }}
                     className="w-full max-w-md"
                 >
-                    <div className="bg-white rounded-2xl shadow-md p-6 flex flex-col items-center gap-4">
-                        <div className="w-full flex items-center justify-center">
-                            <div className="relative flex flex-col items-center">
-                                <PieChart width={220} height={220}>
-                                    <Pie
-                                        data={pieData}
-                                        dataKey="value"
-                                        innerRadius={68}
-                                        outerRadius={96}
-                                        startAngle={90}
-                                        endAngle={-270}
-                                    >
-                                        <Cell key="progress" fill="#60a5fa" />
-                                        <Cell key="remain" fill="#e5e7eb" />
-                                    </Pie>
-                                </PieChart>
-                                <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none">
-                                    <div className="text-3xl font-bold">{percent}%</div>
-                                    <div className="text-xs text-gray-500">
-                                        {new Intl.NumberFormat().format(progress)} /{" "}
-                                        {new Intl.NumberFormat().format(targetSum)}
+                    {view === "history" ? (
+                        <HistoryView goal={activeGoal} fmt={fmt} />
+                    ) : (
+                        <div className="bg-surface rounded-2xl shadow-md p-6 flex flex-col items-center gap-4">
+                            <div className="w-full flex items-center justify-center">
+                                <Dial
+                                    variant={goalDialStyle(activeGoal)}
+                                    slices={dialSlices}
+                                    label={dialDescription}
+                                    onSliceClick={
+                                        segments
+                                            ? (index) => {
+                                                  const id = segments[index].partId;
+                                                  setSelectedPartId((cur) => (cur === id ? null : id));
+                                              }
+                                            : undefined
+                                    }
+                                >
+                                    {selectedPart ? (
+                                        <>
+                                            <div className="text-sm font-medium max-w-[8rem] truncate">
+                                                {selectedPart.name}
+                                            </div>
+                                            <div className="text-2xl font-bold">
+                                                {fmt.percent(selectedPercent)}
+                                            </div>
+                                            <div className="text-xs text-gray-500">
+                                                {fmt.format(selectedPart.progress)} /{" "}
+                                                {fmt.format(selectedPart.target)}
+                                            </div>
+                                            <div className="text-xs text-gray-500">
+                                                {t("dial.left", { amount: fmt.format(selectedPart.remaining) })}
+                                            </div>
+                                        </>
+                                    ) : debt ? (
+                                        <>
+                                            <div className="text-2xl font-bold">
+                                                {fmt.format(Math.max(0, debt.principal))}
+                                            </div>
+                                            <div className="text-xs text-gray-500">
+                                                {t("dial.owed", { percent: fmt.percent(percent) })}
+                                            </div>
+                                        </>
+                                    ) : budget ? (
+                                        <>
+                                            <div
+                                                className={`text-2xl font-bold ${
+                                                    budget.overspent ? "text-red-600" : ""
+                                                }`}
+                                            >
+                                                {fmt.format(budget.left)}
+                                            </div>
+                                            <div className="text-xs text-gray-500">
+                                                {t("dial.leftOf", { amount: fmt.format(budget.available) })}
+                                            </div>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <div className="text-3xl font-bold">
+                                                {fmt.percent(percent)}
+                                            </div>
+                                            <div className="text-xs text-gray-500">
+                                                {fmt.format(progress)} /{" "}
+                                                {fmt.format(targetSum)}
+                                            </div>
+                                        </>
+                                    )}
+                                </Dial>
+                            </div>
+                            {/* The segments are tappable; these buttons do the same for keyboards and screen readers */}
+                            {parts.length > 0 && (
+                                <div
+                                    className="flex flex-wrap justify-center gap-1"
+                                    role="group"
+                                    aria-label={t("dial.showPart")}
+                                >
+                                    {breakdown.map((row) => (
+                                        <button
+                                            key={row.id}
+                                            type="button"
+                                            aria-pressed={selectedPartId === row.id}
+                                            onClick={() => setSelectedPartId((cur) => (cur === row.id ? null : row.id))}
+                                            className={`flex items-center gap-1 px-2 py-1 rounded-full text-xs ${
+                                                selectedPartId === row.id ? "bg-gray-800 text-gray-50" : "bg-gray-100"
+                                            }`}
+                                        >
+                                            <span
+                                                className="inline-block w-2 h-2 rounded-full"
+                                                style={{ backgroundColor: row.color }}
+                                                aria-hidden="true"
+                                            />
+                                            {row.name}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                            {!budget && !debt && (
+                                <div className="w-full mt-2 text-center">
+                                    <div className="text-sm text-gray-600">
+                                        {t("dial.remaining")}{" "}
+                                        <span className="font-medium">{fmt.format(remaining)}</span>
                                     </div>
                                 </div>
-                            </div>
-                        </div>
-                        <div className="w-full mt-2 text-center">
-                            <div className="text-sm text-gray-600">
-                                {" "}
-                                Remaining:{" "}
-                                <span className="font-medium">
-                  {" "}
-                                    {new Intl.NumberFormat().format(remaining)}{" "}
-                </span>{" "}
-                            </div>
-                        </div>
-                        <div className="w-full mt-2 text-left">
-                            <div className="text-xs text-gray-400">Recent</div>
-                            <div className="w-full max-h-28 overflow-auto mt-2">
-                                {entries.length === 0 ? (
-                                    <div className="text-sm text-gray-500">No entries yet</div>
-                                ) : (
-                                    <ul className="space-y-2">
-                                        {entries.slice(0, 6).map((e, i) => (
-                                            <li key={i} className="flex justify-between text-sm">
-                                                <div>
-                                                    <div className="font-medium">
-                                                        {e.partName || "—"}
+                            )}
+                            {budget && <BudgetPanel goal={activeGoal} fmt={fmt} />}
+                            {debt && <DebtPanel goal={activeGoal} fmt={fmt} extra={knobValue} />}
+                            {!budget && !debt && <ForecastPanel goal={activeGoal} fmt={fmt} />}
+                            <RecurringReview
+                                entries={sortedEntries}
+                                fmt={fmt}
+                                onKeep={(e) => reviewAutoEntry(e, true)}
+                                onSkip={(e) => reviewAutoEntry(e, false)}
+                                onKeepAll={keepAllAutoEntries}
+                            />
+                            <div className="w-full mt-2 text-start">
+                                <div className="text-xs text-gray-400">{t("dial.recent")}</div>
+                                <div className="w-full max-h-28 overflow-auto mt-2">
+                                    {entries.length === 0 ? (
+                                        <div className="text-sm text-gray-500">{t("dial.noEntries")}</div>
+                                    ) : (
+                                        <ul className="space-y-2">
+                                            {sortedEntries.slice(0, 6).map((e) => (
+                                                <li key={e.id} className="flex justify-between text-sm">
+                                                    <div>
+                                                        <div className="font-medium">
+                                                            {e.partName || "—"}
+                                                            {e.auto && <AutoBadge />}
+                                                        </div>
+                                                        <div className="text-xs text-gray-400">
+                                                            {" "}
+                                                            {fmt.dateTime(e.date)}{" "}
+                                                        </div>
                                                     </div>
-                                                    <div className="text-xs text-gray-400">
+                                                    <div className="self-center">
                                                         {" "}
-                                                        {new Date(e.date).toLocaleString()}{" "}
+                                                        {fmt.signed(e.amount)}{" "}
                                                     </div>
-                                                </div>
-                                                <div className="self-center">
-                                                    {" "}
-                                                    {e.amount >= 0 ? "+" : ""}{" "}
-                                                    {new Intl.NumberFormat().format(e.amount)}{" "}
-                                                </div>
-                                            </li>
-                                        ))}
-                                    </ul>
-                                )}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </div>
                             </div>
                         </div>
-                    </div>
+                    )}
                 </motion.div>
             </main>
 
             {/* Bottom rotary input area */}
             <div
-                className="sticky bottom-0 left-0 right-0 bg-white/80 backdrop-blur border-t"
+                className="sticky bottom-0 inset-x-0 bg-surface/80 backdrop-blur border-t"
                 style={{ paddingBottom: "calc(env(safe-area-inset-bottom) + 8px)" }}
             >
                 <div className="max-w-md mx-auto px-4 py-3 flex items-center gap-3">
                     <div className="flex-1 flex items-center justify-center">
-                        <div
-                            ref={knobRef}
-                            className="w-28 h-28 rounded-full bg-gray-100 shadow-inner flex items-center justify-center touch-none select-none"
-                            style={{ userSelect: "none" }}
-                        >
+                        <Knob
+                            value={knobValue}
+                            onChange={setKnobValue}
+                            min={0}
+                            max={knobMax}
+                            step={knobStep}
+                            fmt={fmt}
+                            targetSum={targetSum}
+                            color={activeGoal.color}
+                            label={knobLabel}
+                            onCommit={commitKnob}
+                        />
+                    </div>
+                    {/* Grouped quick buttons */}
+                    <div className="grid grid-cols-2 gap-2 ms-auto">
+                        {quickSteps.map((delta, i) => (
                             <button
+                                key={`${i}-${delta}`}
                                 type="button"
-                                onClick={commitKnob}
-                                className="w-full h-full rounded-full flex flex-col items-center justify-center focus:outline-none"
+                                onClick={() =>
+                                    setKnobValue((v) =>
+                                        clamp(roundTo(v + delta, fmt.decimals), 0, knobMax)
+                                    )
+                                }
+                                className="px-3 py-2 rounded-md bg-gray-100 text-sm"
                             >
-                                <motion.div whileTap={{ scale: 0.97 }}>
-                                    <div className="text-sm text-gray-500">Add</div>
-                                    <div className="text-xl font-semibold">
-                                        {" "}
-                                        {new Intl.NumberFormat().format(knobValue)}{" "}
-                                    </div>
-                                </motion.div>
+                                {" "}
+                                {fmt.compactSigned(delta)}{" "}
                             </button>
-                        </div>
-                    </div>
-                    {/* Grouped quick buttons */}
-                    <div className="grid grid-cols-2 gap-2 ml-auto">
-                        <button
-                            type="button"
-                            onClick={() =>
-                                setKnobValue((v) =>
-                                    clamp(v - 1000, 0, Math.max(1000, targetSum * 2))
-                                )
-                            }
-                            className="px-3 py-2 rounded-md bg-gray-100 text-sm"
-                        >
-                            {" "}
-                            -1k{" "}
-                        </button>
-                        <button
-                            type="button"
-                            onClick={() =>
-                                setKnobValue((v) =>
-                                    clamp(v + 1000, 0, Math.max(1000, targetSum * 2))
-                                )
-                            }
-                            className="px-3 py-2 rounded-md bg-gray-100 text-sm"
-                        >
-                            {" "}
-                            +1k{" "}
-                        </button>
-                        <button
-                            type="button"
-                            onClick={() =>
-                                setKnobValue((v) =>
-                                    clamp(v - 10000, 0, Math.max(1000, targetSum * 2))
-                                )
-                            }
-                            className="px-3 py-2 rounded-md bg-gray-100 text-sm"
-                        >
-                            {" "}
-                            -10k{" "}
-                        </button>
-                        <button
-                            type="button"
-                            onClick={() =>
-                                setKnobValue((v) =>
-                                    clamp(v + 10000, 0, Math.max(1000, targetSum * 2))
-                                )
-                            }
-                            className="px-3 py-2 rounded-md bg-gray-100 text-sm"
-                        >
-                            {" "}
-                            +10k{" "}
-                        </button>
+                        ))}
                     </div>
                 </div>
             </div>
 
             {/* Settings drawer */}
             {showSettings && (
-                <div
-                    className="fixed inset-0 bg-black/40 flex items-end sm:items-center justify-center z-40"
-                    onClick={() => {
-                        cancelEdit();
-                        setShowSettings(false);
-                    }}
+                <Modal
+                    labelledBy="settings-title"
+                    onClose={() => setShowSettings(false)}
+                    closeOnBackdrop
+                    backdropClassName="fixed inset-0 bg-black/40 flex items-end sm:items-center justify-center z-40"
+                    className="bg-surface rounded-t-2xl sm:rounded-2xl w-full sm:max-w-lg p-6 max-h-[90vh] overflow-auto"
                 >
-                    <div
-                        className="bg-white rounded-t-2xl sm:rounded-2xl w-full sm:max-w-lg p-6"
-                        onClick={(e) => e.stopPropagation()}
-                    >
-                        <h2 className="text-lg font-semibold mb-2">Settings</h2>
-                        <div className="space-y-3">
-                            <label className="text-xs text-gray-500">Target sum</label>
-                            <div className="flex gap-2">
-                                <input
-                                    type="number"
-                                    value={targetSum}
-                                    onChange={(e) => setTargetSum(Number(e.target.value))}
-                                    className="flex-1 px-3 py-2 border rounded-md"
-                                />
+                    <h2 id="settings-title" className="text-lg font-semibold mb-2">{t("settings.title")}</h2>
+                    <div className="space-y-3">
+                        <label className="text-xs text-gray-500">
+                            {targetLabel} · {activeGoal.name}
+                        </label>
+                        <div className="flex gap-2">
+                            <input
+                                type="number"
+                                step={10 ** -fmt.decimals}
+                                value={targetSum}
+                                onChange={(e) => setTargetSum(Number(e.target.value))}
+                                className="flex-1 px-3 py-2 border rounded-md"
+                            />
+                            <button
+                                type="button"
+                                className="px-3 py-2 rounded-md bg-gray-100"
+                                onClick={() => changeLedger(t("history.goalReset"), () => [])}
+                            >
+                                {t("settings.reset")}
+                            </button>
+                        </div>
+                        {!budget && !debt && (
+                            <>
+                                <label className="text-xs text-gray-500">{t("settings.deadline")}</label>
+                                <div className="flex gap-2">
+                                    <input
+                                        type="date"
+                                        value={activeGoal.deadline || ""}
+                                        onChange={(e) => setDeadline(e.target.value || null)}
+                                        className="flex-1 px-3 py-2 border rounded-md"
+                                    />
+                                    {activeGoal.deadline && (
+                                        <button
+                                            type="button"
+                                            className="px-3 py-2 rounded-md bg-gray-100"
+                                            onClick={() => setDeadline(null)}
+                                        >
+                                            {t("common.clear")}
+                                        </button>
+                                    )}
+                                </div>
+                            </>
+                        )}
+                        <div className="text-xs text-gray-400">{t("settings.savedLocally")}</div>
+                        {recovery.length > 0 && (
+                            <div className="p-3 rounded-md bg-amber-50 text-xs text-amber-800 space-y-2">
+                                <div>{t("recovery.notice", { count: recovery.length })}</div>
+                                <div className="flex gap-2">
+                                    <button
+                                        type="button"
+                                        className="px-2 py-1 bg-surface rounded-md"
+                                        onClick={downloadRecovery}
+                                    >
+                                        {t("common.download")}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="px-2 py-1 bg-surface rounded-md"
+                                        onClick={discardRecovery}
+                                    >
+                                        {t("common.discard")}
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                        <GoalManager
+                            goals={goals}
+                            activeGoalId={activeGoal.id}
+                            onCreate={createNewGoal}
+                            onUpdate={patchGoal}
+                            onMove={(id, dir) => setGoals((prev) => moveGoal(prev, id, dir))}
+                            onDelete={deleteGoal}
+                            onSelect={selectGoal}
+                        />
+                        <PartsManager
+                            goal={activeGoal}
+                            fmt={fmt}
+                            onChange={(fn) => updateGoal(activeGoal.id, fn)}
+                        />
+                        <GoalTypeSettings goal={activeGoal} onChange={(patch) => patchGoal(activeGoal.id, patch)} />
+                        {!budget && !debt && (
+                            <MilestoneSettings
+                                goal={activeGoal}
+                                fmt={fmt}
+                                onChange={(fn) => updateGoal(activeGoal.id, fn)}
+                            />
+                        )}
+                        <DisplaySettings
+                            goal={activeGoal}
+                            fmt={fmt}
+                            onChange={(patch) => patchGoal(activeGoal.id, patch)}
+                        />
+                        <RecurringRules
+                            fmt={fmt}
+                            rules={activeGoal.recurring || []}
+                            onChange={setRecurring}
+                        />
+                        <DataTransfer
+                            fmt={fmt}
+                            goals={goals}
+                            activeGoal={activeGoal}
+                            onImportCsv={importCsv}
+                            onImportJson={importJson}
+                        />
+                        <SyncSettings
+                            sync={sync}
+                            status={syncStatus}
+                            fmt={fmt}
+                            onEnable={turnOnSync}
+                            onDisable={turnOffSync}
+                            onSyncNow={runSync}
+                        />
+                        <LockSettings
+                            settings={lockSettings}
+                            onEnable={turnOnLock}
+                            onDisable={turnOffLock}
+                            onChangePassphrase={changePassphrase}
+                            onAutoLockChange={changeAutoLock}
+                            onLockNow={lockNow}
+                        />
+                        <LanguageSettings language={language} onChange={changeLanguage} />
+                        <ThemeSettings theme={theme} onChange={changeTheme} />
+                        <AboutSettings fmt={fmt} />
+                        <div className="mt-4">
+                            <h3 className="text-sm font-medium mb-2">{t("entries.title")}</h3>
+                            <div className="flex items-center gap-2 mb-2">
                                 <button
                                     type="button"
-                                    className="px-3 py-2 rounded-md bg-gray-100"
-                                    onClick={() => {
-                                        setProgress(0);
-                                        setEntries([]);
-                                        cancelEdit();
-                                    }}
+                                    className="px-3 py-2 rounded-md bg-red-50 text-sm"
+                                    onClick={() => setShowClearAlert(true)}
                                 >
-                                    {" "}
-                                    Reset{" "}
+                                    {t("entries.clearAll")}
                                 </button>
-                            </div>
-                            <div className="text-xs text-gray-400">
-                                {" "}
-                                All settings saved locally.{" "}
-                            </div>
-                            <div className="mt-4">
-                                <h3 className="text-sm font-medium mb-2">Manage Entries</h3>
-                                <div className="flex items-center gap-2 mb-2">
+                                <div className="ms-auto flex gap-2">
                                     <button
                                         type="button"
-                                        className="px-3 py-2 rounded-md bg-red-50 text-sm"
-                                        onClick={() => setShowClearAlert(true)}
+                                        className="px-3 py-2 rounded-md bg-gray-100 text-sm disabled:opacity-40"
+                                        disabled={history.past.length === 0}
+                                        onClick={undo}
                                     >
-                                        {" "}
-                                        Clear all{" "}
+                                        {t("common.undo")}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="px-3 py-2 rounded-md bg-gray-100 text-sm disabled:opacity-40"
+                                        disabled={history.future.length === 0}
+                                        onClick={redo}
+                                    >
+                                        {t("common.redo")}
                                     </button>
                                 </div>
-                                {entries.length === 0 ? (
-                                    <div className="text-xs text-gray-500">No entries yet</div>
-                                ) : (
-                                    <ul className="max-h-48 overflow-auto divide-y">
-                                        {entries.map((e, i) => (
-                                            <li
-                                                key={i}
-                                                className="flex items-start justify-between py-2 text-sm"
-                                            >
-                                                <div className="flex-1">
-                                                    {editIdx === i ? (
-                                                        <div className="space-y-2">
-                                                            <div>
-                                                                <label className="text-xs text-gray-500">
-                                                                    {" "}
-                                                                    Amount{" "}
-                                                                </label>
-                                                                <input
-                                                                    type="number"
-                                                                    className="w-full px-2 py-1 border rounded-md mt-1"
-                                                                    value={editAmount}
-                                                                    onChange={(ev) =>
-                                                                        setEditAmount(ev.target.value)
-                                                                    }
-                                                                />
-                                                            </div>
-                                                            <div>
-                                                                <label className="text-xs text-gray-500">
-                                                                    {" "}
-                                                                    Label (optional){" "}
-                                                                </label>
-                                                                <input
-                                                                    type="text"
-                                                                    className="w-full px-2 py-1 border rounded-md mt-1"
-                                                                    value={editName}
-                                                                    onChange={(ev) =>
-                                                                        setEditName(ev.target.value)
-                                                                    }
-                                                                />
-                                                            </div>
-                                                            <div className="flex gap-2 mt-1">
-                                                                <button
-                                                                    type="button"
-                                                                    className="px-3 py-1 bg-blue-600 text-white rounded-md text-xs"
-                                                                    onClick={saveEdit}
-                                                                >
-                                                                    {" "}
-                                                                    Save{" "}
-                                                                </button>
-                                                                <button
-                                                                    type="button"
-                                                                    className="px-3 py-1 bg-gray-100 rounded-md text-xs"
-                                                                    onClick={cancelEdit}
-                                                                >
-                                                                    {" "}
-                                                                    Cancel{" "}
-                                                                </button>
-                                                            </div>
-                                                        </div>
-                                                    ) : (
-                                                        <div>
-                                                            <div className="font-medium">
-                                                                {" "}
-                                                                {e.partName || "—"}{" "}
-                                                            </div>
-                                                            <div className="text-xs text-gray-400">
-                                                                {" "}
-                                                                {new Date(e.date).toLocaleString()}{" "}
-                                                            </div>
-                                                            <div className="text-xs mt-1">
-                                                                {" "}
-                                                                {e.amount >= 0 ? "+" : ""}{" "}
-                                                                {new Intl.NumberFormat().format(e.amount)}{" "}
-                                                            </div>
-                                                        </div>
-                                                    )}
-                                                </div>
-                                                <div className="ml-3 flex-shrink-0 flex flex-col items-end gap-2">
-                                                    {editIdx === i ? null : (
-                                                        <>
-                                                            <button
-                                                                type="button"
-                                                                className="px-2 py-1 bg-gray-100 rounded-md text-xs"
-                                                                onClick={() => startEdit(i)}
-                                                            >
-                                                                {" "}
-                                                                Edit{" "}
-                                                            </button>
-                                                            <button
-                                                                type="button"
-                                                                className="px-2 py-1 bg-red-100 text-red-600 rounded-md text-xs"
-                                                                onClick={() => deleteEntry(i)}
-                                                            >
-                                                                {" "}
-                                                                Delete{" "}
-                                                            </button>
-                                                        </>
-                                                    )}
-                                                </div>
-                                            </li>
-                                        ))}
-                                    </ul>
-                                )}
                             </div>
-                        </div>
-                        <div className="mt-4 flex justify-end">
-                            <button
-                                type="button"
-                                className="px-4 py-2 rounded-md bg-blue-600 text-white"
-                                onClick={() => {
-                                    cancelEdit();
-                                    setShowSettings(false);
-                                }}
-                            >
-                                {" "}
-                                Done{" "}
-                            </button>
+                            <EntriesManager
+                                key={activeGoal.id}
+                                entries={sortedEntries}
+                                parts={parts}
+                                fmt={fmt}
+                                targetSum={targetSum}
+                                onUpdate={updateEntry}
+                                onDelete={deleteEntries}
+                                onRelabel={relabelEntries}
+                            />
                         </div>
                     </div>
-                </div>
+                    <div className="mt-4 flex justify-end">
+                        <button
+                            type="button"
+                            className="px-4 py-2 rounded-md bg-blue-600 text-white"
+                            onClick={() => setShowSettings(false)}
+                        >
+                            {t("common.done")}
+                        </button>
+                    </div>
+                </Modal>
+            )}
+
+            <Snackbar snack={snack} onDismiss={dismissSnack} />
+
+            <UpdatePrompt />
+
+            <MilestoneCelebration celebration={celebration} onDismiss={dismissCelebration} />
+
+            <div role="status" aria-live="polite" className="sr-only">
+                {announcement}
+            </div>
+
+            {quickAdd && (
+                <QuickAddDialog
+                    request={quickAdd}
+                    goals={goals}
+                    activeGoalId={activeGoal.id}
+                    onConfirm={confirmQuickAdd}
+                    onCancel={() => setQuickAdd(null)}
+                />
             )}
 
             {/* Clear all confirmation alert */}
             {showClearAlert && (
-                <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
-                    <div className="bg-white rounded-lg p-6 w-80">
-                        <h2 className="text-lg font-semibold mb-4">Clear all entries?</h2>
-                        <div className="flex justify-end gap-4">
-                            <button
-                                type="button"
-                                className="px-4 py-2  bg-gray-100  rounded-md"
-                                onClick={clearAllEntries}
-                            >
-                                {" "}
-                                Yes{" "}
-                            </button>
-                            <button
-                                type="button"
-                                className="px-4 py-2 bg-red-500 text-white rounded-md"
-                                onClick={() => setShowClearAlert(false)}
-                            >
-                                {" "}
-                                Fuck, no!{" "}
-                            </button>
-
-                        </div>
+                <Modal
+                    role="alertdialog"
+                    labelledBy="clear-all-title"
+                    onClose={() => setShowClearAlert(false)}
+                    className="bg-surface rounded-lg p-6 w-80"
+                >
+                    <h2 id="clear-all-title" className="text-lg font-semibold mb-4">
+                        {t("entries.clearAllConfirm")}
+                    </h2>
+                    <div className="flex justify-end gap-4">
+                        <button
+                            type="button"
+                            className="px-4 py-2 bg-red-500 text-white rounded-md"
+                            onClick={clearAllEntries}
+                        >
+                            {t("entries.clearAllYes")}
+                        </button>
+                        <button
+                            type="button"
+                            className="px-4 py-2 bg-gray-100 rounded-md"
+                            onClick={() => setShowClearAlert(false)}
+                            data-autofocus
+                        >
+                            {t("common.cancel")}
+                        </button>
                     </div>
-                </div>
+                </Modal>
             )}
-
         </div>
+        </ThemeContext.Provider>
+        </I18nContext.Provider>
     );
 }
\ No newline at end of file
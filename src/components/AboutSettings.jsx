@@ -0,0 +1,69 @@
+/* AboutSettings.jsx
+  Settings section with the app version and build date (injected by vite.config.js) and whether the
+  browser keeps the data persistently (lib/deviceStorage.js), with a button to ask again.
+*/
+import React, { useEffect, useState } from "react";
+import { requestPersistence, storageStatus } from "../lib/deviceStorage.js";
+import { useT } from "../lib/i18n.js";
+
+const BYTE_UNITS = ["byte", "kilobyte", "megabyte", "gigabyte"];
+
+function formatBytes(bytes, locale) {
+    let unit = 0;
+    while (bytes >= 1024 && unit < BYTE_UNITS.length - 1) {
+        bytes /= 1024;
+        unit += 1;
+    }
+    const options = { style: "unit", unit: BYTE_UNITS[unit], maximumFractionDigits: unit === 0 ? 0 : 1 };
+    return new Intl.NumberFormat(locale, options).format(bytes);
+}
+
+export default function AboutSettings({ fmt }) {
+    const t = useT();
+    const [status, setStatus] = useState(null);
+    const [asked, setAsked] = useState(false);
+
+    useEffect(() => {
+        storageStatus()
+            .then(setStatus)
+            .catch((err) => console.error("Failed reading storage status", err));
+    }, []);
+
+    function askPersistence() {
+        requestPersistence()
+            .then(() => storageStatus())
+            .then((next) => {
+                setStatus(next);
+                setAsked(true);
+            })
+            .catch((err) => console.error("Failed requesting persistent storage", err));
+    }
+
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">{t("about.title")}</h3>
+            <div className="text-xs text-gray-500 space-y-1">
+                <div>{t("about.version", { version: __APP_VERSION__, date: fmt.dateTime(__BUILD_DATE__) })}</div>
+                {status && !status.supported && <div>{t("about.unsupported")}</div>}
+                {status && status.supported && (
+                    <div>
+                        {status.persisted ? t("about.persisted") : t("about.bestEffort")}
+                        {status.usage !== null && ` ${t("about.usage", { size: formatBytes(status.usage, t.locale) })}`}
+                    </div>
+                )}
+                {status && status.supported && !status.persisted && asked && (
+                    <div className="text-amber-700">{t("about.declined")}</div>
+                )}
+            </div>
+            {status && status.supported && !status.persisted && (
+                <button
+                    type="button"
+                    className="mt-2 px-3 py-2 rounded-md bg-gray-100 text-sm"
+                    onClick={askPersistence}
+                >
+                    {t("about.persist")}
+                </button>
+            )}
+        </div>
+    );
+}
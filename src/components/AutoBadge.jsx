@@ -0,0 +1,14 @@
+/* AutoBadge.jsx
+  Small "auto" tag shown next to entries booked by a recurring rule.
+*/
+import React from "react";
+import { useT } from "../lib/i18n.js";
+
+export default function AutoBadge() {
+    const t = useT();
+    return (
+        <span className="ms-1 px-1 rounded bg-blue-100 text-blue-700 text-[10px] align-middle">
+            {t("recurring.autoBadge")}
+        </span>
+    );
+}
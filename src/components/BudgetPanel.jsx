@@ -0,0 +1,51 @@
+/* BudgetPanel.jsx
+  Main-card summary for a goal in budget mode (lib/budget.js), in place of the forecast:
+  the open period, what was carried over, a daily allowance for the days left, and the streak of
+  periods that stayed within budget.
+*/
+import React, { useMemo } from "react";
+import { budgetStatus, budgetStreak } from "../lib/budget.js";
+import { useT } from "../lib/i18n.js";
+
+export default function BudgetPanel({ goal, fmt }) {
+    const t = useT();
+    const status = useMemo(() => budgetStatus(goal), [goal]);
+    const streak = useMemo(() => budgetStreak(goal), [goal]);
+
+    return (
+        <div className="w-full text-sm text-gray-600 space-y-1">
+            <div className="flex justify-between">
+                <span>{t("budget.thisPeriod")}</span>
+                <span className="font-medium">
+                    {fmt.date(`${status.start}T00:00`)} – {fmt.date(`${status.end}T00:00`)}
+                </span>
+            </div>
+            {goal.budget.carryOver && status.carryIn !== 0 && (
+                <div className="flex justify-between">
+                    <span>{t("budget.carriedOver")}</span>
+                    <span className={`font-medium ${status.carryIn < 0 ? "text-red-600" : ""}`}>
+                        {fmt.signed(status.carryIn)}
+                    </span>
+                </div>
+            )}
+            <div className="flex justify-between">
+                <span>{t("budget.spent")}</span>
+                <span className="font-medium">
+                    {t("common.amountOf", { amount: fmt.format(status.spent), target: fmt.format(status.available) })}
+                </span>
+            </div>
+            <div className="flex justify-between">
+                <span>{t("budget.perDay", { count: status.daysLeft })}</span>
+                <span className={`font-medium ${status.overspent ? "text-red-600" : ""}`}>
+                    {status.overspent ? t("budget.over") : fmt.format(status.left / status.daysLeft)}
+                </span>
+            </div>
+            {streak > 0 && (
+                <div className="flex justify-between">
+                    <span>{t("budget.streak")}</span>
+                    <span className="font-medium text-green-600">{t("budget.streakValue", { count: streak })}</span>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,217 @@
+/* DataTransfer.jsx
+  Settings section for exporting (CSV / JSON backup) and importing entries.
+  Importing shows a preview first; the user then picks merge (skip duplicates) or replace.
+*/
+import React, { useRef, useState } from "react";
+import { downloadFile } from "../lib/download.js";
+import { useT } from "../lib/i18n.js";
+import {
+    entriesToCsv,
+    goalsToBackup,
+    planCsvImport,
+    planJsonImport,
+} from "../lib/transfer.js";
+
+function slug(name) {
+    return (name || "goal").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "goal";
+}
+
+// Entries that would be written and duplicates skipped for the chosen mode
+function summarize(plan, mode) {
+    if (plan.kind === "csv") {
+        return {
+            toAdd: mode === "replace" ? plan.entries : plan.fresh,
+            duplicateCount: plan.duplicates,
+        };
+    }
+    return {
+        toAdd: plan.goals.flatMap((p) => (mode === "replace" ? p.goal.entries : p.fresh)),
+        duplicateCount: plan.goals.reduce((n, p) => n + p.duplicates, 0),
+    };
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+export default function DataTransfer({ fmt, goals, activeGoal, onImportCsv, onImportJson }) {
+    const t = useT();
+    const fileRef = useRef(null);
+    const [plan, setPlan] = useState(null);
+    const [fileName, setFileName] = useState("");
+    const [mode, setMode] = useState("merge");
+
+    function exportCsv() {
+        downloadFile(
+            `${slug(activeGoal.name)}-${today()}.csv`,
+            entriesToCsv(activeGoal.entries),
+            "text/csv;charset=utf-8"
+        );
+    }
+
+    function exportJson() {
+        downloadFile(
+            `pocket-progress-backup-${today()}.json`,
+            goalsToBackup(goals),
+            "application/json"
+        );
+    }
+
+    async function onFile(ev) {
+        const file = ev.target.files && ev.target.files[0];
+        ev.target.value = "";
+        if (!file) return;
+        const text = await file.text();
+        const isJson = /\.json$/i.test(file.name) || text.trim().startsWith("{");
+        setFileName(file.name);
+        setMode("merge");
+        setPlan(
+            isJson
+                ? planJsonImport(text, goals, t("goals.importedName"))
+                : planCsvImport(text, activeGoal, fmt.locale || navigator.language)
+        );
+    }
+
+    function confirmImport() {
+        if (plan.kind === "csv") onImportCsv(plan, mode);
+        else onImportJson(plan, mode);
+        setPlan(null);
+    }
+
+    const { toAdd, duplicateCount } = plan ? summarize(plan, mode) : { toAdd: [], duplicateCount: 0 };
+
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">{t("transfer.title")}</h3>
+            <div className="flex flex-wrap gap-2">
+                <button
+                    type="button"
+                    className="px-3 py-2 rounded-md bg-gray-100 text-sm"
+                    onClick={exportCsv}
+                >
+                    {t("transfer.exportCsv")}
+                </button>
+                <button
+                    type="button"
+                    className="px-3 py-2 rounded-md bg-gray-100 text-sm"
+                    onClick={exportJson}
+                >
+                    {t("transfer.backupJson")}
+                </button>
+                <button
+                    type="button"
+                    className="px-3 py-2 rounded-md bg-gray-100 text-sm"
+                    onClick={() => fileRef.current && fileRef.current.click()}
+                >
+                    {t("transfer.importFile")}
+                </button>
+                <input
+                    ref={fileRef}
+                    type="file"
+                    accept=".csv,.json,text/csv,application/json"
+                    className="hidden"
+                    onChange={onFile}
+                />
+            </div>
+            <div className="text-xs text-gray-400 mt-1">
+                {t("transfer.hint", { goal: activeGoal.name })}
+            </div>
+
+            {plan && (
+                <div className="mt-3 p-3 border rounded-md text-sm space-y-2">
+                    <div className="font-medium">{fileName}</div>
+                    {plan.kind === "json" && plan.goals.length > 0 && (
+                        <ul className="text-xs text-gray-600">
+                            {plan.goals.map((p) => (
+                                <li key={p.goal.id}>
+                                    {t(p.existing ? "transfer.goalEntries" : "transfer.newGoalEntries", {
+                                        goal: p.goal.name,
+                                        count: p.goal.entries.length,
+                                    })}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <div className="text-xs text-gray-600">
+                        {t("transfer.willAdd", { count: toAdd.length })}
+                        {mode === "merge" && duplicateCount > 0
+                            ? ` ${t("transfer.duplicatesSkipped", { count: duplicateCount })}`
+                            : ""}
+                        {mode === "replace"
+                            ? ` ${
+                                  plan.kind === "csv"
+                                      ? t("transfer.replacingEntries", { goal: activeGoal.name })
+                                      : t("transfer.replacingGoals")
+                              }`
+                            : ""}
+                    </div>
+                    {toAdd.length > 0 && (
+                        <ul className="max-h-24 overflow-auto text-xs divide-y">
+                            {toAdd.slice(0, 20).map((e) => (
+                                <li key={e.id} className="flex justify-between py-1">
+                                    <span>
+                                        {fmt.dateTime(e.date)} · {e.partName || "—"}
+                                    </span>
+                                    <span>
+                                        {fmt.signed(e.amount)}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {plan.errors.length > 0 && (
+                        <ul className="max-h-20 overflow-auto text-xs text-red-600">
+                            {plan.errors.map((err, i) => (
+                                <li key={i}>
+                                    {err.line ? t("transfer.line", { line: err.line }) : ""}
+                                    {t(`transfer.error.${err.code}`, err.values)}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <div className="flex items-center gap-4 text-xs">
+                        <label className="flex items-center gap-1">
+                            <input
+                                type="radio"
+                                name="import-mode"
+                                checked={mode === "merge"}
+                                onChange={() => setMode("merge")}
+                            />
+                            {t("transfer.merge")}
+                        </label>
+                        <label className="flex items-center gap-1">
+                            <input
+                                type="radio"
+                                name="import-mode"
+                                checked={mode === "replace"}
+                                onChange={() => setMode("replace")}
+                            />
+                            {t("transfer.replace")}
+                        </label>
+                    </div>
+                    <div className="flex gap-2">
+                        <button
+                            type="button"
+                            className="px-3 py-1 bg-blue-600 text-white rounded-md text-xs disabled:opacity-40"
+                            disabled={
+                                plan.kind === "csv"
+                                    ? mode === "merge" && toAdd.length === 0
+                                    : plan.goals.length === 0
+                            }
+                            onClick={confirmImport}
+                        >
+                            {t("transfer.import")}
+                        </button>
+                        <button
+                            type="button"
+                            className="px-3 py-1 bg-gray-100 rounded-md text-xs"
+                            onClick={() => setPlan(null)}
+                        >
+                            {t("common.cancel")}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,73 @@
+/* DebtPanel.jsx
+  Main-card summary for a goal in debt payoff mode (lib/debt.js), in place of the forecast: interest so
+  far, the payoff date and total interest at the recent payment pace, and what the payment waiting on
+  the knob would change before it is committed.
+*/
+import React, { useMemo } from "react";
+import { PACE_UNITS } from "../lib/forecast.js";
+import { debtStatus, projectPayoff } from "../lib/debt.js";
+import { useT } from "../lib/i18n.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default function DebtPanel({ goal, fmt, extra }) {
+    const t = useT();
+    const status = useMemo(() => debtStatus(goal), [goal]);
+    const plan = useMemo(() => projectPayoff(goal), [goal]);
+    const preview = useMemo(() => (extra > 0 ? projectPayoff(goal, extra) : null), [goal, extra]);
+    const formatDate = (d) => d.toLocaleDateString(fmt.locale, { dateStyle: "medium" });
+
+    if (status.principal <= 0) {
+        return <div className="text-sm text-green-600 font-medium">{t("debt.paidOff")}</div>;
+    }
+
+    let payoff;
+    if (plan.perDay === null) payoff = t("debt.noPayments");
+    else if (plan.payoffDate === null) payoff = t("debt.notAtPace");
+    else payoff = formatDate(plan.payoffDate);
+
+    // What the payment waiting on the knob would change
+    let effect = null;
+    if (preview) {
+        const amount = fmt.format(extra);
+        if (extra >= status.principal) effect = t("debt.previewPaysOff", { amount });
+        else if (!preview.payoffDate) effect = t("debt.previewNotPaidOff", { amount });
+        else if (!plan.payoffDate) {
+            effect = t("debt.previewPaidOffOn", { amount, date: formatDate(preview.payoffDate) });
+        } else {
+            const days = Math.round((plan.payoffDate - preview.payoffDate) / DAY_MS);
+            const saved = plan.totalInterest - preview.totalInterest;
+            effect = t("debt.previewSooner", { amount, count: days, interest: fmt.format(saved) });
+        }
+    }
+
+    return (
+        <div className="w-full text-sm text-gray-600 space-y-1">
+            <div className="flex justify-between">
+                <span>{t("debt.interestSoFar")}</span>
+                <span className="font-medium">{fmt.format(status.interest)}</span>
+            </div>
+            {plan.perDay !== null && (
+                <div className="flex justify-between">
+                    <span>{t("debt.perMonth")}</span>
+                    <span className="font-medium">{fmt.format(plan.perDay * PACE_UNITS.month)}</span>
+                </div>
+            )}
+            <div className="flex justify-between">
+                <span>{t("debt.projectedPayoff")}</span>
+                <span className="font-medium">{payoff}</span>
+            </div>
+            {plan.totalInterest !== null && (
+                <div className="flex justify-between">
+                    <span>{t("debt.totalInterest")}</span>
+                    <span className="font-medium">{fmt.format(plan.totalInterest)}</span>
+                </div>
+            )}
+            {effect && (
+                <div className="p-2 rounded-md bg-blue-50 text-blue-800 text-xs">
+                    {effect}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,110 @@
+/* Dial.jsx
+  The progress dial on the main card, in the active goal's dial style (lib/theme.js):
+  - "donut": the full ring, filling from the top clockwise (counter-clockwise right to left).
+  - "gauge": a half ring over the readout, filling from the start side.
+  - "bar": a linear bar under the readout.
+  `slices` are { value, color, opacity } in fill order; the readout (children) sits inside the ring,
+  under the gauge's arc or above the bar. onSliceClick gets the index of a tapped slice.
+*/
+import React from "react";
+import { Cell, Pie, PieChart } from "recharts";
+import { useT } from "../lib/i18n.js";
+import { useThemeColors } from "../lib/theme.js";
+
+const INNER_RADIUS = 68;
+const OUTER_RADIUS = 96;
+const SIZE = 220;
+
+function Ring({ slices, onSliceClick, width, height, cy, startAngle, endAngle }) {
+    const colors = useThemeColors();
+    return (
+        <PieChart width={width} height={height}>
+            <Pie
+                data={slices}
+                dataKey="value"
+                cy={cy}
+                innerRadius={INNER_RADIUS}
+                outerRadius={OUTER_RADIUS}
+                startAngle={startAngle}
+                endAngle={endAngle}
+                stroke={colors.surface}
+                isAnimationActive={false}
+                onClick={onSliceClick ? (_, index) => onSliceClick(index) : undefined}
+            >
+                {slices.map((slice, i) => (
+                    <Cell
+                        key={i}
+                        fill={slice.color}
+                        fillOpacity={slice.opacity ?? 1}
+                        className={onSliceClick ? "cursor-pointer" : undefined}
+                    />
+                ))}
+            </Pie>
+        </PieChart>
+    );
+}
+
+export default function Dial({ variant = "donut", slices, label, onSliceClick, children }) {
+    const t = useT();
+    const rtl = t.dir === "rtl";
+
+    if (variant === "bar") {
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+        return (
+            <div className="w-full flex flex-col items-center gap-3 py-2" role="img" aria-label={label}>
+                <div className="flex flex-col items-center">{children}</div>
+                <div className="w-full h-5 flex rounded-full overflow-hidden bg-gray-200">
+                    {total > 0 &&
+                        slices.map((slice, i) => (
+                            <div
+                                key={i}
+                                className={`h-full ${onSliceClick ? "cursor-pointer" : ""}`}
+                                style={{
+                                    width: `${(slice.value / total) * 100}%`,
+                                    backgroundColor: slice.color,
+                                    opacity: slice.opacity ?? 1,
+                                }}
+                                onClick={onSliceClick ? () => onSliceClick(i) : undefined}
+                            />
+                        ))}
+                </div>
+            </div>
+        );
+    }
+
+    if (variant === "gauge") {
+        const height = SIZE / 2 + 24;
+        return (
+            <div className="relative flex flex-col items-center" role="img" aria-label={label}>
+                <Ring
+                    slices={slices}
+                    onSliceClick={onSliceClick}
+                    width={SIZE}
+                    height={height}
+                    cy={SIZE / 2 + 12}
+                    startAngle={rtl ? 0 : 180}
+                    endAngle={rtl ? 180 : 0}
+                />
+                <div className="absolute inset-x-0 bottom-0 flex flex-col items-center pointer-events-none">
+                    {children}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="relative flex flex-col items-center" role="img" aria-label={label}>
+            <Ring
+                slices={slices}
+                onSliceClick={onSliceClick}
+                width={SIZE}
+                height={SIZE}
+                startAngle={90}
+                endAngle={rtl ? 450 : -270}
+            />
+            <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none">
+                {children}
+            </div>
+        </div>
+    );
+}
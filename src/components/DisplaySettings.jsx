@@ -0,0 +1,181 @@
+/* DisplaySettings.jsx
+  Settings section for how the active goal's amounts are shown and entered:
+  number / currency / custom unit, decimals, locale, quick-step buttons, knob step and dial style.
+*/
+import React, { useEffect, useState } from "react";
+import {
+    COMMON_CURRENCIES,
+    COMMON_LOCALES,
+    goalDisplay,
+    goalKnobStep,
+    goalQuickSteps,
+} from "../lib/format.js";
+import { useT } from "../lib/i18n.js";
+import { DIAL_STYLES, goalDialStyle } from "../lib/theme.js";
+import { parseLocaleNumber } from "../lib/transfer.js";
+
+function stepsToText(steps) {
+    return steps.join(" ");
+}
+
+export default function DisplaySettings({ goal, fmt, onChange }) {
+    const t = useT();
+    const display = goalDisplay(goal);
+    const [stepsText, setStepsText] = useState(stepsToText(goalQuickSteps(goal)));
+    const [badStep, setBadStep] = useState(null);
+
+    // Reload the text field when switching goals
+    useEffect(() => {
+        setStepsText(stepsToText(goalQuickSteps(goal)));
+        setBadStep(null);
+    }, [goal.id]);
+
+    function setDisplay(patch) {
+        onChange({ display: { ...display, ...patch } });
+    }
+
+    function commitSteps() {
+        const words = stepsText.split(/\s+/).filter(Boolean);
+        // Keep the text for correcting rather than dropping a step that doesn't parse ("+1k")
+        const bad = words.find((word) => !Number.isFinite(parseLocaleNumber(word, fmt.locale)));
+        setBadStep(bad ?? null);
+        if (bad !== undefined) return;
+        const steps = words.map((word) => parseLocaleNumber(word, fmt.locale)).filter((n) => n !== 0);
+        if (steps.length === 0) {
+            setStepsText(stepsToText(goalQuickSteps(goal)));
+            return;
+        }
+        onChange({ quickSteps: steps });
+        setStepsText(stepsToText(steps));
+    }
+
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">{t("display.title")}</h3>
+            <div className="grid grid-cols-2 gap-2 text-xs text-gray-500">
+                <label>
+                    {t("display.showAs")}
+                    <select
+                        value={display.kind}
+                        onChange={(e) => setDisplay({ kind: e.target.value })}
+                        className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                    >
+                        <option value="plain">{t("display.kind.plain")}</option>
+                        <option value="currency">{t("display.kind.currency")}</option>
+                        <option value="unit">{t("display.kind.unit")}</option>
+                    </select>
+                </label>
+                {display.kind === "currency" && (
+                    <label>
+                        {t("display.currencyCode")}
+                        <input
+                            type="text"
+                            list="currency-codes"
+                            maxLength={3}
+                            value={display.currency}
+                            onChange={(e) => setDisplay({ currency: e.target.value.toUpperCase() })}
+                            className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                        />
+                        <datalist id="currency-codes">
+                            {COMMON_CURRENCIES.map((c) => (
+                                <option key={c} value={c} />
+                            ))}
+                        </datalist>
+                    </label>
+                )}
+                {display.kind === "unit" && (
+                    <label>
+                        {t("display.unitSymbol")}
+                        <input
+                            type="text"
+                            placeholder={t("display.unitPlaceholder")}
+                            value={display.unit}
+                            onChange={(e) => setDisplay({ unit: e.target.value })}
+                            className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                        />
+                    </label>
+                )}
+                <label>
+                    {t("display.decimals")}
+                    <select
+                        value={display.decimals}
+                        onChange={(e) => setDisplay({ decimals: Number(e.target.value) })}
+                        className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                    >
+                        {[0, 1, 2, 3].map((n) => (
+                            <option key={n} value={n}>
+                                {n}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    {t("display.locale")}
+                    <select
+                        value={display.locale}
+                        onChange={(e) => setDisplay({ locale: e.target.value })}
+                        className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                    >
+                        <option value="">{t("display.localeDefault")}</option>
+                        {COMMON_LOCALES.map((l) => (
+                            <option key={l} value={l}>
+                                {l}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    {t("display.knobStep")}
+                    <input
+                        type="number"
+                        min={10 ** -display.decimals}
+                        step={10 ** -display.decimals}
+                        value={goalKnobStep(goal)}
+                        onChange={(e) => {
+                            const v = Number(e.target.value);
+                            if (v > 0) onChange({ knobStep: v });
+                        }}
+                        className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                    />
+                </label>
+                <label className="col-span-2">
+                    {t("display.quickSteps")}
+                    <input
+                        type="text"
+                        value={stepsText}
+                        onChange={(e) => setStepsText(e.target.value)}
+                        onBlur={commitSteps}
+                        onKeyDown={(e) => {
+                            if (e.key === "Enter") commitSteps();
+                        }}
+                        aria-invalid={badStep !== null}
+                        className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                    />
+                    {badStep !== null && (
+                        <div className="text-red-600 mt-1">{t("display.invalidStep", { value: badStep })}</div>
+                    )}
+                </label>
+                <label className="col-span-2">
+                    {t("display.dialStyle")}
+                    <select
+                        value={goalDialStyle(goal)}
+                        onChange={(e) => onChange({ dialStyle: e.target.value })}
+                        className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                    >
+                        {DIAL_STYLES.map((value) => (
+                            <option key={value} value={value}>
+                                {t(`dial.style.${value}`)}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <div className="text-xs text-gray-400 mt-1">
+                {t("display.preview", {
+                    amount: fmt.format(1234.5),
+                    buttons: goalQuickSteps(goal).map(fmt.compactSigned).join(" "),
+                })}
+            </div>
+        </div>
+    );
+}
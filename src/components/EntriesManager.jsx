@@ -0,0 +1,477 @@
+/* EntriesManager.jsx
+  Settings list of the active goal's entries:
+  - Text search over labels and notes; filters for deposits / withdrawals, label and date range.
+  - Optional grouping by day or month with a subtotal per group.
+  - Inline editor (amount, label or part, date & time, note) per entry.
+  - Bulk selection to delete or relabel several entries at once.
+  - The list is virtualized (VirtualList.jsx) and loads further rows as it is scrolled, so years of
+    daily entries don't all render at once.
+  Totals of the filtered entries are shown next to the goal's overall progress.
+*/
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import AutoBadge from "./AutoBadge.jsx";
+import VirtualList from "./VirtualList.jsx";
+import { toLocalInputValue } from "../lib/goals.js";
+import { roundTo } from "../lib/format.js";
+import { useT } from "../lib/i18n.js";
+import {
+    EMPTY_FILTERS,
+    entryLabels,
+    filterEntries,
+    groupEntries,
+    hasActiveFilters,
+    totals,
+} from "../lib/entryFilters.js";
+
+const NO_LABEL = "\u0000none"; // select value for "entries without a label"
+const ANY_LABEL = "";
+const PAGE_SIZE = 50; // rows loaded per step of the infinite scroll
+const ROW_HEIGHT = 76; // estimated height of an entry row until it is measured
+
+// List rows are entries and, when grouping, the groups ({ key, entries, totals }) ahead of their entries
+function isGroup(row) {
+    return "totals" in row;
+}
+
+function rowKey(row) {
+    return isGroup(row) ? `group:${row.key}` : row.id;
+}
+
+function groupTitle(key, by, locale) {
+    const [y, m, d] = key.split("-").map(Number);
+    const date = new Date(y, m - 1, d || 1);
+    return by === "month"
+        ? date.toLocaleDateString(locale, { month: "long", year: "numeric" })
+        : date.toLocaleDateString(locale, { weekday: "short", month: "short", day: "numeric", year: "numeric" });
+}
+
+// Label input that becomes a part picker once the goal has parts
+function LabelField({ parts, value, onChange, className }) {
+    const t = useT();
+    if (parts.length === 0) {
+        return (
+            <input
+                type="text"
+                className={className}
+                value={value}
+                onChange={(ev) => onChange(ev.target.value)}
+            />
+        );
+    }
+    return (
+        <select className={className} value={value} onChange={(ev) => onChange(ev.target.value)}>
+            <option value="">{t("entries.noPart")}</option>
+            {parts.map((p) => (
+                <option key={p.id} value={p.name}>
+                    {p.name}
+                </option>
+            ))}
+            {/* Keep a free-text label from before the goal had parts */}
+            {value && !parts.some((p) => p.name === value) && (
+                <option value={value}>{t("entries.notAPart", { label: value })}</option>
+            )}
+        </select>
+    );
+}
+
+function EntryEditor({ entry, parts, fmt, onSave, onCancel }) {
+    const t = useT();
+    const [amount, setAmount] = useState(String(entry.amount));
+    const [name, setName] = useState(entry.partName || "");
+    const [date, setDate] = useState(toLocalInputValue(entry.date));
+    const [note, setNote] = useState(entry.note || "");
+
+    function save() {
+        const parsed = roundTo(Number(amount), fmt.decimals);
+        if (amount.trim() === "" || Number.isNaN(parsed)) {
+            alert(t("entries.invalidAmount"));
+            return;
+        }
+        const when = new Date(date);
+        if (Number.isNaN(when.getTime())) {
+            alert(t("entries.invalidDate"));
+            return;
+        }
+        onSave({
+            amount: parsed,
+            partName: name ? name.trim() : null,
+            date: when.toISOString(),
+            note: note.trim() || null,
+        });
+    }
+
+    return (
+        <div className="space-y-2">
+            <div>
+                <label className="text-xs text-gray-500">
+                    {fmt.symbol ? t("entries.amountIn", { symbol: fmt.symbol }) : t("entries.amount")}
+                </label>
+                <input
+                    type="number"
+                    step={10 ** -fmt.decimals}
+                    className="w-full px-2 py-1 border rounded-md mt-1"
+                    value={amount}
+                    onChange={(ev) => setAmount(ev.target.value)}
+                />
+            </div>
+            <div>
+                <label className="text-xs text-gray-500">
+                    {parts.length > 0 ? t("entries.part") : t("entries.labelOptional")}
+                </label>
+                <LabelField
+                    parts={parts}
+                    value={name}
+                    onChange={setName}
+                    className="w-full px-2 py-1 border rounded-md mt-1"
+                />
+            </div>
+            <div>
+                <label className="text-xs text-gray-500">{t("entries.dateTime")}</label>
+                <input
+                    type="datetime-local"
+                    className="w-full px-2 py-1 border rounded-md mt-1"
+                    value={date}
+                    onChange={(ev) => setDate(ev.target.value)}
+                />
+            </div>
+            <div>
+                <label className="text-xs text-gray-500">{t("entries.noteOptional")}</label>
+                <textarea
+                    rows={2}
+                    className="w-full px-2 py-1 border rounded-md mt-1"
+                    value={note}
+                    onChange={(ev) => setNote(ev.target.value)}
+                />
+            </div>
+            <div className="flex gap-2 mt-1">
+                <button
+                    type="button"
+                    className="px-3 py-1 bg-blue-600 text-white rounded-md text-xs"
+                    onClick={save}
+                >
+                    {t("common.save")}
+                </button>
+                <button
+                    type="button"
+                    className="px-3 py-1 bg-gray-100 rounded-md text-xs"
+                    onClick={onCancel}
+                >
+                    {t("common.cancel")}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+function TotalsLine({ label, sums, fmt }) {
+    const t = useT();
+    return (
+        <div className="flex flex-wrap justify-between gap-x-3">
+            <span className="text-gray-500">{t("entries.totalsLabel", { label, count: sums.count })}</span>
+            <span>
+                <span className="text-green-700">{fmt.signed(sums.deposits)}</span>{" "}
+                <span className="text-red-600">{fmt.format(sums.withdrawals)}</span> ={" "}
+                <span className="font-medium">{fmt.signed(sums.net)}</span>
+            </span>
+        </div>
+    );
+}
+
+export default function EntriesManager({ entries, parts, fmt, targetSum, onUpdate, onDelete, onRelabel }) {
+    const t = useT();
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [groupBy, setGroupBy] = useState("none");
+    const [editId, setEditId] = useState(null);
+    const [selected, setSelected] = useState(() => new Set());
+    const [bulkLabel, setBulkLabel] = useState("");
+
+    const setFilter = (field) => (value) => setFilters((f) => ({ ...f, [field]: value }));
+
+    const labels = useMemo(() => {
+        const names = new Set([...parts.map((p) => p.name), ...entryLabels(entries)]);
+        return Array.from(names).sort((a, b) => a.localeCompare(b));
+    }, [parts, entries]);
+
+    const visible = useMemo(() => filterEntries(entries, filters), [entries, filters]);
+    const rows = useMemo(
+        () => (groupBy === "none" ? visible : groupEntries(visible, groupBy).flatMap((g) => [g, ...g.entries])),
+        [visible, groupBy]
+    );
+    const overall = totals(entries);
+    const shown = totals(visible);
+    const filtered = hasActiveFilters(filters);
+
+    // Rows are loaded a page at a time as the list is scrolled, starting over when the view changes
+    const [limit, setLimit] = useState(PAGE_SIZE);
+    useEffect(() => setLimit(PAGE_SIZE), [filters, groupBy]);
+    const loaded = useMemo(() => (rows.length > limit ? rows.slice(0, limit) : rows), [rows, limit]);
+    const showMore = useCallback(() => setLimit((n) => n + PAGE_SIZE), []);
+
+    // Selection only ever refers to entries still in the ledger (undo or a delete may remove them)
+    const selectedIds = selected.size > 0 ? entries.filter((e) => selected.has(e.id)).map((e) => e.id) : [];
+    const allVisibleSelected = visible.length > 0 && visible.every((e) => selected.has(e.id));
+
+    function toggle(id) {
+        setSelected((prev) => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+    }
+
+    function toggleAllVisible() {
+        setSelected((prev) => {
+            const next = new Set(prev);
+            for (const e of visible) {
+                if (allVisibleSelected) next.delete(e.id);
+                else next.add(e.id);
+            }
+            return next;
+        });
+    }
+
+    function deleteSelected() {
+        if (selectedIds.length === 0) return;
+        onDelete(selectedIds);
+        setSelected(new Set());
+    }
+
+    function relabelSelected() {
+        if (selectedIds.length === 0) return;
+        onRelabel(selectedIds, bulkLabel.trim() || null);
+        setSelected(new Set());
+        setBulkLabel("");
+    }
+
+    function saveEdit(fields) {
+        onUpdate(editId, fields);
+        setEditId(null);
+    }
+
+    function renderRow(row) {
+        if (isGroup(row)) {
+            return (
+                <div className="bg-surface flex justify-between py-1 text-xs font-medium text-gray-600">
+                    <span>{groupTitle(row.key, groupBy, fmt.locale)}</span>
+                    <span>{fmt.signed(row.totals.net)}</span>
+                </div>
+            );
+        }
+        const e = row;
+        return (
+            <div className="flex items-start gap-2 py-2 text-sm">
+                {editId !== e.id && (
+                    <input
+                        type="checkbox"
+                        className="mt-1"
+                        checked={selected.has(e.id)}
+                        onChange={() => toggle(e.id)}
+                    />
+                )}
+                <div className="flex-1">
+                    {editId === e.id ? (
+                        <EntryEditor
+                            entry={e}
+                            parts={parts}
+                            fmt={fmt}
+                            onSave={saveEdit}
+                            onCancel={() => setEditId(null)}
+                        />
+                    ) : (
+                        <div>
+                            <div className="font-medium">
+                                {" "}
+                                {e.partName || "—"}{" "}
+                                {e.auto && <AutoBadge />}
+                            </div>
+                            <div className="text-xs text-gray-400">
+                                {" "}
+                                {fmt.dateTime(e.date)}{" "}
+                            </div>
+                            <div className="text-xs mt-1">
+                                {" "}
+                                {fmt.signed(e.amount)}{" "}
+                            </div>
+                            {e.note && (
+                                <div className="text-xs text-gray-500 italic mt-1 whitespace-pre-line">
+                                    {e.note}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+                {editId !== e.id && (
+                    <div className="ms-1 flex-shrink-0 flex flex-col items-end gap-2">
+                        <button
+                            type="button"
+                            className="px-2 py-1 bg-gray-100 rounded-md text-xs"
+                            onClick={() => setEditId(e.id)}
+                        >
+                            {t("common.edit")}
+                        </button>
+                        <button
+                            type="button"
+                            className="px-2 py-1 bg-red-100 text-red-600 rounded-md text-xs"
+                            onClick={() => onDelete([e.id])}
+                        >
+                            {t("common.delete")}
+                        </button>
+                    </div>
+                )}
+            </div>
+        );
+    }
+
+    if (entries.length === 0) {
+        return <div className="text-xs text-gray-500">{t("dial.noEntries")}</div>;
+    }
+
+    const labelValue = filters.label === null ? ANY_LABEL : filters.label === "" ? NO_LABEL : filters.label;
+
+    return (
+        <div className="space-y-2">
+            <input
+                type="search"
+                placeholder={t("entries.search")}
+                className="w-full px-2 py-1 border rounded-md text-sm"
+                value={filters.text}
+                onChange={(ev) => setFilter("text")(ev.target.value)}
+            />
+            <div className="grid grid-cols-2 gap-2 text-xs">
+                <select
+                    className="px-2 py-1 border rounded-md"
+                    value={filters.type}
+                    onChange={(ev) => setFilter("type")(ev.target.value)}
+                >
+                    <option value="all">{t("entries.type.all")}</option>
+                    <option value="deposits">{t("entries.type.deposits")}</option>
+                    <option value="withdrawals">{t("entries.type.withdrawals")}</option>
+                </select>
+                <select
+                    className="px-2 py-1 border rounded-md"
+                    value={labelValue}
+                    onChange={(ev) => {
+                        const v = ev.target.value;
+                        setFilter("label")(v === ANY_LABEL ? null : v === NO_LABEL ? "" : v);
+                    }}
+                >
+                    <option value={ANY_LABEL}>{t("entries.anyLabel")}</option>
+                    <option value={NO_LABEL}>{t("entries.noLabel")}</option>
+                    {labels.map((name) => (
+                        <option key={name} value={name}>
+                            {name}
+                        </option>
+                    ))}
+                </select>
+                <label className="flex items-center gap-1">
+                    <span className="text-gray-500">{t("entries.from")}</span>
+                    <input
+                        type="date"
+                        className="flex-1 min-w-0 px-2 py-1 border rounded-md"
+                        value={filters.from}
+                        onChange={(ev) => setFilter("from")(ev.target.value)}
+                    />
+                </label>
+                <label className="flex items-center gap-1">
+                    <span className="text-gray-500">{t("entries.to")}</span>
+                    <input
+                        type="date"
+                        className="flex-1 min-w-0 px-2 py-1 border rounded-md"
+                        value={filters.to}
+                        onChange={(ev) => setFilter("to")(ev.target.value)}
+                    />
+                </label>
+            </div>
+            <div className="flex items-center gap-1 text-xs">
+                <span className="text-gray-500 me-1">{t("entries.group")}</span>
+                {["none", "day", "month"].map((value) => (
+                    <button
+                        key={value}
+                        type="button"
+                        className={`px-2 py-1 rounded-md ${
+                            groupBy === value ? "bg-gray-800 text-gray-50" : "bg-gray-100"
+                        }`}
+                        onClick={() => setGroupBy(value)}
+                    >
+                        {t(`entries.groupBy.${value}`)}
+                    </button>
+                ))}
+                {filtered && (
+                    <button
+                        type="button"
+                        className="ms-auto px-2 py-1 rounded-md bg-gray-100"
+                        onClick={() => setFilters(EMPTY_FILTERS)}
+                    >
+                        {t("entries.clearFilters")}
+                    </button>
+                )}
+            </div>
+
+            <div className="p-2 rounded-md bg-gray-50 text-xs space-y-1">
+                <div className="flex justify-between">
+                    <span className="text-gray-500">{t("entries.progress")}</span>
+                    <span className="font-medium">
+                        {fmt.format(overall.net)} / {fmt.format(targetSum)}
+                    </span>
+                </div>
+                <TotalsLine label={t("entries.all")} sums={overall} fmt={fmt} />
+                {filtered && <TotalsLine label={t("entries.filtered")} sums={shown} fmt={fmt} />}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+                <label className="flex items-center gap-1">
+                    <input
+                        type="checkbox"
+                        checked={allVisibleSelected}
+                        disabled={visible.length === 0}
+                        onChange={toggleAllVisible}
+                    />
+                    {filtered ? t("entries.selectShown") : t("entries.selectAll")}
+                </label>
+                {selectedIds.length > 0 && (
+                    <>
+                        <span className="text-gray-500">{t("entries.selected", { count: selectedIds.length })}</span>
+                        <button
+                            type="button"
+                            className="px-2 py-1 bg-red-100 text-red-600 rounded-md"
+                            onClick={deleteSelected}
+                        >
+                            {t("common.delete")}
+                        </button>
+                        <div className="flex items-center gap-1 w-full">
+                            <LabelField
+                                parts={parts}
+                                value={bulkLabel}
+                                onChange={setBulkLabel}
+                                className="flex-1 min-w-0 px-2 py-1 border rounded-md"
+                            />
+                            <button
+                                type="button"
+                                className="px-2 py-1 bg-gray-100 rounded-md"
+                                onClick={relabelSelected}
+                            >
+                                {t("entries.relabel")}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+
+            {visible.length === 0 ? (
+                <div className="text-xs text-gray-500">{t("entries.noMatch")}</div>
+            ) : (
+                <VirtualList
+                    items={loaded}
+                    itemKey={rowKey}
+                    renderItem={renderRow}
+                    isSticky={isGroup}
+                    onEndReached={loaded.length < rows.length ? showMore : undefined}
+                    estimatedHeight={ROW_HEIGHT}
+                    className="max-h-72 overflow-auto"
+                    listClassName="divide-y"
+                />
+            )}
+        </div>
+    );
+}
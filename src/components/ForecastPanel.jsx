@@ -0,0 +1,73 @@
+/* ForecastPanel.jsx
+  Projected completion date, required pace and ahead/behind indicator for the main card.
+*/
+import React, { useMemo, useState } from "react";
+import { forecastGoal, PACE_UNITS } from "../lib/forecast.js";
+import { useT } from "../lib/i18n.js";
+
+export default function ForecastPanel({ goal, fmt }) {
+    const t = useT();
+    const [paceUnit, setPaceUnit] = useState("week");
+    // Only when the goal changes, not on every render of the main card (e.g. each knob tick)
+    const f = useMemo(() => forecastGoal(goal), [goal]);
+    const format = (v) => fmt.format(v);
+    const formatDate = (d) => d.toLocaleDateString(fmt.locale, { dateStyle: "medium" });
+
+    if (f.done) {
+        return <div className="text-sm text-green-600 font-medium">{t("forecast.reached")}</div>;
+    }
+
+    let projection;
+    if (f.dailyRate === null) projection = t("forecast.noHistory");
+    else if (f.projectedDate === null) projection = t("forecast.notAtPace");
+    else projection = formatDate(f.projectedDate);
+
+    return (
+        <div className="w-full text-sm text-gray-600 space-y-1">
+            <div className="flex justify-between">
+                <span>{t("forecast.projected")}</span>
+                <span className="font-medium">{projection}</span>
+            </div>
+            {goal.deadline && (
+                <>
+                    <div className="flex justify-between items-center">
+                        <span>
+                            {t("forecast.neededPer")}{" "}
+                            <select
+                                value={paceUnit}
+                                onChange={(e) => setPaceUnit(e.target.value)}
+                                className="bg-transparent underline"
+                                aria-label={t("forecast.paceUnit")}
+                            >
+                                {Object.keys(PACE_UNITS).map((u) => (
+                                    <option key={u} value={u}>
+                                        {t(`forecast.unit.${u}`)}
+                                    </option>
+                                ))}
+                            </select>
+                        </span>
+                        <span className="font-medium">
+                            {f.requiredPerDay === null
+                                ? t("forecast.deadlinePassed")
+                                : format(f.requiredPerDay * PACE_UNITS[paceUnit])}
+                        </span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                        <span>{t("forecast.by", { date: formatDate(new Date(goal.deadline + "T00:00")) })}</span>
+                        <span
+                            className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                                f.scheduleDelta >= 0
+                                    ? "bg-green-100 text-green-700"
+                                    : "bg-amber-100 text-amber-700"
+                            }`}
+                        >
+                            {t(f.scheduleDelta >= 0 ? "forecast.ahead" : "forecast.behind", {
+                                amount: format(Math.abs(f.scheduleDelta)),
+                            })}
+                        </span>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
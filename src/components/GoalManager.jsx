@@ -0,0 +1,146 @@
+/* GoalManager.jsx
+  Settings section for goals: create, rename, recolor, reorder, archive and delete. A goal's color is
+  its accent (lib/theme.js): one of the palette swatches or any color from the picker.
+  Archived goals stay in the list (dimmed) so they can be restored later.
+*/
+import React, { useState } from "react";
+import { GOAL_COLORS } from "../lib/goals.js";
+import { useT } from "../lib/i18n.js";
+
+export default function GoalManager({
+    goals,
+    activeGoalId,
+    onCreate,
+    onUpdate,
+    onMove,
+    onDelete,
+    onSelect,
+}) {
+    const t = useT();
+    const [newName, setNewName] = useState("");
+    const openCount = goals.filter((g) => !g.archived).length;
+
+    function create() {
+        const name = newName.trim();
+        if (!name) return;
+        onCreate(name);
+        setNewName("");
+    }
+
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">{t("goals.title")}</h3>
+            <ul className="max-h-48 overflow-auto divide-y">
+                {goals.map((g, i) => (
+                    <li
+                        key={g.id}
+                        className={`py-2 text-sm space-y-2 ${g.archived ? "opacity-50" : ""}`}
+                    >
+                        <div className="flex items-center gap-2">
+                            <input
+                                type="text"
+                                value={g.name}
+                                onChange={(ev) => onUpdate(g.id, { name: ev.target.value })}
+                                className="flex-1 px-2 py-1 border rounded-md"
+                            />
+                            {g.id === activeGoalId ? (
+                                <span className="text-xs text-gray-400">{t("goals.isOpen")}</span>
+                            ) : (
+                                !g.archived && (
+                                    <button
+                                        type="button"
+                                        className="px-2 py-1 bg-gray-100 rounded-md text-xs"
+                                        onClick={() => onSelect(g.id)}
+                                    >
+                                        {t("goals.open")}
+                                    </button>
+                                )
+                            )}
+                        </div>
+                        <div className="flex items-center gap-1 flex-wrap">
+                            {GOAL_COLORS.map((c) => (
+                                <button
+                                    key={c}
+                                    type="button"
+                                    aria-label={t("goals.accentColor", { color: c })}
+                                    className={`w-5 h-5 rounded-full border-2 ${
+                                        g.color === c ? "border-gray-700" : "border-transparent"
+                                    }`}
+                                    style={{ backgroundColor: c }}
+                                    onClick={() => onUpdate(g.id, { color: c })}
+                                />
+                            ))}
+                            <input
+                                type="color"
+                                value={g.color}
+                                onChange={(ev) => onUpdate(g.id, { color: ev.target.value })}
+                                className="w-6 h-6 p-0 border-0 bg-transparent cursor-pointer"
+                                aria-label={t("goals.customColor")}
+                            />
+                            <div className="ms-auto flex gap-1">
+                                <button
+                                    type="button"
+                                    className="px-2 py-1 bg-gray-100 rounded-md text-xs disabled:opacity-40"
+                                    disabled={i === 0}
+                                    onClick={() => onMove(g.id, -1)}
+                                    aria-label={t("goals.moveUp")}
+                                >
+                                    ↑
+                                </button>
+                                <button
+                                    type="button"
+                                    className="px-2 py-1 bg-gray-100 rounded-md text-xs disabled:opacity-40"
+                                    disabled={i === goals.length - 1}
+                                    onClick={() => onMove(g.id, 1)}
+                                    aria-label={t("goals.moveDown")}
+                                >
+                                    ↓
+                                </button>
+                                <button
+                                    type="button"
+                                    className="px-2 py-1 bg-gray-100 rounded-md text-xs disabled:opacity-40"
+                                    // Keep at least one open goal so the dial always has something to show
+                                    disabled={!g.archived && openCount <= 1}
+                                    onClick={() => onUpdate(g.id, { archived: !g.archived })}
+                                >
+                                    {g.archived ? t("goals.restore") : t("goals.archive")}
+                                </button>
+                                <button
+                                    type="button"
+                                    className="px-2 py-1 bg-red-100 text-red-600 rounded-md text-xs disabled:opacity-40"
+                                    disabled={!g.archived && openCount <= 1}
+                                    onClick={() => {
+                                        if (window.confirm(t("goals.confirmDelete", { goal: g.name }))) {
+                                            onDelete(g.id);
+                                        }
+                                    }}
+                                >
+                                    {t("common.delete")}
+                                </button>
+                            </div>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+            <div className="flex gap-2 mt-2">
+                <input
+                    type="text"
+                    placeholder={t("goals.newName")}
+                    value={newName}
+                    onChange={(ev) => setNewName(ev.target.value)}
+                    onKeyDown={(ev) => {
+                        if (ev.key === "Enter") create();
+                    }}
+                    className="flex-1 px-3 py-2 border rounded-md text-sm"
+                />
+                <button
+                    type="button"
+                    className="px-3 py-2 rounded-md bg-gray-100 text-sm"
+                    onClick={create}
+                >
+                    {t("goals.add")}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,124 @@
+/* GoalTypeSettings.jsx
+  Settings section for what the active goal tracks (goalKind in lib/goals.js):
+  - Savings: entries count up toward the target.
+  - Budget (lib/budget.js): the target is a spending limit per week or month, the dial counts down
+    what is left, and each period is archived when it ends. Switching away keeps the archive; the
+    entries of the open period stay in the ledger.
+  - Debt payoff (lib/debt.js): the target is the starting balance, entries are payments and interest
+    accrues at the APR, compounded daily, monthly or yearly.
+*/
+import React from "react";
+import { BUDGET_PERIODS, changeBudgetPeriod, goalPeriods, startBudget } from "../lib/budget.js";
+import { COMPOUNDING, createDebt } from "../lib/debt.js";
+import { goalKind } from "../lib/goals.js";
+import { useT } from "../lib/i18n.js";
+
+const KINDS = ["savings", "budget", "debt"];
+
+export default function GoalTypeSettings({ goal, onChange }) {
+    const t = useT();
+    const kind = goalKind(goal);
+    const { budget, debt } = goal;
+    const archived = goalPeriods(goal).length;
+
+    function setKind(next) {
+        onChange({
+            ...(next === "budget" ? startBudget(goal, "month") : { budget: null }),
+            debt: next === "debt" ? createDebt() : null,
+        });
+    }
+
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">{t("goalType.title")}</h3>
+            <div className="flex gap-1" role="group" aria-label={t("goalType.title")}>
+                {KINDS.map((value) => (
+                    <button
+                        key={value}
+                        type="button"
+                        aria-pressed={kind === value}
+                        className={`px-3 py-1 rounded-md text-sm ${
+                            kind === value ? "bg-gray-800 text-gray-50" : "bg-gray-100"
+                        }`}
+                        onClick={() => kind !== value && setKind(value)}
+                    >
+                        {t(`goalType.${value}`)}
+                    </button>
+                ))}
+            </div>
+            {budget && (
+                <div className="grid grid-cols-2 gap-2 mt-2 text-xs text-gray-500">
+                    <label>
+                        {t("goalType.period")}
+                        <select
+                            value={budget.period}
+                            onChange={(e) => onChange({ budget: changeBudgetPeriod(budget, e.target.value) })}
+                            className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                        >
+                            {BUDGET_PERIODS.map((value) => (
+                                <option key={value} value={value}>
+                                    {t(`frequency.${value}`)}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="flex items-center gap-2 self-end pb-1">
+                        <input
+                            type="checkbox"
+                            checked={budget.carryOver}
+                            onChange={(e) => onChange({ budget: { ...budget, carryOver: e.target.checked } })}
+                        />
+                        {t("goalType.carryOver")}
+                    </label>
+                </div>
+            )}
+            {debt && (
+                <div className="grid grid-cols-2 gap-2 mt-2 text-xs text-gray-500">
+                    <label>
+                        {t("goalType.apr")}
+                        <input
+                            type="number"
+                            min={0}
+                            step={0.01}
+                            value={debt.apr}
+                            onChange={(e) => {
+                                const apr = Number(e.target.value);
+                                if (apr >= 0) onChange({ debt: { ...debt, apr } });
+                            }}
+                            className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                        />
+                    </label>
+                    <label>
+                        {t("goalType.compounding")}
+                        <select
+                            value={debt.compounding}
+                            onChange={(e) => onChange({ debt: { ...debt, compounding: e.target.value } })}
+                            className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                        >
+                            {COMPOUNDING.map((value) => (
+                                <option key={value} value={value}>
+                                    {t(`frequency.${value}`)}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="col-span-2">
+                        {t("goalType.startDate")}
+                        <input
+                            type="date"
+                            value={debt.startDate}
+                            onChange={(e) => {
+                                if (e.target.value) onChange({ debt: { ...debt, startDate: e.target.value } });
+                            }}
+                            className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                        />
+                    </label>
+                </div>
+            )}
+            <div className="text-xs text-gray-400 mt-1">
+                {t(`goalType.hint.${kind}`)}
+                {kind !== "budget" && archived > 0 ? ` ${t("goalType.archived", { count: archived })}` : ""}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,230 @@
+/* HistoryView.jsx
+  History & analytics for the active goal:
+  - Cumulative progress line with the target as a reference line.
+  - Weekly / monthly bars of contributions (up) and withdrawals (down).
+  - Summary stats: average contribution, largest entry, active days.
+  - Milestone timeline: when each milestone was reached, then what is still ahead.
+  - For budget goals, the archive of past periods (components/PeriodArchive.jsx); the charts then
+    cover the open period.
+*/
+import React, { useMemo, useState } from "react";
+import {
+    Bar,
+    BarChart,
+    CartesianGrid,
+    Line,
+    LineChart,
+    ReferenceLine,
+    ResponsiveContainer,
+    Tooltip,
+    XAxis,
+    YAxis,
+} from "recharts";
+import { cumulativeSeries, periodTotals, summaryStats } from "../lib/analytics.js";
+import { sumEntries } from "../lib/goals.js";
+import { useT } from "../lib/i18n.js";
+import { milestoneLabel, milestoneTimeline } from "../lib/milestones.js";
+import { useThemeColors } from "../lib/theme.js";
+import PeriodArchive from "./PeriodArchive.jsx";
+
+function formatDay(time, locale) {
+    return new Date(time).toLocaleDateString(locale, { month: "short", day: "numeric" });
+}
+
+function formatPeriodKey(key, period, locale) {
+    const [y, m, d] = key.split("-").map(Number);
+    const date = new Date(y, m - 1, d || 1);
+    return period === "month"
+        ? date.toLocaleDateString(locale, { month: "short", year: "2-digit" })
+        : date.toLocaleDateString(locale, { month: "short", day: "numeric" });
+}
+
+function MilestoneTimeline({ goal, fmt }) {
+    const t = useT();
+    const rows = milestoneTimeline(goal);
+    if (rows.length === 0) return null;
+    const progress = sumEntries(goal.entries);
+    return (
+        <div>
+            <div className="text-xs text-gray-400 mb-2">{t("milestones.title")}</div>
+            <ol className="border-s-2 ms-1.5 space-y-3" style={{ borderColor: goal.color }}>
+                {rows.map(({ milestone, amount, achievedAt }) => (
+                    <li key={milestone.id} className="relative ps-4 text-sm">
+                        <span
+                            className="absolute -start-[7px] top-1 w-3 h-3 rounded-full border-2 bg-surface"
+                            style={{
+                                borderColor: goal.color,
+                                backgroundColor: achievedAt ? goal.color : undefined,
+                            }}
+                        />
+                        <span className={achievedAt ? "font-medium" : "text-gray-500"}>
+                            {milestoneLabel(milestone, fmt)}
+                        </span>
+                        {milestone.kind === "percent" && (
+                            <span className="text-xs text-gray-400"> · {fmt.format(amount)}</span>
+                        )}
+                        <div className="text-xs text-gray-400">
+                            {achievedAt
+                                ? t("milestones.reachedOn", { date: fmt.date(achievedAt) })
+                                : t("milestones.toGo", { amount: fmt.format(Math.max(0, amount - progress)) })}
+                        </div>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+}
+
+export default function HistoryView({ goal, fmt }) {
+    const t = useT();
+    // Time runs right to left in right-to-left languages, with the value axis on the right
+    const rtl = t.dir === "rtl";
+    const chartMargin = { top: 8, right: rtl ? 0 : 8, bottom: 0, left: rtl ? 8 : 0 };
+    const colors = useThemeColors();
+    const tick = { fill: colors.axis };
+    const tooltipStyle = { backgroundColor: colors.surface, borderColor: colors.grid };
+    const [period, setPeriod] = useState("week");
+    const { entries, targetSum, color } = goal;
+    const format = fmt.format;
+    const locale = fmt.locale;
+
+    const series = useMemo(() => cumulativeSeries(entries), [entries]);
+    const bars = useMemo(() => periodTotals(entries, period), [entries, period]);
+    const stats = useMemo(() => summaryStats(entries), [entries]);
+
+    if (entries.length === 0) {
+        return (
+            <div className="bg-surface rounded-2xl shadow-md p-6 flex flex-col gap-6">
+                <div className="text-sm text-gray-500 text-center">
+                    {t("history.empty")}
+                </div>
+                <PeriodArchive goal={goal} fmt={fmt} />
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-surface rounded-2xl shadow-md p-6 flex flex-col gap-6">
+            <div className="grid grid-cols-3 gap-2 text-center">
+                <div>
+                    <div className="text-xs text-gray-400">{t("history.average")}</div>
+                    <div className="font-semibold">{format(stats.averageContribution)}</div>
+                </div>
+                <div>
+                    <div className="text-xs text-gray-400">{t("history.largest")}</div>
+                    <div className="font-semibold">
+                        {fmt.signed(stats.largestEntry.amount)}
+                    </div>
+                    <div className="text-xs text-gray-400 truncate">
+                        {stats.largestEntry.partName || formatDay(stats.largestEntry.date, locale)}
+                    </div>
+                </div>
+                <div>
+                    <div className="text-xs text-gray-400">{t("history.activeDays")}</div>
+                    <div className="font-semibold">{stats.activeDays}</div>
+                </div>
+            </div>
+
+            <div>
+                <div className="text-xs text-gray-400 mb-2">{t("history.overTime")}</div>
+                <ResponsiveContainer width="100%" height={200}>
+                    <LineChart data={series} margin={chartMargin}>
+                        <CartesianGrid strokeDasharray="3 3" stroke={colors.grid} />
+                        <XAxis
+                            dataKey="time"
+                            type="number"
+                            scale="time"
+                            domain={["dataMin", "dataMax"]}
+                            tickFormatter={(time) => formatDay(time, locale)}
+                            fontSize={11}
+                            tick={tick}
+                            reversed={rtl}
+                        />
+                        <YAxis
+                            orientation={rtl ? "right" : "left"}
+                            tickFormatter={fmt.compact}
+                            domain={[(min) => Math.min(0, min), (max) => Math.max(max, targetSum)]}
+                            fontSize={11}
+                            tick={tick}
+                            width={48}
+                        />
+                        <Tooltip
+                            contentStyle={tooltipStyle}
+                            labelFormatter={fmt.dateTime}
+                            formatter={(v) => [format(v), t("history.total")]}
+                        />
+                        <ReferenceLine
+                            y={targetSum}
+                            stroke="#9ca3af"
+                            strokeDasharray="4 4"
+                            label={{
+                                value: goal.budget ? t("history.limit") : t("history.target"),
+                                position: rtl ? "insideTopRight" : "insideTopLeft",
+                                fontSize: 11,
+                            }}
+                        />
+                        <Line
+                            type="stepAfter"
+                            dataKey="total"
+                            stroke={color}
+                            strokeWidth={2}
+                            dot={series.length < 40}
+                            isAnimationActive={false}
+                        />
+                    </LineChart>
+                </ResponsiveContainer>
+            </div>
+
+            <div>
+                <div className="flex items-center justify-between mb-2">
+                    <div className="text-xs text-gray-400">{t("history.flows")}</div>
+                    <div className="flex gap-1 text-xs">
+                        {["week", "month"].map((p) => (
+                            <button
+                                key={p}
+                                type="button"
+                                className={`px-2 py-1 rounded-md ${
+                                    period === p ? "bg-gray-800 text-gray-50" : "bg-gray-100"
+                                }`}
+                                onClick={() => setPeriod(p)}
+                            >
+                                {p === "week" ? t("history.weekly") : t("history.monthly")}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <ResponsiveContainer width="100%" height={180}>
+                    <BarChart data={bars} stackOffset="sign" margin={chartMargin}>
+                        <CartesianGrid strokeDasharray="3 3" stroke={colors.grid} />
+                        <XAxis
+                            dataKey="key"
+                            tickFormatter={(k) => formatPeriodKey(k, period, locale)}
+                            fontSize={11}
+                            tick={tick}
+                            reversed={rtl}
+                        />
+                        <YAxis
+                            orientation={rtl ? "right" : "left"}
+                            tickFormatter={fmt.compact}
+                            fontSize={11}
+                            tick={tick}
+                            width={48}
+                        />
+                        <Tooltip
+                            contentStyle={tooltipStyle}
+                            labelFormatter={(k) => formatPeriodKey(k, period, locale)}
+                            formatter={(v, name) => [format(v), name]}
+                        />
+                        <ReferenceLine y={0} stroke="#9ca3af" />
+                        <Bar dataKey="deposits" name={t("history.contributions")} stackId="a" fill={color} />
+                        <Bar dataKey="withdrawals" name={t("history.withdrawals")} stackId="a" fill={colors.over} />
+                    </BarChart>
+                </ResponsiveContainer>
+            </div>
+
+            <MilestoneTimeline goal={goal} fmt={fmt} />
+
+            <PeriodArchive goal={goal} fmt={fmt} />
+        </div>
+    );
+}
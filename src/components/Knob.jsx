@@ -0,0 +1,220 @@
+/* Knob.jsx
+  Rotary knob for the pending value.
+  - Drag around the center: every DEG_PER_STEP degrees is one step, clockwise adds (counter-clockwise
+    in right-to-left languages, where the ring fills the other way and the arrow keys swap too).
+    Fast spins are accelerated (x5, x10) so large values don't need many turns.
+  - Mouse wheel and keyboard (arrows = 1 step, Page Up/Down = 10 steps, Home/End = min/max).
+  - Each change ticks navigator.vibrate where supported.
+  - The ring around the knob shows the pending value as a share of the target.
+  Tapping (without dragging) or pressing Enter / Space commits the value. For assistive tech the knob
+  is an ARIA slider whose value text reads the formatted amount and its share of the target.
+*/
+import React, { useEffect, useId, useRef } from "react";
+import { motion } from "framer-motion";
+import { useT } from "../lib/i18n.js";
+import { useThemeColors } from "../lib/theme.js";
+
+const DEG_PER_STEP = 15;
+const DEAD_ZONE_PX = 10; // ignore the jittery angles right at the center
+const RING_RADIUS = 60;
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+
+const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+// Steps multiplier from angular speed in degrees per millisecond
+function acceleration(degPerMs) {
+    if (degPerMs > 1) return 10;
+    if (degPerMs > 0.4) return 5;
+    return 1;
+}
+
+function tick() {
+    if (typeof navigator !== "undefined" && typeof navigator.vibrate === "function") {
+        navigator.vibrate(5);
+    }
+}
+
+export default function Knob({
+    value,
+    onChange,
+    min,
+    max,
+    step,
+    fmt,
+    targetSum,
+    color,
+    label,
+    onCommit,
+}) {
+    const t = useT();
+    const colors = useThemeColors();
+    const rtl = t.dir === "rtl";
+    const knobRef = useRef(null);
+    const hintId = useId();
+    const drag = useRef(null);
+    const dragged = useRef(false);
+
+    // Latest props for the native listeners registered once below
+    const latest = useRef({});
+    latest.current = { min, max, step, onChange, rtl };
+
+    function bump(steps) {
+        if (steps === 0) return;
+        const { min: lo, max: hi, step: size, onChange: change } = latest.current;
+        // Round away float noise from fractional steps (0.1 + 0.2)
+        change((v) => clamp(Math.round((v + steps * size) * 1e6) / 1e6, lo, hi));
+        tick();
+    }
+
+    useEffect(() => {
+        const el = knobRef.current;
+        if (!el) return undefined;
+
+        function pointerAngle(e) {
+            const r = el.getBoundingClientRect();
+            const dx = e.clientX - (r.left + r.width / 2);
+            const dy = e.clientY - (r.top + r.height / 2);
+            if (Math.hypot(dx, dy) < DEAD_ZONE_PX) return null;
+            return (Math.atan2(dy, dx) * 180) / Math.PI;
+        }
+
+        function onPointerDown(e) {
+            e.preventDefault();
+            dragged.current = false;
+            drag.current = { angle: pointerAngle(e), time: e.timeStamp, acc: 0 };
+            window.addEventListener("pointermove", onPointerMove);
+            window.addEventListener("pointerup", onPointerUp);
+            window.addEventListener("pointercancel", onPointerUp);
+        }
+
+        function onPointerMove(e) {
+            const d = drag.current;
+            if (!d) return;
+            const angle = pointerAngle(e);
+            if (angle === null) return;
+            if (d.angle === null) {
+                d.angle = angle;
+                return;
+            }
+            let delta = angle - d.angle;
+            if (delta > 180) delta -= 360;
+            if (delta < -180) delta += 360;
+            const dt = Math.max(1, e.timeStamp - d.time);
+            d.angle = angle;
+            d.time = e.timeStamp;
+            d.acc += latest.current.rtl ? -delta : delta;
+            const steps = Math.trunc(d.acc / DEG_PER_STEP);
+            if (steps !== 0) {
+                d.acc -= steps * DEG_PER_STEP;
+                dragged.current = true;
+                bump(steps * acceleration(Math.abs(delta) / dt));
+            }
+        }
+
+        function onPointerUp() {
+            drag.current = null;
+            window.removeEventListener("pointermove", onPointerMove);
+            window.removeEventListener("pointerup", onPointerUp);
+            window.removeEventListener("pointercancel", onPointerUp);
+        }
+
+        function onWheel(e) {
+            e.preventDefault();
+            bump(e.deltaY < 0 ? 1 : -1);
+        }
+
+        el.addEventListener("pointerdown", onPointerDown);
+        el.addEventListener("wheel", onWheel, { passive: false });
+
+        return () => {
+            el.removeEventListener("pointerdown", onPointerDown);
+            el.removeEventListener("wheel", onWheel);
+            onPointerUp();
+        };
+    }, []);
+
+    function onKeyDown(e) {
+        const keySteps = {
+            ArrowUp: 1,
+            ArrowRight: rtl ? -1 : 1,
+            ArrowDown: -1,
+            ArrowLeft: rtl ? 1 : -1,
+            PageUp: 10,
+            PageDown: -10,
+        };
+        if (e.key in keySteps) {
+            e.preventDefault();
+            bump(keySteps[e.key]);
+        } else if (e.key === "Home" || e.key === "End") {
+            e.preventDefault();
+            onChange(e.key === "Home" ? min : max);
+            tick();
+        } else if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            onCommit();
+        }
+    }
+
+    function onClick() {
+        // A drag ends with a click on the same element; only a plain tap commits
+        if (dragged.current) {
+            dragged.current = false;
+            return;
+        }
+        onCommit();
+    }
+
+    const share = targetSum > 0 ? clamp(value / targetSum, 0, 1) : 0;
+    const percent = fmt.percent(Math.round(share * 100));
+    const text = label || t("knob.add");
+
+    return (
+        <div className="relative w-32 h-32 flex items-center justify-center">
+            <svg
+                className={`absolute inset-0 pointer-events-none ${rtl ? "rotate-90 -scale-x-100" : "-rotate-90"}`}
+                viewBox="0 0 128 128"
+                aria-hidden="true"
+            >
+                <circle cx="64" cy="64" r={RING_RADIUS} fill="none" stroke={colors.track} strokeWidth="4" />
+                <circle
+                    cx="64"
+                    cy="64"
+                    r={RING_RADIUS}
+                    fill="none"
+                    stroke={color}
+                    strokeWidth="4"
+                    strokeLinecap="round"
+                    strokeOpacity={share > 0 ? 1 : 0}
+                    strokeDasharray={`${share * RING_CIRCUMFERENCE} ${RING_CIRCUMFERENCE}`}
+                />
+            </svg>
+            <div
+                ref={knobRef}
+                role="slider"
+                tabIndex={0}
+                aria-label={text}
+                aria-valuemin={min}
+                aria-valuemax={max}
+                aria-valuenow={value}
+                aria-valuetext={t("knob.valueText", { amount: fmt.format(value), percent })}
+                aria-describedby={hintId}
+                onClick={onClick}
+                onKeyDown={onKeyDown}
+                className="w-28 h-28 rounded-full bg-gray-100 shadow-inner flex items-center justify-center touch-none select-none cursor-pointer focus-visible:ring-2 focus-visible:ring-[color:var(--accent)] focus-visible:ring-offset-2 focus-visible:ring-offset-surface focus:outline-none"
+                style={{ userSelect: "none" }}
+            >
+                <motion.span className="flex flex-col items-center" whileTap={{ scale: 0.97 }} aria-hidden="true">
+                    <span className="text-sm text-gray-500 max-w-[6rem] truncate">{text}</span>
+                    <span className="text-xl font-semibold">
+                        {" "}
+                        {fmt.format(value)}{" "}
+                    </span>
+                    <span className="text-[10px] text-gray-400">{t("knob.ofTarget", { percent })}</span>
+                </motion.span>
+                <span id={hintId} className="sr-only">
+                    {t("knob.hint")}
+                </span>
+            </div>
+        </div>
+    );
+}
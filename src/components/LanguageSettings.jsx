@@ -0,0 +1,29 @@
+/* LanguageSettings.jsx
+  Settings section for the UI language (lib/i18n.js). The choice belongs to this device, not to a
+  goal; "Browser default" follows the browser's preferred languages.
+*/
+import React from "react";
+import { LANGUAGES, useT } from "../lib/i18n.js";
+
+export default function LanguageSettings({ language, onChange }) {
+    const t = useT();
+
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">{t("language.title")}</h3>
+            <select
+                value={language}
+                onChange={(e) => onChange(e.target.value)}
+                className="w-full px-2 py-1 border rounded-md text-sm"
+                aria-label={t("language.title")}
+            >
+                <option value="">{t("language.browser")}</option>
+                {Object.entries(LANGUAGES).map(([code, { name }]) => (
+                    <option key={code} value={code} lang={code}>
+                        {name}
+                    </option>
+                ))}
+            </select>
+        </div>
+    );
+}
@@ -0,0 +1,77 @@
+/* LockScreen.jsx
+  Shown instead of the app while the app lock is on and the data key isn't unlocked (see main.jsx
+  and the lock section of lib/storage.js). There is no way around the passphrase: the data is
+  encrypted with it.
+*/
+import React, { useEffect, useRef, useState } from "react";
+import { useT } from "../lib/i18n.js";
+
+export default function LockScreen({ onUnlock }) {
+    const t = useT();
+    const [passphrase, setPassphrase] = useState("");
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const inputRef = useRef(null);
+
+    useEffect(() => {
+        inputRef.current?.focus();
+    }, []);
+
+    async function submit(e) {
+        e.preventDefault();
+        if (!passphrase || busy) return;
+        setBusy(true);
+        setError(null);
+        try {
+            const ok = await onUnlock(passphrase);
+            if (ok) return;
+            setError(t("lock.wrong"));
+        } catch (err) {
+            console.error("Failed unlocking", err);
+            setError(t("lock.unlockFailed"));
+        }
+        setBusy(false);
+        setPassphrase("");
+        inputRef.current?.focus();
+    }
+
+    return (
+        <div
+            className="min-h-screen bg-gray-50 text-gray-900 flex items-center justify-center p-4"
+            style={{
+                paddingTop: "env(safe-area-inset-top)",
+                paddingBottom: "env(safe-area-inset-bottom)",
+            }}
+        >
+            <form onSubmit={submit} className="w-full max-w-xs bg-surface rounded-2xl shadow p-6">
+                <h1 className="text-lg font-semibold">{t("lock.locked", { app: "Pocket Progress" })}</h1>
+                <label className="block text-xs text-gray-500 mt-4">
+                    {t("lock.passphrase")}
+                    <input
+                        ref={inputRef}
+                        type="password"
+                        autoComplete="current-password"
+                        value={passphrase}
+                        onChange={(e) => setPassphrase(e.target.value)}
+                        className="w-full px-3 py-2 border rounded-md mt-1 text-sm text-gray-900"
+                        aria-invalid={Boolean(error)}
+                        aria-describedby={error ? "unlock-error" : undefined}
+                    />
+                </label>
+                {error && (
+                    <div id="unlock-error" role="alert" className="text-xs text-red-600 mt-2">
+                        {error}
+                    </div>
+                )}
+                <button
+                    type="submit"
+                    className="w-full mt-4 px-3 py-2 rounded-md bg-blue-600 text-white text-sm disabled:opacity-40"
+                    disabled={!passphrase || busy}
+                >
+                    {busy ? t("lock.unlocking") : t("lock.unlock")}
+                </button>
+                <div className="text-xs text-gray-400 mt-4">{t("lock.forgot")}</div>
+            </form>
+        </div>
+    );
+}
@@ -0,0 +1,268 @@
+/* LockSettings.jsx
+  Settings section for the optional app lock (lib/storage.js, lib/crypto.js): turn it on with a PIN
+  or passphrase, pick the auto-lock delay, lock now, change the passphrase or turn the lock off.
+  Turning it off and changing the passphrase both ask for the current one.
+*/
+import React, { useState } from "react";
+import { cryptoSupported } from "../lib/crypto.js";
+import { useT } from "../lib/i18n.js";
+
+// Minutes; 0 never locks on its own
+const AUTO_LOCK_OPTIONS = [1, 5, 15, 60, 0];
+
+const MIN_LENGTH = 4;
+
+function autoLockLabel(t, minutes) {
+    if (minutes === 0) return t("lock.never");
+    if (minutes % 60 === 0) return t("lock.afterHours", { count: minutes / 60 });
+    return t("lock.afterMinutes", { count: minutes });
+}
+
+function isWeak(passphrase) {
+    return /^\d*$/.test(passphrase) && passphrase.length < 8;
+}
+
+export default function LockSettings({
+    settings,
+    onEnable,
+    onDisable,
+    onChangePassphrase,
+    onAutoLockChange,
+    onLockNow,
+}) {
+    const t = useT();
+    // Which form is open: "enable" | "change" | "disable" | null
+    const [mode, setMode] = useState(null);
+    const [current, setCurrent] = useState("");
+    const [next, setNext] = useState("");
+    const [confirm, setConfirm] = useState("");
+    const [minutes, setMinutes] = useState(5);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    function open(nextMode) {
+        setMode(nextMode);
+        setCurrent("");
+        setNext("");
+        setConfirm("");
+        setError(null);
+    }
+
+    async function run(task) {
+        setBusy(true);
+        setError(null);
+        try {
+            const ok = await task();
+            if (ok === false) setError(t("lock.wrong"));
+            else open(null);
+        } catch (err) {
+            console.error("Failed changing the app lock", err);
+            setError(err.message);
+        }
+        setBusy(false);
+    }
+
+    const newValid = next.length >= MIN_LENGTH && next === confirm;
+    const inputClass = "w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900";
+
+    function newPassphraseFields() {
+        return (
+            <>
+                <label>
+                    {t("lock.newPassphrase")}
+                    <input
+                        type="password"
+                        autoComplete="new-password"
+                        value={next}
+                        onChange={(e) => setNext(e.target.value)}
+                        className={inputClass}
+                    />
+                </label>
+                <label>
+                    {t("lock.repeat")}
+                    <input
+                        type="password"
+                        autoComplete="new-password"
+                        value={confirm}
+                        onChange={(e) => setConfirm(e.target.value)}
+                        className={inputClass}
+                    />
+                </label>
+                <div className="col-span-2 text-gray-400">
+                    {next.length > 0 && next.length < MIN_LENGTH && `${t("lock.tooShort", { count: MIN_LENGTH })} `}
+                    {confirm.length > 0 && next !== confirm && `${t("lock.mismatch")} `}
+                    {next.length >= MIN_LENGTH && isWeak(next) && t("lock.weak")}
+                </div>
+            </>
+        );
+    }
+
+    function currentField() {
+        return (
+            <label className="col-span-2">
+                {t("lock.currentPassphrase")}
+                <input
+                    type="password"
+                    autoComplete="current-password"
+                    value={current}
+                    onChange={(e) => setCurrent(e.target.value)}
+                    className={inputClass}
+                />
+            </label>
+        );
+    }
+
+    const cancelButton = (
+        <button type="button" className="px-3 py-2 rounded-md bg-gray-100 text-sm" onClick={() => open(null)}>
+            {t("common.cancel")}
+        </button>
+    );
+
+    if (!cryptoSupported()) {
+        return (
+            <div className="mt-4">
+                <h3 className="text-sm font-medium mb-2">{t("lock.title")}</h3>
+                <div className="text-xs text-gray-500">{t("lock.unsupported")}</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">{t("lock.title")}</h3>
+            <div className="text-xs text-gray-400 mb-2">
+                {settings ? t("lock.on") : t("lock.intro")}
+            </div>
+
+            {settings && (
+                <label className="block text-xs text-gray-500">
+                    {t("lock.autoLock")}
+                    <select
+                        value={settings.autoLockMinutes}
+                        onChange={(e) => onAutoLockChange(Number(e.target.value))}
+                        className={inputClass}
+                    >
+                        {AUTO_LOCK_OPTIONS.map((value) => (
+                            <option key={value} value={value}>
+                                {autoLockLabel(t, value)}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            )}
+
+            {mode === null && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                    {settings ? (
+                        <>
+                            <button
+                                type="button"
+                                className="px-3 py-2 rounded-md bg-blue-600 text-white text-sm"
+                                onClick={onLockNow}
+                            >
+                                {t("lock.now")}
+                            </button>
+                            <button
+                                type="button"
+                                className="px-3 py-2 rounded-md bg-gray-100 text-sm"
+                                onClick={() => open("change")}
+                            >
+                                {t("lock.changePassphrase")}
+                            </button>
+                            <button
+                                type="button"
+                                className="px-3 py-2 rounded-md bg-gray-100 text-sm"
+                                onClick={() => open("disable")}
+                            >
+                                {t("lock.turnOff")}
+                            </button>
+                        </>
+                    ) : (
+                        <button
+                            type="button"
+                            className="px-3 py-2 rounded-md bg-gray-100 text-sm"
+                            onClick={() => open("enable")}
+                        >
+                            {t("lock.turnOnLock")}
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {mode === "enable" && (
+                <div className="grid grid-cols-2 gap-2 mt-2 text-xs text-gray-500">
+                    {newPassphraseFields()}
+                    <label className="col-span-2">
+                        {t("lock.autoLock")}
+                        <select
+                            value={minutes}
+                            onChange={(e) => setMinutes(Number(e.target.value))}
+                            className={inputClass}
+                        >
+                            {AUTO_LOCK_OPTIONS.map((value) => (
+                                <option key={value} value={value}>
+                                    {autoLockLabel(t, value)}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <div className="col-span-2 text-amber-700">
+                        {t("lock.warning")}
+                    </div>
+                    <div className="col-span-2 flex gap-2">
+                        <button
+                            type="button"
+                            className="px-3 py-2 rounded-md bg-blue-600 text-white text-sm disabled:opacity-40"
+                            disabled={!newValid || busy}
+                            onClick={() => run(() => onEnable(next, minutes))}
+                        >
+                            {busy ? t("lock.encrypting") : t("lock.turnOn")}
+                        </button>
+                        {cancelButton}
+                    </div>
+                </div>
+            )}
+
+            {mode === "change" && (
+                <div className="grid grid-cols-2 gap-2 mt-2 text-xs text-gray-500">
+                    {currentField()}
+                    {newPassphraseFields()}
+                    <div className="col-span-2 flex gap-2">
+                        <button
+                            type="button"
+                            className="px-3 py-2 rounded-md bg-blue-600 text-white text-sm disabled:opacity-40"
+                            disabled={!current || !newValid || busy}
+                            onClick={() => run(() => onChangePassphrase(current, next))}
+                        >
+                            {t("lock.change")}
+                        </button>
+                        {cancelButton}
+                    </div>
+                </div>
+            )}
+
+            {mode === "disable" && (
+                <div className="grid grid-cols-2 gap-2 mt-2 text-xs text-gray-500">
+                    {currentField()}
+                    <div className="col-span-2 flex gap-2">
+                        <button
+                            type="button"
+                            className="px-3 py-2 rounded-md bg-red-100 text-red-600 text-sm disabled:opacity-40"
+                            disabled={!current || busy}
+                            onClick={() => run(() => onDisable(current))}
+                        >
+                            {busy ? t("lock.decrypting") : t("lock.turnOffAndDecrypt")}
+                        </button>
+                        {cancelButton}
+                    </div>
+                </div>
+            )}
+
+            {error && (
+                <div role="alert" className="text-xs text-red-600 mt-2">
+                    {error}
+                </div>
+            )}
+        </div>
+    );
+}
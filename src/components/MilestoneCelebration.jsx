@@ -0,0 +1,75 @@
+/* MilestoneCelebration.jsx
+  Short celebration when an entry crosses a milestone (lib/milestones.js): a card pops in over the
+  dial with a burst of confetti in the goal's color. Dismisses itself after `duration` ms or on tap;
+  pass a new `id` for each celebration. With reduced motion the card just fades in, without confetti.
+*/
+import React, { useEffect } from "react";
+import { AnimatePresence, motion, useReducedMotion } from "framer-motion";
+
+const PIECES = 14;
+
+function Confetti({ color }) {
+    return Array.from({ length: PIECES }, (_, i) => {
+        const angle = (i / PIECES) * 2 * Math.PI;
+        const distance = 90 + (i % 3) * 30;
+        return (
+            <motion.span
+                key={i}
+                className="absolute left-1/2 top-1/2 w-2 h-3 rounded-sm"
+                style={{ backgroundColor: i % 2 === 0 ? color : "#fbbf24" }}
+                initial={{ x: 0, y: 0, opacity: 1, rotate: 0, scale: 0.6 }}
+                animate={{
+                    x: Math.cos(angle) * distance,
+                    y: Math.sin(angle) * distance + 40,
+                    opacity: 0,
+                    rotate: 360 + i * 40,
+                    scale: 1,
+                }}
+                transition={{ duration: 1.4, ease: "easeOut" }}
+            />
+        );
+    });
+}
+
+export default function MilestoneCelebration({ celebration, onDismiss, duration = 3500 }) {
+    const reduceMotion = useReducedMotion();
+
+    useEffect(() => {
+        if (!celebration) return undefined;
+        const t = setTimeout(onDismiss, duration);
+        return () => clearTimeout(t);
+    }, [celebration, onDismiss, duration]);
+
+    return (
+        <div className="fixed inset-0 z-40 flex items-center justify-center pointer-events-none">
+            <AnimatePresence>
+                {celebration && (
+                    <motion.div
+                        key={celebration.id}
+                        className="relative pointer-events-auto"
+                        initial={reduceMotion ? { opacity: 0 } : { opacity: 0, scale: 0.6 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        exit={{ opacity: 0, scale: reduceMotion ? 1 : 0.9 }}
+                        transition={
+                            reduceMotion ? { duration: 0.2 } : { type: "spring", stiffness: 320, damping: 18 }
+                        }
+                        onClick={onDismiss}
+                        role="status"
+                    >
+                        {!reduceMotion && <Confetti color={celebration.color} />}
+                        <div
+                            className="relative bg-surface rounded-2xl shadow-xl px-6 py-4 text-center border-2"
+                            style={{ borderColor: celebration.color }}
+                        >
+                            <div className="text-2xl" aria-hidden="true">
+                                🎉
+                            </div>
+                            <div className="font-semibold">{celebration.title}</div>
+                            <div className="text-sm text-gray-500">{celebration.message}</div>
+                        </div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
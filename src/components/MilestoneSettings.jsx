@@ -0,0 +1,154 @@
+/* MilestoneSettings.jsx
+  Settings section for the active goal's milestones (lib/milestones.js): percentages of the target
+  or absolute amounts, each shown with the date it was reached, plus the opt-in system notification
+  when one is crossed. A milestone that is already behind is dated right away, without a celebration.
+*/
+import React, { useState } from "react";
+import { useT } from "../lib/i18n.js";
+import {
+    DEFAULT_MILESTONES,
+    createMilestone,
+    goalMilestones,
+    milestoneAmount,
+    milestoneLabel,
+    reachMilestones,
+    sortMilestones,
+} from "../lib/milestones.js";
+import { notificationPermission, requestNotificationPermission } from "../lib/notify.js";
+import { parseLocaleNumber } from "../lib/transfer.js";
+
+// Add milestones to a goal, dating the ones its ledger has already reached
+function withMilestones(goal, added) {
+    const next = { ...goal, milestones: [...goalMilestones(goal), ...added] };
+    return reachMilestones(next, next.entries).goal;
+}
+
+export default function MilestoneSettings({ goal, fmt, onChange }) {
+    const t = useT();
+    const milestones = sortMilestones(goalMilestones(goal), goal.targetSum);
+    const [kind, setKind] = useState("percent");
+    const [valueText, setValueText] = useState("");
+    const [permission, setPermission] = useState(notificationPermission);
+
+    const value = valueText.trim() === "" ? NaN : parseLocaleNumber(valueText, fmt.locale);
+    const valid = Number.isFinite(value) && value > 0;
+
+    function add() {
+        if (!valid) return;
+        onChange((g) => withMilestones(g, [createMilestone(kind, value)]));
+        setValueText("");
+    }
+
+    function addDefaults() {
+        onChange((g) => withMilestones(g, DEFAULT_MILESTONES.map((p) => createMilestone("percent", p))));
+    }
+
+    function remove(id) {
+        onChange((g) => ({ ...g, milestones: goalMilestones(g).filter((m) => m.id !== id) }));
+    }
+
+    async function toggleNotify(on) {
+        if (!on) {
+            onChange((g) => ({ ...g, notifyMilestones: false }));
+            return;
+        }
+        const result = await requestNotificationPermission();
+        setPermission(result);
+        if (result === "granted") onChange((g) => ({ ...g, notifyMilestones: true }));
+    }
+
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">{t("milestones.title")}</h3>
+            {milestones.length === 0 ? (
+                <div className="text-xs text-gray-500">
+                    {t("milestones.none")}{" "}
+                    <button type="button" className="text-blue-600 underline" onClick={addDefaults}>
+                        {t("milestones.addDefaults", { list: DEFAULT_MILESTONES.map(fmt.percent).join(" / ") })}
+                    </button>
+                </div>
+            ) : (
+                <ul className="divide-y text-sm">
+                    {milestones.map((m) => (
+                        <li key={m.id} className="flex items-center gap-2 py-2">
+                            <span
+                                className="w-3 h-3 rounded-full flex-shrink-0 border-2"
+                                style={{
+                                    borderColor: goal.color,
+                                    backgroundColor: m.achievedAt ? goal.color : "transparent",
+                                }}
+                            />
+                            <span className="flex-1 min-w-0">
+                                {milestoneLabel(m, fmt)}
+                                {m.kind === "percent" && (
+                                    <span className="text-xs text-gray-400">
+                                        {" "}
+                                        ({fmt.format(milestoneAmount(m, goal.targetSum))})
+                                    </span>
+                                )}
+                            </span>
+                            <span className="text-xs text-gray-400">
+                                {m.achievedAt
+                                    ? t("milestones.reachedOn", { date: fmt.date(m.achievedAt) })
+                                    : t("milestones.notYet")}
+                            </span>
+                            <button
+                                type="button"
+                                className="px-2 py-1 bg-red-100 text-red-600 rounded-md text-xs"
+                                onClick={() => remove(m.id)}
+                                aria-label={t("milestones.delete", { milestone: milestoneLabel(m, fmt) })}
+                            >
+                                {t("common.delete")}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="flex gap-2 mt-2">
+                <input
+                    type="text"
+                    inputMode="decimal"
+                    placeholder={kind === "percent" ? t("milestones.percentPlaceholder") : t("entries.amount")}
+                    value={valueText}
+                    onChange={(e) => setValueText(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === "Enter") add();
+                    }}
+                    className="flex-1 min-w-0 px-3 py-2 border rounded-md text-sm"
+                    aria-label={t("milestones.milestone")}
+                />
+                <select
+                    value={kind}
+                    onChange={(e) => setKind(e.target.value)}
+                    className="px-2 py-2 border rounded-md text-sm"
+                    aria-label={t("milestones.kind")}
+                >
+                    <option value="percent">{t("milestones.percentOfTarget")}</option>
+                    <option value="amount">
+                        {fmt.symbol ? t("entries.amountIn", { symbol: fmt.symbol }) : t("entries.amount")}
+                    </option>
+                </select>
+                <button
+                    type="button"
+                    className="px-3 py-2 rounded-md bg-gray-100 text-sm disabled:opacity-40"
+                    disabled={!valid}
+                    onClick={add}
+                >
+                    {t("common.add")}
+                </button>
+            </div>
+            {permission !== "unsupported" && (
+                <label className="flex items-center gap-2 mt-2 text-xs text-gray-500">
+                    <input
+                        type="checkbox"
+                        checked={Boolean(goal.notifyMilestones) && permission === "granted"}
+                        disabled={permission === "denied"}
+                        onChange={(e) => toggleNotify(e.target.checked)}
+                    />
+                    {t("milestones.notify")}
+                    {permission === "denied" && ` ${t("milestones.notifyBlocked")}`}
+                </label>
+            )}
+        </div>
+    );
+}
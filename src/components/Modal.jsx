@@ -0,0 +1,79 @@
+/* Modal.jsx
+  Overlay with proper dialog semantics, used for the Settings drawer and confirmation alerts:
+  - role="dialog" (or "alertdialog") with aria-modal and a label taken from its heading.
+  - Focus moves into the dialog on open (to an element marked data-autofocus, else the dialog itself,
+    so phones don't pop up the keyboard), Tab / Shift+Tab cycle inside it, and focus returns where
+    it was on close.
+  - Escape closes it; so does a click on the backdrop when closeOnBackdrop is set.
+*/
+import React, { useEffect, useRef } from "react";
+
+const FOCUSABLE =
+    'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function focusableIn(el) {
+    return Array.from(el.querySelectorAll(FOCUSABLE)).filter((node) => node.offsetParent !== null);
+}
+
+export default function Modal({
+    labelledBy,
+    onClose,
+    role = "dialog",
+    closeOnBackdrop = false,
+    backdropClassName = "fixed inset-0 bg-black/40 flex items-center justify-center z-50",
+    className,
+    children,
+}) {
+    const panelRef = useRef(null);
+
+    useEffect(() => {
+        const previous = document.activeElement;
+        const panel = panelRef.current;
+        (panel.querySelector("[data-autofocus]") || panel).focus();
+        return () => {
+            if (previous && typeof previous.focus === "function" && document.contains(previous)) {
+                previous.focus();
+            }
+        };
+    }, []);
+
+    function onKeyDown(e) {
+        if (e.key === "Escape") {
+            e.stopPropagation();
+            onClose();
+            return;
+        }
+        if (e.key !== "Tab") return;
+        const nodes = focusableIn(panelRef.current);
+        if (nodes.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        const first = nodes[0];
+        const last = nodes[nodes.length - 1];
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === panelRef.current)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    return (
+        <div className={backdropClassName} onClick={closeOnBackdrop ? onClose : undefined}>
+            <div
+                ref={panelRef}
+                role={role}
+                aria-modal="true"
+                aria-labelledby={labelledBy}
+                tabIndex={-1}
+                className={`focus:outline-none ${className || ""}`}
+                onClick={(e) => e.stopPropagation()}
+                onKeyDown={onKeyDown}
+            >
+                {children}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,152 @@
+/* PartsManager.jsx
+  Settings section for splitting the active goal into named parts with their own sub-targets.
+  Names are committed on blur/Enter so entries are only relabelled once per rename.
+*/
+import React, { useState } from "react";
+import { useT } from "../lib/i18n.js";
+import { createPart, goalParts, renamePart } from "../lib/parts.js";
+
+function PartRow({ part, fmt, onRename, onTarget, onDelete }) {
+    const t = useT();
+    const [name, setName] = useState(part.name);
+
+    function commitName() {
+        if (!onRename(name.trim())) setName(part.name);
+    }
+
+    return (
+        <li className="flex items-center gap-2 py-2">
+            <span className="w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: part.color }} />
+            <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onBlur={commitName}
+                onKeyDown={(e) => {
+                    if (e.key === "Enter") e.currentTarget.blur();
+                }}
+                className="flex-1 min-w-0 px-2 py-1 border rounded-md"
+            />
+            <input
+                type="number"
+                step={10 ** -fmt.decimals}
+                value={part.target}
+                onChange={(e) => onTarget(Number(e.target.value))}
+                className="w-24 px-2 py-1 border rounded-md"
+                aria-label={t("parts.targetFor", { part: part.name })}
+            />
+            <button
+                type="button"
+                className="px-2 py-1 bg-red-100 text-red-600 rounded-md text-xs"
+                onClick={onDelete}
+            >
+                {t("common.delete")}
+            </button>
+        </li>
+    );
+}
+
+export default function PartsManager({ goal, fmt, onChange }) {
+    const t = useT();
+    const parts = goalParts(goal);
+    const [newName, setNewName] = useState("");
+    const [newTarget, setNewTarget] = useState("");
+    const partsTotal = parts.reduce((sum, p) => sum + p.target, 0);
+
+    function nameTaken(name, exceptId) {
+        return parts.some((p) => p.id !== exceptId && p.name === name);
+    }
+
+    function add() {
+        const name = newName.trim();
+        if (!name) return;
+        if (nameTaken(name)) {
+            alert(t("parts.nameTaken", { part: name }));
+            return;
+        }
+        const part = createPart(name, newTarget, parts);
+        onChange((g) => ({ ...g, parts: [...goalParts(g), part] }));
+        setNewName("");
+        setNewTarget("");
+    }
+
+    function rename(part, name) {
+        if (!name || name === part.name) return name === part.name;
+        if (nameTaken(name, part.id)) {
+            alert(t("parts.nameTaken", { part: name }));
+            return false;
+        }
+        onChange((g) => renamePart(g, part.id, name));
+        return true;
+    }
+
+    function remove(part) {
+        if (!window.confirm(t("parts.confirmDelete", { part: part.name }))) return;
+        onChange((g) => ({ ...g, parts: goalParts(g).filter((p) => p.id !== part.id) }));
+    }
+
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">{t("parts.title")}</h3>
+            {parts.length === 0 ? (
+                <div className="text-xs text-gray-500">
+                    {t("parts.empty")}
+                </div>
+            ) : (
+                <ul className="divide-y text-sm">
+                    {parts.map((p) => (
+                        <PartRow
+                            key={p.id}
+                            part={p}
+                            fmt={fmt}
+                            onRename={(name) => rename(p, name)}
+                            onTarget={(target) =>
+                                onChange((g) => ({
+                                    ...g,
+                                    parts: goalParts(g).map((x) => (x.id === p.id ? { ...x, target } : x)),
+                                }))
+                            }
+                            onDelete={() => remove(p)}
+                        />
+                    ))}
+                </ul>
+            )}
+            {parts.length > 0 && (
+                <div
+                    className={`text-xs mt-1 ${
+                        partsTotal > goal.targetSum ? "text-amber-700" : "text-gray-400"
+                    }`}
+                >
+                    {t(partsTotal > goal.targetSum ? "parts.totalOver" : "parts.total", {
+                        amount: fmt.format(partsTotal),
+                        target: fmt.format(goal.targetSum),
+                    })}
+                </div>
+            )}
+            <div className="flex gap-2 mt-2">
+                <input
+                    type="text"
+                    placeholder={t("parts.name")}
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    className="flex-1 min-w-0 px-3 py-2 border rounded-md text-sm"
+                />
+                <input
+                    type="number"
+                    placeholder={t("parts.target")}
+                    step={10 ** -fmt.decimals}
+                    value={newTarget}
+                    onChange={(e) => setNewTarget(e.target.value)}
+                    className="w-24 px-3 py-2 border rounded-md text-sm"
+                />
+                <button
+                    type="button"
+                    className="px-3 py-2 rounded-md bg-gray-100 text-sm"
+                    onClick={add}
+                >
+                    {t("parts.add")}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,78 @@
+/* PeriodArchive.jsx
+  History section for budget goals: every closed period (lib/budget.js), newest first, with its
+  outcome and, when expanded, the entries it was closed with.
+*/
+import React from "react";
+import { budgetStreak, goalPeriods } from "../lib/budget.js";
+import { sortEntries } from "../lib/goals.js";
+import { useT } from "../lib/i18n.js";
+import AutoBadge from "./AutoBadge.jsx";
+
+function formatRange(period, fmt) {
+    return `${fmt.date(`${period.start}T00:00`)} – ${fmt.date(`${period.end}T00:00`)}`;
+}
+
+export default function PeriodArchive({ goal, fmt }) {
+    const t = useT();
+    const periods = goalPeriods(goal).slice().reverse();
+    if (periods.length === 0) return null;
+    const streak = budgetStreak(goal);
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-2">
+                <div className="text-xs text-gray-400">{t("budget.pastPeriods")}</div>
+                {streak > 0 && (
+                    <div className="text-xs text-green-600">{t("budget.inARow", { count: streak })}</div>
+                )}
+            </div>
+            <ul className="divide-y text-sm">
+                {periods.map((p) => (
+                    <li key={p.id} className="py-2">
+                        <details>
+                            <summary className="flex items-center justify-between gap-2 cursor-pointer list-none">
+                                <span>
+                                    <span className="font-medium">{formatRange(p, fmt)}</span>
+                                    <span className="block text-xs text-gray-400">
+                                        {t("common.amountOf", {
+                                            amount: fmt.format(p.spent),
+                                            target: fmt.format(p.limit + p.carryIn),
+                                        })}
+                                        {p.carryIn !== 0
+                                            ? ` ${t("budget.carriedOverAmount", { amount: fmt.signed(p.carryIn) })}`
+                                            : ""}
+                                    </span>
+                                </span>
+                                <span
+                                    className={`px-2 py-0.5 rounded-full text-xs ${
+                                        p.left >= 0 ? "bg-green-50 text-green-700" : "bg-red-50 text-red-700"
+                                    }`}
+                                >
+                                    {p.left >= 0
+                                        ? t("dial.left", { amount: fmt.format(p.left) })
+                                        : t("budget.overBy", { amount: fmt.format(-p.left) })}
+                                </span>
+                            </summary>
+                            {p.entries.length === 0 ? (
+                                <div className="text-xs text-gray-400 mt-2">{t("budget.noEntries")}</div>
+                            ) : (
+                                <ul className="mt-2 space-y-1">
+                                    {sortEntries(p.entries).map((e) => (
+                                        <li key={e.id} className="flex justify-between text-xs">
+                                            <span>
+                                                {e.partName || "—"}
+                                                {e.auto && <AutoBadge />}
+                                                <span className="text-gray-400"> · {fmt.date(e.date)}</span>
+                                            </span>
+                                            <span>{fmt.signed(e.amount)}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </details>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
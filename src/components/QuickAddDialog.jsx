@@ -0,0 +1,103 @@
+/* QuickAddDialog.jsx
+  Confirmation for an entry requested from outside the app (deep link, home-screen shortcut or
+  share target, see lib/quickAdd.js). Everything is prefilled but editable; nothing is added until
+  the user confirms.
+*/
+import React, { useMemo, useState } from "react";
+import Modal from "./Modal.jsx";
+import { goalDisplay, makeFormatter } from "../lib/format.js";
+import { useT } from "../lib/i18n.js";
+import { goalParts } from "../lib/parts.js";
+import { parseLocaleNumber } from "../lib/transfer.js";
+
+export default function QuickAddDialog({ request, goals, activeGoalId, onConfirm, onCancel }) {
+    const t = useT();
+    const openGoals = goals.filter((g) => !g.archived);
+    const [goalId, setGoalId] = useState(request.goalId || activeGoalId);
+    const [amountText, setAmountText] = useState(Number.isFinite(request.amount) ? String(request.amount) : "");
+    const [label, setLabel] = useState(request.label);
+    const [note, setNote] = useState(request.note);
+
+    const goal = goals.find((g) => g.id === goalId) || openGoals[0] || goals[0];
+    const fmt = useMemo(() => makeFormatter(goalDisplay(goal), t.locale), [goal, t]);
+    const amount = amountText.trim() === "" ? NaN : parseLocaleNumber(amountText, fmt.locale || navigator.language);
+    const valid = Number.isFinite(amount) && amount !== 0;
+    const parts = goalParts(goal);
+
+    return (
+        <Modal labelledBy="quick-add-title" onClose={onCancel} className="bg-surface rounded-lg p-6 w-80 space-y-3">
+            <h2 id="quick-add-title" className="text-lg font-semibold">
+                {t("quickAdd.title")}
+            </h2>
+            {request.unknownGoal && (
+                <div className="text-xs text-amber-700">{t("quickAdd.unknownGoal", { goal: request.unknownGoal })}</div>
+            )}
+            <label className="block text-xs text-gray-500">
+                {t("app.goal")}
+                <select
+                    value={goal.id}
+                    onChange={(e) => setGoalId(e.target.value)}
+                    className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                >
+                    {openGoals.map((g) => (
+                        <option key={g.id} value={g.id}>
+                            {g.name}
+                        </option>
+                    ))}
+                </select>
+            </label>
+            <label className="block text-xs text-gray-500">
+                {fmt.symbol ? t("entries.amountIn", { symbol: fmt.symbol }) : t("entries.amount")}
+                <input
+                    type="text"
+                    inputMode="decimal"
+                    value={amountText}
+                    onChange={(e) => setAmountText(e.target.value)}
+                    className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                />
+            </label>
+            <label className="block text-xs text-gray-500">
+                {parts.length > 0 ? t("quickAdd.partOrLabel") : t("entries.labelOptional")}
+                <input
+                    type="text"
+                    list="quick-add-parts"
+                    value={label}
+                    onChange={(e) => setLabel(e.target.value)}
+                    className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                />
+                <datalist id="quick-add-parts">
+                    {parts.map((p) => (
+                        <option key={p.id} value={p.name} />
+                    ))}
+                </datalist>
+            </label>
+            {request.note && (
+                <label className="block text-xs text-gray-500">
+                    {t("quickAdd.note")}
+                    <textarea
+                        rows={2}
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                    />
+                </label>
+            )}
+            <div className="text-sm text-center font-semibold">
+                {valid ? fmt.signed(amount) : t("quickAdd.enterAmount")}
+            </div>
+            <div className="flex justify-end gap-4">
+                <button type="button" className="px-4 py-2 bg-gray-100 rounded-md" onClick={onCancel}>
+                    {t("common.cancel")}
+                </button>
+                <button
+                    type="button"
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md disabled:opacity-40"
+                    disabled={!valid}
+                    onClick={() => onConfirm({ goalId: goal.id, amount, label: label.trim(), note: note.trim() })}
+                >
+                    {t("common.add")}
+                </button>
+            </div>
+        </Modal>
+    );
+}
@@ -0,0 +1,60 @@
+/* RecurringReview.jsx
+  Main-card list of entries added by recurring rules that haven't been reviewed yet.
+  Keep marks an entry as reviewed; Skip removes it (the rule won't re-create it).
+*/
+import React, { useMemo } from "react";
+import { useT } from "../lib/i18n.js";
+import { isPendingReview } from "../lib/recurring.js";
+
+export default function RecurringReview({ entries, fmt, onKeep, onSkip, onKeepAll }) {
+    const t = useT();
+    const pending = useMemo(() => entries.filter(isPendingReview), [entries]);
+    if (pending.length === 0) return null;
+
+    return (
+        <div className="w-full p-3 rounded-md bg-blue-50 text-sm">
+            <div className="flex items-center justify-between mb-2">
+                <div className="font-medium">{t("recurring.review")}</div>
+                {pending.length > 1 && (
+                    <button
+                        type="button"
+                        className="px-2 py-1 bg-surface rounded-md text-xs"
+                        onClick={onKeepAll}
+                    >
+                        {t("recurring.keepAll")}
+                    </button>
+                )}
+            </div>
+            <ul className="space-y-2 max-h-32 overflow-auto">
+                {pending.map((e) => (
+                    <li key={e.id} className="flex items-center justify-between">
+                        <div>
+                            <div>
+                                {fmt.signed(e.amount)} · {e.partName || "—"}
+                            </div>
+                            <div className="text-xs text-gray-500">
+                                {fmt.date(e.date)}
+                            </div>
+                        </div>
+                        <div className="flex gap-2">
+                            <button
+                                type="button"
+                                className="px-2 py-1 bg-surface rounded-md text-xs"
+                                onClick={() => onKeep(e)}
+                            >
+                                {t("recurring.keep")}
+                            </button>
+                            <button
+                                type="button"
+                                className="px-2 py-1 bg-surface text-red-600 rounded-md text-xs"
+                                onClick={() => onSkip(e)}
+                            >
+                                {t("recurring.skip")}
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,194 @@
+/* RecurringRules.jsx
+  Settings section for the active goal's recurring contributions: list, add, edit and delete rules.
+*/
+import React, { useState } from "react";
+import { dayKey } from "../lib/analytics.js";
+import { useT } from "../lib/i18n.js";
+import { createRule, INTERVALS, nextOccurrence, updateRule } from "../lib/recurring.js";
+
+const EMPTY_FORM = { amount: "", label: "", interval: "month", every: 1, startDate: "", endDate: "" };
+
+export default function RecurringRules({ fmt, rules, onChange }) {
+    const t = useT();
+    const [form, setForm] = useState(null); // null = closed; { ...fields, id? } when open
+
+    function openNew() {
+        setForm({ ...EMPTY_FORM, startDate: dayKey(new Date()) });
+    }
+
+    function openEdit(rule) {
+        setForm({ ...rule, endDate: rule.endDate || "" });
+    }
+
+    function save() {
+        const amount = Number(form.amount);
+        if (Number.isNaN(amount) || amount === 0) {
+            alert(t("recurring.error.amount"));
+            return;
+        }
+        if (!form.startDate) {
+            alert(t("recurring.error.start"));
+            return;
+        }
+        if (form.endDate && form.endDate < form.startDate) {
+            alert(t("recurring.error.end"));
+            return;
+        }
+        const fields = {
+            amount,
+            label: form.label.trim(),
+            interval: form.interval,
+            every: Math.max(1, Number(form.every) || 1),
+            startDate: form.startDate,
+            endDate: form.endDate || null,
+        };
+        if (form.id) {
+            onChange(rules.map((r) => (r.id === form.id ? updateRule(r, fields) : r)));
+        } else {
+            onChange([...rules, createRule(fields)]);
+        }
+        setForm(null);
+    }
+
+    function remove(id) {
+        if (!window.confirm(t("recurring.confirmDelete"))) return;
+        onChange(rules.filter((r) => r.id !== id));
+    }
+
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">{t("recurring.title")}</h3>
+            {rules.length === 0 ? (
+                <div className="text-xs text-gray-500">{t("recurring.none")}</div>
+            ) : (
+                <ul className="divide-y text-sm">
+                    {rules.map((r) => {
+                        const next = nextOccurrence(r);
+                        return (
+                            <li key={r.id} className="flex items-center justify-between py-2">
+                                <div>
+                                    <div className="font-medium">
+                                        {fmt.signed(r.amount)} · {r.label || "—"}
+                                    </div>
+                                    <div className="text-xs text-gray-400">
+                                        {t(`frequency.${r.interval}`)}
+                                        {r.every > 1 ? ` ${t("recurring.everyN", { count: r.every })}` : ""} ·{" "}
+                                        {next
+                                            ? t("recurring.next", { date: fmt.date(next + "T00:00") })
+                                            : t("recurring.ended")}
+                                    </div>
+                                </div>
+                                <div className="flex gap-2">
+                                    <button
+                                        type="button"
+                                        className="px-2 py-1 bg-gray-100 rounded-md text-xs"
+                                        onClick={() => openEdit(r)}
+                                    >
+                                        {t("common.edit")}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="px-2 py-1 bg-red-100 text-red-600 rounded-md text-xs"
+                                        onClick={() => remove(r.id)}
+                                    >
+                                        {t("common.delete")}
+                                    </button>
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+            {form ? (
+                <div className="mt-2 p-3 border rounded-md space-y-2 text-sm">
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="text-xs text-gray-500">
+                            {t("entries.amount")}
+                            <input
+                                type="number"
+                                value={form.amount}
+                                onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                                className="w-full px-2 py-1 border rounded-md mt-1"
+                            />
+                        </label>
+                        <label className="text-xs text-gray-500">
+                            {t("recurring.label")}
+                            <input
+                                type="text"
+                                value={form.label}
+                                onChange={(e) => setForm({ ...form, label: e.target.value })}
+                                className="w-full px-2 py-1 border rounded-md mt-1"
+                            />
+                        </label>
+                        <label className="text-xs text-gray-500">
+                            {t("recurring.repeats")}
+                            <select
+                                value={form.interval}
+                                onChange={(e) => setForm({ ...form, interval: e.target.value })}
+                                className="w-full px-2 py-1 border rounded-md mt-1"
+                            >
+                                {INTERVALS.map((key) => (
+                                    <option key={key} value={key}>
+                                        {t(`frequency.${key}`)}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="text-xs text-gray-500">
+                            {t("recurring.every")}
+                            <input
+                                type="number"
+                                min="1"
+                                value={form.every}
+                                onChange={(e) => setForm({ ...form, every: e.target.value })}
+                                className="w-full px-2 py-1 border rounded-md mt-1"
+                            />
+                        </label>
+                        <label className="text-xs text-gray-500">
+                            {t("recurring.start")}
+                            <input
+                                type="date"
+                                value={form.startDate}
+                                onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                                className="w-full px-2 py-1 border rounded-md mt-1"
+                            />
+                        </label>
+                        <label className="text-xs text-gray-500">
+                            {t("recurring.endOptional")}
+                            <input
+                                type="date"
+                                value={form.endDate}
+                                onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                                className="w-full px-2 py-1 border rounded-md mt-1"
+                            />
+                        </label>
+                    </div>
+                    <div className="flex gap-2">
+                        <button
+                            type="button"
+                            className="px-3 py-1 bg-blue-600 text-white rounded-md text-xs"
+                            onClick={save}
+                        >
+                            {t("common.save")}
+                        </button>
+                        <button
+                            type="button"
+                            className="px-3 py-1 bg-gray-100 rounded-md text-xs"
+                            onClick={() => setForm(null)}
+                        >
+                            {t("common.cancel")}
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <button
+                    type="button"
+                    className="mt-2 px-3 py-2 rounded-md bg-gray-100 text-sm"
+                    onClick={openNew}
+                >
+                    {t("recurring.add")}
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,46 @@
+/* Snackbar.jsx
+  Bottom toast with an optional action button. Dismisses itself after `duration` ms;
+  pass a new `id` to restart the timer for a new message.
+*/
+import React, { useEffect } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+
+export default function Snackbar({ snack, onDismiss, duration = 5000 }) {
+    useEffect(() => {
+        if (!snack) return undefined;
+        const t = setTimeout(onDismiss, duration);
+        return () => clearTimeout(t);
+    }, [snack, onDismiss, duration]);
+
+    return (
+        <div className="fixed inset-x-0 bottom-40 z-30 flex justify-center pointer-events-none">
+            <AnimatePresence>
+                {snack && (
+                    <motion.div
+                        key={snack.id}
+                        initial={{ opacity: 0, y: 16 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: 16 }}
+                        transition={{ duration: 0.2 }}
+                        className="pointer-events-auto flex items-center gap-4 px-4 py-2 rounded-lg bg-gray-900 text-gray-50 text-sm shadow-lg"
+                        role="status"
+                    >
+                        <span>{snack.message}</span>
+                        {snack.actionLabel && (
+                            <button
+                                type="button"
+                                className="font-semibold text-blue-300"
+                                onClick={() => {
+                                    snack.onAction();
+                                    onDismiss();
+                                }}
+                            >
+                                {snack.actionLabel}
+                            </button>
+                        )}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
@@ -0,0 +1,93 @@
+/* SyncSettings.jsx
+  Settings section for the optional server sync (lib/sync.js): server URL and token, on/off,
+  "Sync now", and the current status (last sync, changes waiting to be pushed, last error).
+*/
+import React, { useEffect, useState } from "react";
+import { useT } from "../lib/i18n.js";
+
+export default function SyncSettings({ sync, status, fmt, onEnable, onDisable, onSyncNow }) {
+    const t = useT();
+    const [url, setUrl] = useState(sync.url);
+    const [token, setToken] = useState(sync.token);
+
+    useEffect(() => {
+        setUrl(sync.url);
+        setToken(sync.token);
+    }, [sync.url, sync.token]);
+
+    const validUrl = /^https?:\/\/\S+$/i.test(url.trim());
+    const dirty = url.trim() !== sync.url || token.trim() !== sync.token;
+
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">{t("sync.title")}</h3>
+            <div className="text-xs text-gray-400 mb-2">
+                {t("sync.intro", { file: "server/sync-server.js" })}
+            </div>
+            <div className="grid grid-cols-2 gap-2 text-xs text-gray-500">
+                <label className="col-span-2">
+                    {t("sync.url")}
+                    <input
+                        type="url"
+                        placeholder="http://localhost:8787"
+                        value={url}
+                        onChange={(e) => setUrl(e.target.value)}
+                        className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                    />
+                </label>
+                <label className="col-span-2">
+                    {t("sync.token")}
+                    <input
+                        type="password"
+                        autoComplete="off"
+                        value={token}
+                        onChange={(e) => setToken(e.target.value)}
+                        className="w-full px-2 py-1 border rounded-md mt-1 text-sm text-gray-900"
+                    />
+                </label>
+            </div>
+            <div className="flex flex-wrap gap-2 mt-2">
+                {(!sync.enabled || dirty) && (
+                    <button
+                        type="button"
+                        className="px-3 py-2 rounded-md bg-blue-600 text-white text-sm disabled:opacity-40"
+                        disabled={!validUrl || !token.trim()}
+                        onClick={() => onEnable({ url, token })}
+                    >
+                        {sync.enabled ? t("sync.saveAndSync") : t("sync.turnOn")}
+                    </button>
+                )}
+                {sync.enabled && (
+                    <>
+                        <button
+                            type="button"
+                            className="px-3 py-2 rounded-md bg-gray-100 text-sm disabled:opacity-40"
+                            disabled={status.busy}
+                            onClick={onSyncNow}
+                        >
+                            {status.busy ? t("sync.syncing") : t("sync.now")}
+                        </button>
+                        <button
+                            type="button"
+                            className="px-3 py-2 rounded-md bg-gray-100 text-sm"
+                            onClick={onDisable}
+                        >
+                            {t("sync.turnOff")}
+                        </button>
+                    </>
+                )}
+            </div>
+            {sync.enabled && (
+                <div className="text-xs text-gray-500 mt-2 space-y-1">
+                    <div>
+                        {sync.lastSyncAt
+                            ? t("sync.lastSynced", { date: fmt.dateTime(sync.lastSyncAt) })
+                            : t("sync.notYet")}
+                        {status.pending > 0 ? ` · ${t("sync.pending", { count: status.pending })}` : ""}
+                    </div>
+                    {status.error && <div className="text-red-600">{status.error}</div>}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,32 @@
+/* ThemeSettings.jsx
+  Settings section for the color theme (lib/theme.js): light, dark, or the same as the system.
+  Like the language, it belongs to this device rather than to a goal.
+*/
+import React from "react";
+import { useT } from "../lib/i18n.js";
+import { THEMES } from "../lib/theme.js";
+
+export default function ThemeSettings({ theme, onChange }) {
+    const t = useT();
+
+    return (
+        <div className="mt-4">
+            <h3 className="text-sm font-medium mb-2">{t("theme.title")}</h3>
+            <div className="flex gap-1" role="group" aria-label={t("theme.title")}>
+                {THEMES.map((value) => (
+                    <button
+                        key={value}
+                        type="button"
+                        aria-pressed={theme === value}
+                        className={`px-3 py-1 rounded-md text-sm ${
+                            theme === value ? "bg-gray-800 text-gray-50" : "bg-gray-100"
+                        }`}
+                        onClick={() => onChange(value)}
+                    >
+                        {t(`theme.${value}`)}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
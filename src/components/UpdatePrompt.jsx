@@ -0,0 +1,74 @@
+/* UpdatePrompt.jsx
+  Service worker lifecycle banner (registerType "prompt" in vite.config.js):
+  - "A new version is available": the new worker waits until the user taps Reload, so an update never
+    swaps the app out from under an open dialog or a half-typed entry.
+  - "Ready to work offline" once, after the first install has precached everything.
+  The registration checks for a new version every hour while the app stays open.
+*/
+import React, { useEffect, useRef } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { useRegisterSW } from "virtual:pwa-register/react";
+import { useT } from "../lib/i18n.js";
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+export default function UpdatePrompt() {
+    const t = useT();
+    // The app remounts on every lock and unlock, so the poll must stop with the component
+    const updatePoll = useRef(null);
+    useEffect(() => () => clearInterval(updatePoll.current), []);
+    const {
+        needRefresh: [needRefresh, setNeedRefresh],
+        offlineReady: [offlineReady, setOfflineReady],
+        updateServiceWorker,
+    } = useRegisterSW({
+        onRegisteredSW(url, registration) {
+            if (!registration) return;
+            clearInterval(updatePoll.current);
+            updatePoll.current = setInterval(() => {
+                if (navigator.onLine) registration.update().catch(() => {});
+            }, UPDATE_CHECK_MS);
+        },
+        onRegisterError(err) {
+            console.error("Service worker registration failed", err);
+        },
+    });
+
+    function close() {
+        setNeedRefresh(false);
+        setOfflineReady(false);
+    }
+
+    const open = needRefresh || offlineReady;
+
+    return (
+        <div className="fixed inset-x-0 top-16 z-40 flex justify-center pointer-events-none">
+            <AnimatePresence>
+                {open && (
+                    <motion.div
+                        initial={{ opacity: 0, y: -12 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -12 }}
+                        transition={{ duration: 0.2 }}
+                        className="pointer-events-auto flex items-center gap-4 px-4 py-2 rounded-lg bg-gray-900 text-gray-50 text-sm shadow-lg"
+                        role="status"
+                    >
+                        <span>{needRefresh ? t("update.available") : t("update.offlineReady")}</span>
+                        {needRefresh && (
+                            <button
+                                type="button"
+                                className="font-semibold text-blue-300"
+                                onClick={() => updateServiceWorker(true)}
+                            >
+                                {t("update.reload")}
+                            </button>
+                        )}
+                        <button type="button" className="text-gray-300" onClick={close}>
+                            {needRefresh ? t("update.later") : t("update.ok")}
+                        </button>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
@@ -0,0 +1,102 @@
+/* VirtualList.jsx
+  A scrolling list that only mounts the rows in and near the viewport, so a long ledger stays quick.
+  - Rows can differ in height (an open editor, a note): each is measured once rendered; rows not seen
+    yet count as `estimatedHeight`. The rows outside the window are stood in for by padding.
+  - onEndReached is called when the user scrolls within a screen of the end, for infinite scroll.
+  - The last row for which isSticky(item) holds above the viewport (a group header) stays pinned at the top.
+*/
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+
+const OVERSCAN = 4;
+
+// Index of the first row whose bottom is below `y`
+function rowAt(tops, heights, y) {
+    let lo = 0;
+    let hi = heights.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (tops[mid] + heights[mid] <= y) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+export default function VirtualList({
+    items,
+    itemKey,
+    renderItem,
+    isSticky,
+    onEndReached,
+    estimatedHeight = 64,
+    className = "",
+    listClassName = "",
+}) {
+    const scroller = useRef(null);
+    const list = useRef(null);
+    const measured = useRef(new Map()); // key -> height in px
+    const [measureCount, setMeasureCount] = useState(0);
+    const [scrollTop, setScrollTop] = useState(0);
+    const [viewport, setViewport] = useState(() => window.innerHeight);
+
+    const layout = useMemo(() => {
+        const heights = items.map((item) => measured.current.get(itemKey(item)) ?? estimatedHeight);
+        const tops = new Array(items.length);
+        let y = 0;
+        heights.forEach((h, i) => {
+            tops[i] = y;
+            y += h;
+        });
+        return { heights, tops, total: y };
+    }, [items, measureCount, estimatedHeight]);
+
+    const { heights, tops, total } = layout;
+    const first = items.length > 0 ? rowAt(tops, heights, scrollTop) : 0;
+    const last = items.length > 0 ? rowAt(tops, heights, scrollTop + viewport) : -1;
+    const start = Math.max(0, first - OVERSCAN);
+    const end = Math.min(items.length, last + 1 + OVERSCAN);
+
+    // Measure what was rendered; re-lay out if any row turned out taller or shorter than assumed
+    useLayoutEffect(() => {
+        let changed = false;
+        Array.from(list.current.children).forEach((node, i) => {
+            const key = itemKey(items[start + i]);
+            if (measured.current.get(key) !== node.offsetHeight) {
+                measured.current.set(key, node.offsetHeight);
+                changed = true;
+            }
+        });
+        if (changed) setMeasureCount((n) => n + 1);
+        if (scroller.current.clientHeight > 0 && scroller.current.clientHeight !== viewport) {
+            setViewport(scroller.current.clientHeight);
+        }
+    });
+
+    useEffect(() => {
+        if (onEndReached && total - (scrollTop + viewport) < viewport) onEndReached();
+    }, [onEndReached, total, scrollTop, viewport]);
+
+    let pinned = null;
+    if (isSticky) {
+        for (let i = first; i >= 0; i--) {
+            if (isSticky(items[i])) {
+                pinned = tops[i] < scrollTop ? items[i] : null;
+                break;
+            }
+        }
+    }
+
+    return (
+        <div ref={scroller} className={className} onScroll={(ev) => setScrollTop(ev.currentTarget.scrollTop)}>
+            {pinned && <div className="sticky top-0 z-10 h-0">{renderItem(pinned)}</div>}
+            <ul
+                ref={list}
+                className={listClassName}
+                style={{ paddingTop: tops[start] || 0, paddingBottom: total - (tops[end - 1] + heights[end - 1] || 0) }}
+            >
+                {items.slice(start, end).map((item) => (
+                    <li key={itemKey(item)}>{renderItem(item)}</li>
+                ))}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,73 @@
+/* analytics.js
+  Pure helpers that turn an entry ledger into chart series and summary numbers.
+  All bucketing uses the device's local time zone; weeks start on Monday.
+*/
+
+function byDateAsc(a, b) {
+    return new Date(a.date) - new Date(b.date);
+}
+
+function pad(n) {
+    return String(n).padStart(2, "0");
+}
+
+export function dayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Monday of the entry's week, as a day key
+export function weekKey(date) {
+    const d = new Date(date);
+    const offset = (d.getDay() + 6) % 7;
+    return dayKey(new Date(d.getFullYear(), d.getMonth(), d.getDate() - offset));
+}
+
+export function monthKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}`;
+}
+
+// Running total after each entry, oldest first: [{ time, total }]
+export function cumulativeSeries(entries) {
+    let total = 0;
+    return entries
+        .slice()
+        .sort(byDateAsc)
+        .map((e) => {
+            total += Number(e.amount);
+            return { time: new Date(e.date).getTime(), total };
+        });
+}
+
+/*
+  Contributions and withdrawals per week or month, oldest first:
+  [{ key, deposits, withdrawals }] where withdrawals is zero or negative.
+*/
+export function periodTotals(entries, period) {
+    const keyOf = period === "month" ? monthKey : weekKey;
+    const buckets = new Map();
+    for (const e of entries.slice().sort(byDateAsc)) {
+        const key = keyOf(e.date);
+        const bucket = buckets.get(key) || { key, deposits: 0, withdrawals: 0 };
+        const amount = Number(e.amount);
+        if (amount >= 0) bucket.deposits += amount;
+        else bucket.withdrawals += amount;
+        buckets.set(key, bucket);
+    }
+    return Array.from(buckets.values());
+}
+
+export function summaryStats(entries) {
+    const deposits = entries.filter((e) => Number(e.amount) > 0);
+    const averageContribution =
+        deposits.length === 0
+            ? 0
+            : deposits.reduce((sum, e) => sum + Number(e.amount), 0) / deposits.length;
+    const largestEntry = entries.reduce(
+        (best, e) => (!best || Math.abs(e.amount) > Math.abs(best.amount) ? e : best),
+        null
+    );
+    const activeDays = new Set(entries.map((e) => dayKey(e.date))).size;
+    return { averageContribution, largestEntry, activeDays };
+}
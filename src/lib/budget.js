@@ -0,0 +1,186 @@
+/* budget.js
+  Budget mode: a goal whose target is a spending limit per week or month and whose dial counts down
+  what is left of it.
+  - goal.budget = { period: "week" | "month", carryOver, currentStart } where currentStart is the
+    "YYYY-MM-DD" start of the open period; weeks start on Monday like everywhere else.
+  - Entries are spending (a negative entry is a refund), so progress is what has been spent.
+  - When a period ends, its entries move out of the ledger into goal.periods, one closed period per
+    record: { id, start, end, limit, carryIn, spent, left, entries }, oldest first. The id is the start
+    key, so two tabs or devices closing the same period produce the same record.
+  - With carry-over on, what was left (or overspent) in a period is added to the next one's limit.
+*/
+import { dayKey, monthKey, weekKey } from "./analytics.js";
+import { sumEntries } from "./goals.js";
+
+// Labels are the frequency.* messages (src/locales)
+export const BUDGET_PERIODS = ["week", "month"];
+
+function parseDateKey(key) {
+    const [y, m, d] = key.split("-").map(Number);
+    return new Date(y, m - 1, d);
+}
+
+// Start of the period containing `date`, as a day key
+export function periodStart(date, period) {
+    return period === "month" ? `${monthKey(date)}-01` : weekKey(date);
+}
+
+// Start of the period after the one starting at `start`
+export function nextPeriodStart(start, period) {
+    const d = parseDateKey(start);
+    return dayKey(
+        period === "month"
+            ? new Date(d.getFullYear(), d.getMonth() + 1, 1)
+            : new Date(d.getFullYear(), d.getMonth(), d.getDate() + 7)
+    );
+}
+
+// Last day of the period starting at `start`, as a day key
+export function periodEnd(start, period) {
+    const next = parseDateKey(nextPeriodStart(start, period));
+    return dayKey(new Date(next.getFullYear(), next.getMonth(), next.getDate() - 1));
+}
+
+export function isBudget(goal) {
+    return Boolean(goal.budget);
+}
+
+export function goalPeriods(goal) {
+    return Array.isArray(goal.periods) ? goal.periods : [];
+}
+
+/*
+  The fields that turn `goal` into a budget. Entries from before the current period are filed into
+  closed periods by date, as if the budget had run since the first of them, so earlier history isn't
+  counted as spent in the open period.
+*/
+export function startBudget(goal, period, now = new Date()) {
+    const first = goal.entries.reduce((key, e) => (dayKey(e.date) < key ? dayKey(e.date) : key), dayKey(now));
+    const budget = { period, carryOver: false, currentStart: periodStart(parseDateKey(first), period) };
+    const { goal: started } = rollOverGoal({ ...goal, budget }, now);
+    // Periods kept from an earlier spell as a budget may be newer than the ones just closed
+    const periods = goalPeriods(started)
+        .slice()
+        .sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    return { budget: started.budget, entries: started.entries, periods };
+}
+
+// Switch the period length; the open period restarts at the start of the new kind of period
+export function changeBudgetPeriod(budget, period, now = new Date()) {
+    return { ...budget, period, currentStart: periodStart(now, period) };
+}
+
+// Surplus (or deficit, negative) brought into the open period
+export function carryIn(goal) {
+    if (!goal.budget || !goal.budget.carryOver) return 0;
+    const periods = goalPeriods(goal);
+    return periods.length > 0 ? periods[periods.length - 1].left : 0;
+}
+
+/*
+  State of the open period:
+  { start, end, limit, carryIn, available, spent, left, daysLeft, overspent }
+  where available = limit + carryIn and daysLeft counts today.
+*/
+export function budgetStatus(goal, now = new Date()) {
+    const { period, currentStart } = goal.budget;
+    const end = periodEnd(currentStart, period);
+    const carried = carryIn(goal);
+    const available = goal.targetSum + carried;
+    const spent = sumEntries(goal.entries);
+    const today = parseDateKey(dayKey(now));
+    const daysLeft = Math.max(1, Math.round((parseDateKey(end) - today) / (24 * 60 * 60 * 1000)) + 1);
+    return {
+        start: currentStart,
+        end,
+        limit: goal.targetSum,
+        carryIn: carried,
+        available,
+        spent,
+        left: available - spent,
+        daysLeft,
+        overspent: spent > available,
+    };
+}
+
+// Closed periods in a row, newest backwards, that stayed within their budget
+export function budgetStreak(goal) {
+    const periods = goalPeriods(goal);
+    let streak = 0;
+    for (let i = periods.length - 1; i >= 0 && periods[i].left >= 0; i--) streak++;
+    return streak;
+}
+
+/*
+  Close the goal's periods that ended before `now`. Entries are filed by date; anything older than
+  the first closed period (e.g. an entry later backdated) goes into that one.
+  Returns the goal unchanged if the open period is still running.
+*/
+function rollOverGoal(goal, now) {
+    const { period, currentStart } = goal.budget;
+    const target = periodStart(now, period);
+    if (currentStart >= target) return { goal, closed: 0 };
+
+    const periods = goalPeriods(goal).slice();
+    let entries = goal.entries;
+    let carried = carryIn(goal);
+    let start = currentStart;
+    let closed = 0;
+    while (start < target) {
+        const next = nextPeriodStart(start, period);
+        const inPeriod = entries.filter((e) => dayKey(e.date) < next);
+        entries = entries.filter((e) => dayKey(e.date) >= next);
+        const index = periods.findIndex((p) => p.id === start);
+        let record;
+        if (index < 0) {
+            const spent = sumEntries(inPeriod);
+            record = {
+                id: start,
+                start,
+                end: periodEnd(start, period),
+                limit: goal.targetSum,
+                carryIn: carried,
+                spent,
+                left: goal.targetSum + carried - spent,
+                entries: inPeriod,
+            };
+            periods.push(record);
+            closed++;
+        } else {
+            // Already closed elsewhere; file any entry that arrived late instead of dropping it
+            record = periods[index];
+            const filed = new Set(record.entries.map((e) => e.id));
+            const late = inPeriod.filter((e) => !filed.has(e.id));
+            if (late.length > 0) {
+                const periodEntries = [...late, ...record.entries];
+                const spent = sumEntries(periodEntries);
+                record = { ...record, entries: periodEntries, spent, left: record.limit + record.carryIn - spent };
+                periods[index] = record;
+            }
+        }
+        carried = goal.budget.carryOver ? record.left : 0;
+        start = next;
+    }
+    return {
+        goal: { ...goal, entries, periods, budget: { ...goal.budget, currentStart: target } },
+        closed,
+    };
+}
+
+/*
+  Roll every budget goal over to the current period.
+  Returns { goals, closed } where closed is the number of periods archived; goals is the same array
+  when nothing ended.
+*/
+export function applyBudgetRollover(goals, now = new Date()) {
+    let closed = 0;
+    let changed = false;
+    const next = goals.map((goal) => {
+        if (!isBudget(goal)) return goal;
+        const result = rollOverGoal(goal, now);
+        closed += result.closed;
+        if (result.goal !== goal) changed = true;
+        return result.goal;
+    });
+    return { goals: changed ? next : goals, closed };
+}
@@ -0,0 +1,80 @@
+/* crypto.js
+  WebCrypto primitives for the app lock (see the lock section of storage.js):
+  - The data is encrypted with a random AES-GCM data key.
+  - The data key is stored wrapped (encrypted) with a key derived from the passphrase via PBKDF2,
+    so changing the passphrase only re-wraps the data key and never re-encrypts the data.
+  - A wrong passphrase fails the AES-GCM authentication when unwrapping.
+  Only available in secure contexts (https or localhost).
+*/
+
+const PBKDF2_ITERATIONS = 310000;
+
+export function cryptoSupported() {
+    return typeof crypto !== "undefined" && Boolean(crypto.subtle);
+}
+
+function randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+}
+
+async function passphraseKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        "raw",
+        new TextEncoder().encode(passphrase),
+        "PBKDF2",
+        false,
+        ["deriveKey"]
+    );
+    return crypto.subtle.deriveKey(
+        { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+        material,
+        { name: "AES-GCM", length: 256 },
+        false,
+        ["wrapKey", "unwrapKey"]
+    );
+}
+
+export function generateDataKey() {
+    return crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+}
+
+// Wrap the data key with a passphrase: { salt, iterations, iv, wrappedKey }
+export async function wrapDataKey(dataKey, passphrase) {
+    const salt = randomBytes(16);
+    const iv = randomBytes(12);
+    const key = await passphraseKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const wrappedKey = await crypto.subtle.wrapKey("raw", dataKey, key, { name: "AES-GCM", iv });
+    return { salt, iterations: PBKDF2_ITERATIONS, iv, wrappedKey };
+}
+
+// The data key, or null if the passphrase is wrong
+export async function unwrapDataKey(wrapped, passphrase) {
+    const key = await passphraseKey(passphrase, wrapped.salt, wrapped.iterations);
+    try {
+        return await crypto.subtle.unwrapKey(
+            "raw",
+            wrapped.wrappedKey,
+            key,
+            { name: "AES-GCM", iv: wrapped.iv },
+            { name: "AES-GCM", length: 256 },
+            true,
+            ["encrypt", "decrypt"]
+        );
+    } catch (err) {
+        if (err && err.name === "OperationError") return null;
+        throw err;
+    }
+}
+
+// Encrypt a JSON value: { iv, data }
+export async function seal(dataKey, value) {
+    const iv = randomBytes(12);
+    const plain = new TextEncoder().encode(JSON.stringify(value));
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, dataKey, plain);
+    return { iv, data };
+}
+
+export async function unseal(dataKey, sealed) {
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: sealed.iv }, dataKey, sealed.data);
+    return JSON.parse(new TextDecoder().decode(plain));
+}
@@ -0,0 +1,145 @@
+/* debt.js
+  Debt payoff mode: the goal's target is the starting balance of a loan, entries are payments (a
+  negative entry is a new charge), and interest accrues on whatever is still owed.
+  - goal.debt = { apr, compounding: "day" | "month" | "year", startDate } where apr is a yearly
+    percentage and startDate ("YYYY-MM-DD") is the day the starting balance was owed.
+  - Interest is added at every compounding boundary counted from startDate (each day, or the same
+    day of each month or year, clamped to short months) at apr / periods-per-year, on the balance
+    owed at that moment. Nothing accrues once the balance is paid off.
+  - The payoff projection assumes payments keep coming at the recent net pace (forecast.js), spread
+    evenly over the days, and gives up after MAX_YEARS.
+*/
+import { dayKey } from "./analytics.js";
+import { netDailyRate } from "./forecast.js";
+
+// Labels are the frequency.* messages (src/locales)
+export const COMPOUNDING = ["day", "month", "year"];
+
+const PERIODS_PER_YEAR = { day: 365, month: 12, year: 1 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_YEARS = 100;
+
+function parseDateKey(key) {
+    const [y, m, d] = key.split("-").map(Number);
+    return new Date(y, m - 1, d);
+}
+
+export function isDebt(goal) {
+    return Boolean(goal.debt);
+}
+
+export function createDebt(now = new Date()) {
+    return { apr: 0, compounding: "month", startDate: dayKey(now) };
+}
+
+// Time of the n-th compounding boundary after the start (n >= 1)
+function boundaryTime(start, compounding, n) {
+    if (compounding === "day") {
+        return new Date(start.getFullYear(), start.getMonth(), start.getDate() + n).getTime();
+    }
+    const months = compounding === "year" ? n * 12 : n;
+    const first = new Date(start.getFullYear(), start.getMonth() + months, 1);
+    const lastDay = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+    return new Date(first.getFullYear(), first.getMonth(), Math.min(start.getDate(), lastDay)).getTime();
+}
+
+/*
+  Walks a balance through time: call payUntil(time, amount) for payments in date order, then
+  accrueUntil(time) to bring it up to a moment. Payments before the start count at the start.
+*/
+function makeLedger(goal) {
+    const { apr, compounding, startDate } = goal.debt;
+    const rate = Number(apr) / 100 / PERIODS_PER_YEAR[compounding];
+    const start = parseDateKey(startDate);
+    let n = 1;
+    let next = boundaryTime(start, compounding, n);
+    const state = { balance: goal.targetSum, interest: 0 };
+
+    function accrueUntil(time) {
+        while (next <= time) {
+            if (state.balance > 0 && rate > 0) {
+                const interest = state.balance * rate;
+                state.balance += interest;
+                state.interest += interest;
+            }
+            n++;
+            next = boundaryTime(start, compounding, n);
+        }
+    }
+
+    function payUntil(time, amount) {
+        accrueUntil(time);
+        state.balance -= amount;
+    }
+
+    return { state, accrueUntil, payUntil, nextBoundary: () => next };
+}
+
+// The ledger brought up to `now` with every payment so far
+function ledgerAt(goal, now) {
+    const ledger = makeLedger(goal);
+    const payments = goal.entries
+        .map((e) => ({ time: new Date(e.date).getTime(), amount: Number(e.amount) }))
+        .sort((a, b) => a.time - b.time);
+    for (const p of payments) ledger.payUntil(p.time, p.amount);
+    ledger.accrueUntil(now);
+    return ledger;
+}
+
+/*
+  Balance owed now: { principal, interest } where principal is what is still owed (negative once
+  overpaid) and interest what has accrued so far.
+*/
+export function debtStatus(goal, now = Date.now()) {
+    const { state } = ledgerAt(goal, now);
+    return { principal: state.balance, interest: state.interest };
+}
+
+/*
+  Payoff projection at the recent payment pace, optionally with an extra payment made now:
+  { payoffDate, futureInterest, totalInterest, perDay }. All but perDay are null if the debt is
+  never paid off at this pace (no payments, or interest outgrows them); perDay is the pace used
+  (null without history).
+*/
+export function projectPayoff(goal, extra = 0, now = Date.now()) {
+    const ledger = ledgerAt(goal, now);
+    ledger.state.balance -= extra;
+    const pastInterest = ledger.state.interest;
+    const perDay = netDailyRate(goal.entries, now);
+
+    if (ledger.state.balance <= 0) {
+        return { payoffDate: new Date(now), futureInterest: 0, totalInterest: pastInterest, perDay };
+    }
+    if (perDay === null || perDay <= 0) {
+        return { payoffDate: null, futureInterest: null, totalInterest: null, perDay };
+    }
+
+    // Step from boundary to boundary, paying the pace for the days in between. If a whole year
+    // doesn't bring the balance down, interest outgrows the payments and it never will.
+    const limit = now + MAX_YEARS * 365 * DAY_MS;
+    let time = now;
+    let checkpoint = { time, balance: ledger.state.balance };
+    while (time < limit) {
+        if (time - checkpoint.time >= 365 * DAY_MS) {
+            if (ledger.state.balance >= checkpoint.balance) break;
+            checkpoint = { time, balance: ledger.state.balance };
+        }
+        const next = Math.min(ledger.nextBoundary(), limit);
+        const due = ((next - time) / DAY_MS) * perDay;
+        if (due >= ledger.state.balance) {
+            const payoff = time + (ledger.state.balance / perDay) * DAY_MS;
+            ledger.state.balance = 0;
+            const futureInterest = ledger.state.interest - pastInterest;
+            return {
+                payoffDate: new Date(payoff),
+                futureInterest,
+                totalInterest: ledger.state.interest,
+                perDay,
+            };
+        }
+        ledger.state.balance -= due;
+        ledger.accrueUntil(next);
+        time = next;
+    }
+    return { payoffDate: null, futureInterest: null, totalInterest: null, perDay };
+}
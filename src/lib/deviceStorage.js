@@ -0,0 +1,32 @@
+/* deviceStorage.js
+  Persistent storage for the IndexedDB data. Without it the browser may evict the origin's data under
+  storage pressure (Safari also after weeks without a visit); a granted request makes the data
+  survive until the user clears it. Chrome decides silently (installed apps usually get it),
+  Firefox may ask the user.
+*/
+
+// { supported, persisted, usage, quota } — usage and quota in bytes, null where unknown
+export async function storageStatus() {
+    const storage = navigator.storage;
+    if (!storage || !storage.persisted) {
+        return { supported: false, persisted: false, usage: null, quota: null };
+    }
+    const [persisted, estimate] = await Promise.all([
+        storage.persisted(),
+        storage.estimate ? storage.estimate().catch(() => null) : null,
+    ]);
+    return {
+        supported: true,
+        persisted,
+        usage: estimate ? estimate.usage : null,
+        quota: estimate ? estimate.quota : null,
+    };
+}
+
+// Ask for persistent storage unless already granted; resolves to whether it is persistent now
+export async function requestPersistence() {
+    const storage = navigator.storage;
+    if (!storage || !storage.persist) return false;
+    if (await storage.persisted()) return true;
+    return storage.persist();
+}
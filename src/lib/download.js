@@ -0,0 +1,14 @@
+/* download.js
+  Save a string as a file through a temporary object URL.
+*/
+export function downloadFile(filename, content, type = "application/octet-stream") {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
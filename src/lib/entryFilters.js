@@ -0,0 +1,74 @@
+/* entryFilters.js
+  Search, filter and grouping for the entries manager. Pure functions over the entry ledger.
+*/
+import { dayKey, monthKey } from "./analytics.js";
+import { ledgerTotals } from "./goals.js";
+
+export const EMPTY_FILTERS = {
+    text: "",
+    type: "all", // "all" | "deposits" | "withdrawals"
+    label: null, // null = any, "" = no label, otherwise exact label
+    from: "", // "YYYY-MM-DD", inclusive
+    to: "", // "YYYY-MM-DD", inclusive
+};
+
+export function hasActiveFilters(filters) {
+    return (
+        filters.text.trim() !== "" ||
+        filters.type !== "all" ||
+        filters.label !== null ||
+        filters.from !== "" ||
+        filters.to !== ""
+    );
+}
+
+// The ledger itself when no filter is set, so its cached totals apply
+export function filterEntries(entries, filters) {
+    if (!hasActiveFilters(filters)) return entries;
+    const text = filters.text.trim().toLowerCase();
+    return entries.filter((e) => {
+        const amount = Number(e.amount);
+        if (filters.type === "deposits" && amount < 0) return false;
+        if (filters.type === "withdrawals" && amount >= 0) return false;
+        if (filters.label !== null && (e.partName || "") !== filters.label) return false;
+        if (filters.from || filters.to) {
+            const day = dayKey(e.date);
+            if (filters.from && day < filters.from) return false;
+            if (filters.to && day > filters.to) return false;
+        }
+        if (text) {
+            const haystack = `${e.partName || ""}\n${e.note || ""}`.toLowerCase();
+            if (!haystack.includes(text)) return false;
+        }
+        return true;
+    });
+}
+
+// Sums of a list of entries, cached per array (lib/goals.js)
+export function totals(entries) {
+    return ledgerTotals(entries);
+}
+
+/*
+  Group already-sorted entries by "day" or "month" (or "none" for a single group), keeping order:
+  [{ key, entries, totals }]
+*/
+export function groupEntries(entries, by) {
+    if (by === "none") return [{ key: null, entries, totals: totals(entries) }];
+    const keyOf = by === "month" ? monthKey : dayKey;
+    const groups = [];
+    for (const e of entries) {
+        const key = keyOf(e.date);
+        const last = groups[groups.length - 1];
+        if (last && last.key === key) last.entries.push(e);
+        else groups.push({ key, entries: [e] });
+    }
+    return groups.map((g) => ({ ...g, totals: totals(g.entries) }));
+}
+
+// Distinct labels in use, sorted, for the label filter and bulk relabel
+export function entryLabels(entries) {
+    return Array.from(new Set(entries.map((e) => e.partName).filter(Boolean))).sort((a, b) =>
+        a.localeCompare(b)
+    );
+}
@@ -0,0 +1,84 @@
+/* forecast.js
+  Completion forecast and required pace for a goal with an optional deadline.
+  - The pace is the net rate (withdrawals included) over the last RATE_WINDOW_DAYS, or since the
+    first entry if that is more recent, but never over fewer than MIN_WINDOW_DAYS.
+  - "Ahead/behind" compares progress with a straight line from the goal's start to the deadline.
+*/
+import { sumEntries } from "./goals.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RATE_WINDOW_DAYS = 90;
+const MIN_WINDOW_DAYS = 7;
+
+export const PACE_UNITS = {
+    day: 1,
+    week: 7,
+    month: 365.25 / 12,
+};
+
+// Deadlines are stored as "YYYY-MM-DD" and count until the end of that local day.
+export function deadlineTime(deadline) {
+    const [y, m, d] = deadline.split("-").map(Number);
+    return new Date(y, m - 1, d + 1).getTime();
+}
+
+function earliestTime(entries) {
+    return entries.reduce((min, e) => Math.min(min, new Date(e.date).getTime()), Infinity);
+}
+
+export function netDailyRate(entries, now = Date.now()) {
+    if (entries.length === 0) return null;
+    const windowStart = Math.max(now - RATE_WINDOW_DAYS * DAY_MS, earliestTime(entries));
+    const days = Math.max(MIN_WINDOW_DAYS, (now - windowStart) / DAY_MS);
+    const net = entries
+        .filter((e) => new Date(e.date).getTime() >= now - days * DAY_MS)
+        .reduce((sum, e) => sum + Number(e.amount), 0);
+    return net / days;
+}
+
+/*
+  Returns {
+    remaining, done,
+    dailyRate,          // null without history
+    projectedDate,      // null when done, without history, or when the pace is zero/negative
+    daysLeft,           // null without a deadline; <= 0 once it has passed
+    requiredPerDay,     // null without a deadline or once it has passed
+    scheduleDelta,      // progress minus the straight-line schedule; null without a deadline
+  }
+*/
+export function forecastGoal(goal, now = Date.now()) {
+    const progress = sumEntries(goal.entries);
+    const remaining = goal.targetSum - progress;
+    const done = remaining <= 0;
+    const dailyRate = netDailyRate(goal.entries, now);
+
+    let projectedDate = null;
+    if (!done && dailyRate !== null && dailyRate > 0) {
+        projectedDate = new Date(now + (remaining / dailyRate) * DAY_MS);
+    }
+
+    let daysLeft = null;
+    let requiredPerDay = null;
+    let scheduleDelta = null;
+    if (goal.deadline) {
+        const end = deadlineTime(goal.deadline);
+        daysLeft = (end - now) / DAY_MS;
+        if (!done && daysLeft > 0) requiredPerDay = remaining / daysLeft;
+
+        const created = goal.createdAt ? new Date(goal.createdAt).getTime() : now;
+        const start = Math.min(created, earliestTime(goal.entries));
+        const span = end - start;
+        const elapsed = Math.min(1, Math.max(0, (now - start) / (span || 1)));
+        scheduleDelta = progress - goal.targetSum * elapsed;
+    }
+
+    return {
+        remaining,
+        done,
+        dailyRate,
+        projectedDate,
+        daysLeft,
+        requiredPerDay,
+        scheduleDelta,
+    };
+}
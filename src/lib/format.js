@@ -0,0 +1,94 @@
+/* format.js
+  Per-goal number display: plain numbers, an ISO currency, or a free-text unit (h, km, pages…),
+  with fixed decimal precision and an optional locale. Also owns the goal's quick-step buttons
+  and knob step, since they share the same precision.
+*/
+
+export const DEFAULT_DISPLAY = {
+    kind: "plain", // "plain" | "currency" | "unit"
+    currency: "USD",
+    unit: "",
+    decimals: 0,
+    locale: "", // "" = default for the UI language
+};
+
+export const DEFAULT_QUICK_STEPS = [-10000, -1000, 1000, 10000];
+export const DEFAULT_KNOB_STEP = 1000;
+
+export const COMMON_CURRENCIES = ["USD", "EUR", "GBP", "JPY", "CHF", "CAD", "AUD", "SEK", "NOK", "PLN", "INR"];
+export const COMMON_LOCALES = ["en-US", "en-GB", "de-DE", "fr-FR", "es-ES", "it-IT", "nl-NL", "pl-PL", "sv-SE", "ja-JP"];
+
+export function goalDisplay(goal) {
+    return { ...DEFAULT_DISPLAY, ...(goal.display || {}) };
+}
+
+export function goalQuickSteps(goal) {
+    return Array.isArray(goal.quickSteps) ? goal.quickSteps : DEFAULT_QUICK_STEPS;
+}
+
+export function goalKnobStep(goal) {
+    return Number(goal.knobStep) > 0 ? Number(goal.knobStep) : DEFAULT_KNOB_STEP;
+}
+
+function safeNumberFormat(locale, options) {
+    try {
+        return new Intl.NumberFormat(locale, options);
+    } catch {
+        // Bad locale or currency code typed in Settings: fall back to plain numbers (or percentages)
+        return new Intl.NumberFormat(undefined, {
+            style: options.style === "percent" ? "percent" : undefined,
+            minimumFractionDigits: options.minimumFractionDigits,
+            maximumFractionDigits: options.maximumFractionDigits,
+        });
+    }
+}
+
+/*
+  Build the formatter used everywhere a goal's amounts are shown:
+  { format(v), signed(v), compact(v), compactSigned(v), percent(p), date(d), dateTime(d), symbol, decimals,
+    locale } where percent takes 0–100.
+  `fallbackLocale` applies when the goal doesn't pick a locale (the UI language's, see lib/i18n.js).
+*/
+export function makeFormatter(display = DEFAULT_DISPLAY, fallbackLocale = undefined) {
+    const d = { ...DEFAULT_DISPLAY, ...display };
+    const locale = d.locale || fallbackLocale;
+    const digits = { minimumFractionDigits: d.decimals, maximumFractionDigits: d.decimals };
+    const currency = d.kind === "currency" ? { style: "currency", currency: d.currency } : {};
+    const full = safeNumberFormat(locale, { ...digits, ...currency });
+    const compactFmt = safeNumberFormat(locale, {
+        notation: "compact",
+        maximumFractionDigits: 1,
+        ...currency,
+    });
+    const percentFmt = safeNumberFormat(locale, { style: "percent", maximumFractionDigits: 2 });
+    const suffix = d.kind === "unit" && d.unit ? ` ${d.unit}` : "";
+
+    let symbol = "";
+    if (d.kind === "currency") {
+        const part = full.formatToParts(0).find((p) => p.type === "currency");
+        symbol = part ? part.value : d.currency;
+    } else if (d.kind === "unit") {
+        symbol = d.unit;
+    }
+
+    const format = (v) => full.format(v) + suffix;
+    const compact = (v) => compactFmt.format(v) + suffix;
+    return {
+        format,
+        signed: (v) => (v >= 0 ? "+" : "") + format(v),
+        compact,
+        compactSigned: (v) => (v >= 0 ? "+" : "") + compact(v),
+        percent: (p) => percentFmt.format(p / 100),
+        date: (value) => new Date(value).toLocaleDateString(locale),
+        dateTime: (value) => new Date(value).toLocaleString(locale),
+        symbol,
+        decimals: d.decimals,
+        locale,
+    };
+}
+
+// Round to the goal's precision so float noise (0.1 + 0.2) never reaches the ledger
+export function roundTo(value, decimals) {
+    const f = 10 ** decimals;
+    return Math.round(value * f) / f;
+}
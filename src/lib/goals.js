@@ -0,0 +1,198 @@
+/* goals.js
+  Goal model helpers. A goal owns its own target, entries and dial color; progress is always
+  derived from the entries so the two can't drift apart.
+  Order of the goals array is the display order in the switcher and in Settings.
+*/
+import { makeId } from "./id.js";
+
+export const GOAL_COLORS = [
+    "#60a5fa",
+    "#34d399",
+    "#fbbf24",
+    "#f87171",
+    "#a78bfa",
+    "#f472b6",
+];
+
+export function createGoal({
+    name = "New goal",
+    targetSum = 100000,
+    entries = [],
+    color = GOAL_COLORS[0],
+    deadline = null,
+} = {}) {
+    return {
+        id: makeId(),
+        name,
+        color,
+        targetSum,
+        entries,
+        deadline, // optional "YYYY-MM-DD"
+        recurring: [], // scheduled contribution rules, see recurring.js
+        parts: [], // sub-targets, see parts.js
+        milestones: [], // see milestones.js
+        archived: false,
+        createdAt: new Date().toISOString(),
+    };
+}
+
+// Pick the first palette color not already used by another goal.
+export function nextGoalColor(goals) {
+    const used = new Set(goals.map((g) => g.color));
+    return GOAL_COLORS.find((c) => !used.has(c)) || GOAL_COLORS[goals.length % GOAL_COLORS.length];
+}
+
+// Move a goal one slot up (dir = -1) or down (dir = 1) in the list.
+export function moveGoal(goals, id, dir) {
+    const idx = goals.findIndex((g) => g.id === id);
+    const target = idx + dir;
+    if (idx < 0 || target < 0 || target >= goals.length) return goals;
+    const copy = goals.slice();
+    [copy[idx], copy[target]] = [copy[target], copy[idx]];
+    return copy;
+}
+
+// The goal that should be shown: the requested one if it is still open, otherwise the first open goal.
+export function resolveActiveGoal(goals, id) {
+    return (
+        goals.find((g) => g.id === id && !g.archived) ||
+        goals.find((g) => !g.archived) ||
+        goals[0]
+    );
+}
+
+// "savings" counts up to the target, "budget" counts down a limit per period (budget.js), "debt"
+// pays down a balance that accrues interest (debt.js)
+export function goalKind(goal) {
+    if (goal.budget) return "budget";
+    if (goal.debt) return "debt";
+    return "savings";
+}
+
+/*
+  Ledger totals and the newest-first order are cached per entries array (ledgers are never changed in
+  place). prependEntries, removeEntries and updateEntries derive a new ledger from an old one and
+  carry both over, adjusted for the entries they touch, so a change to a long history isn't summed
+  and sorted again from scratch. Any other new array is computed in full once, on first use.
+*/
+const ledgerCache = new WeakMap(); // entries array -> { totals, sorted }
+
+const NO_TOTALS = { count: 0, deposits: 0, withdrawals: 0, net: 0 };
+
+// Running sums are kept to 8 decimals, so adding and removing entries leaves no floating-point dust
+function tidy(n) {
+    return Math.round(n * 1e8) / 1e8;
+}
+
+// `totals` with `entries` added (sign = 1) or taken out (sign = -1)
+function adjustTotals(totals, entries, sign) {
+    let { count, deposits, withdrawals } = totals;
+    for (const e of entries) {
+        const amount = Number(e.amount);
+        count += sign;
+        if (amount >= 0) deposits += sign * amount;
+        else withdrawals += sign * amount;
+    }
+    deposits = tidy(deposits);
+    withdrawals = tidy(withdrawals);
+    return { count, deposits, withdrawals, net: tidy(deposits + withdrawals) };
+}
+
+function cached(entries) {
+    let entry = ledgerCache.get(entries);
+    if (!entry) {
+        entry = { totals: adjustTotals(NO_TOTALS, entries, 1), sorted: null };
+        ledgerCache.set(entries, entry);
+    }
+    return entry;
+}
+
+// { count, deposits, withdrawals, net } of a whole ledger
+export function ledgerTotals(entries) {
+    return cached(entries).totals;
+}
+
+export function sumEntries(entries) {
+    return ledgerTotals(entries).net;
+}
+
+function newerFirst(a, b) {
+    return new Date(b.date).getTime() - new Date(a.date).getTime();
+}
+
+// Newest first; ties keep their stored order. The result is shared: don't change it.
+export function sortEntries(entries) {
+    const entry = cached(entries);
+    if (!entry.sorted) {
+        entry.sorted = entries.slice().sort(newerFirst);
+        ledgerCache.set(entry.sorted, entry);
+    }
+    return entry.sorted;
+}
+
+// Insert into a newest-first list, ahead of entries with the same date
+function insertSorted(sorted, entry) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (newerFirst(sorted[mid], entry) < 0) lo = mid + 1;
+        else hi = mid;
+    }
+    sorted.splice(lo, 0, entry);
+}
+
+// Cache `next`, which is `prev` with `added` and without `removed`, from what is known about `prev`
+function deriveLedger(prev, next, added, removed) {
+    const known = ledgerCache.get(prev);
+    if (!known) return next;
+    const totals = adjustTotals(adjustTotals(known.totals, removed, -1), added, 1);
+    let sorted = null;
+    if (known.sorted) {
+        const gone = new Set(removed);
+        sorted = gone.size > 0 ? known.sorted.filter((e) => !gone.has(e)) : known.sorted.slice();
+        // Backwards, so entries added with the same date keep their order
+        for (let i = added.length - 1; i >= 0; i--) insertSorted(sorted, added[i]);
+    }
+    const entry = { totals, sorted };
+    ledgerCache.set(next, entry);
+    if (sorted) ledgerCache.set(sorted, entry);
+    return next;
+}
+
+// New entries go first in the ledger
+export function prependEntries(entries, added) {
+    if (added.length === 0) return entries;
+    return deriveLedger(entries, [...added, ...entries], added, []);
+}
+
+export function removeEntries(entries, ids) {
+    const gone = new Set(ids);
+    const removed = entries.filter((e) => gone.has(e.id));
+    if (removed.length === 0) return entries;
+    return deriveLedger(entries, entries.filter((e) => !gone.has(e.id)), [], removed);
+}
+
+// Replace the entries with the given ids by fn(entry); an entry fn returns as-is stays unchanged
+export function updateEntries(entries, ids, fn) {
+    const targets = new Set(ids);
+    const added = [];
+    const removed = [];
+    const next = entries.map((e) => {
+        if (!targets.has(e.id)) return e;
+        const updated = fn(e);
+        if (updated !== e) {
+            removed.push(e);
+            added.push(updated);
+        }
+        return updated;
+    });
+    return added.length > 0 ? deriveLedger(entries, next, added, removed) : entries;
+}
+
+// ISO timestamp -> value for <input type="datetime-local"> in local time
+export function toLocalInputValue(iso) {
+    const d = new Date(iso);
+    const local = new Date(d.getTime() - d.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
@@ -0,0 +1,40 @@
+/* history.js
+  Undo/redo stack for ledger mutations. Each step records what it touched and the value
+  before and after the change:
+  - { goalId, before, after } for one goal's entries array;
+  - { scope: "goals", before, after } for the whole goal list (e.g. a JSON import).
+  Undo/redo merges the difference between the two into the current value (lib/merge.js), so later
+  changes, including ones from other tabs, survive.
+*/
+export const HISTORY_LIMIT = 50;
+
+export function emptyHistory() {
+    return { past: [], future: [] };
+}
+
+// Record a new step; any redo branch is dropped.
+export function pushStep(history, step) {
+    return {
+        past: [...history.past, step].slice(-HISTORY_LIMIT),
+        future: [],
+    };
+}
+
+// Returns [step, nextHistory], or [null, history] if there is nothing to undo.
+export function undoStep(history) {
+    const step = history.past[history.past.length - 1];
+    if (!step) return [null, history];
+    return [
+        step,
+        { past: history.past.slice(0, -1), future: [step, ...history.future] },
+    ];
+}
+
+export function redoStep(history) {
+    const step = history.future[0];
+    if (!step) return [null, history];
+    return [
+        step,
+        { past: [...history.past, step], future: history.future.slice(1) },
+    ];
+}
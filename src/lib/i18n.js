@@ -0,0 +1,94 @@
+/* i18n.js
+  UI language: message catalogs (src/locales/*.js), plural rules and text direction.
+  - A message is a string with {name} placeholders, or an object of plural forms keyed by
+    Intl.PluralRules category (zero, one, two, few, many, other), picked by the `count` parameter.
+    Every plural needs "other"; a "zero" form, where given, is used for 0 even in languages whose
+    rules file 0 under another form (English "No entries" rather than "0 entries").
+  - Numbers passed as parameters are formatted for the language; strings are inserted as they are.
+  - A message missing from a catalog falls back to English, then to the key itself.
+  - The language preference is a device setting stored in IndexedDB (lib/storage.js); "" follows
+    the browser. Components read the translator through useT().
+*/
+import { createContext, useContext } from "react";
+import ar from "../locales/ar.js";
+import de from "../locales/de.js";
+import en from "../locales/en.js";
+
+export const LANGUAGES = {
+    en: { name: "English", dir: "ltr", messages: en },
+    de: { name: "Deutsch", dir: "ltr", messages: de },
+    ar: { name: "العربية", dir: "rtl", messages: ar },
+};
+
+const FALLBACK = "en";
+
+function browserLanguages() {
+    if (typeof navigator === "undefined") return [];
+    return navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+}
+
+// The language to show for a stored preference ("" = the browser's first supported language)
+export function resolveLanguage(preference) {
+    if (preference && LANGUAGES[preference]) return preference;
+    for (const tag of browserLanguages()) {
+        const base = String(tag || "").split("-")[0].toLowerCase();
+        if (LANGUAGES[base]) return base;
+    }
+    return FALLBACK;
+}
+
+/*
+  Locale for numbers and dates when a goal doesn't pick one: the browser's own (undefined) while it
+  speaks the UI language, so en-GB keeps its dates under English; otherwise the UI language.
+*/
+function defaultLocale(lang) {
+    const browser = browserLanguages()[0];
+    return browser && browser.toLowerCase().split("-")[0] === lang ? undefined : lang;
+}
+
+function interpolate(text, params, numbers) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === "number" ? numbers.format(value) : String(value);
+    });
+}
+
+/*
+  Build the translator for a language: t(key, params) returns the message. It also carries
+  t.lang, t.dir ("ltr" | "rtl") and t.locale (see defaultLocale, for lib/format.js).
+*/
+export function makeTranslator(preference) {
+    const lang = resolveLanguage(preference);
+    const { messages, dir } = LANGUAGES[lang];
+    const plurals = new Intl.PluralRules(lang);
+    const locale = defaultLocale(lang);
+    const numbers = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+
+    function t(key, params = {}) {
+        let message = key in messages ? messages[key] : LANGUAGES[FALLBACK].messages[key];
+        if (message === undefined) return key;
+        if (typeof message === "object") {
+            const count = Number(params.count) || 0;
+            message = (count === 0 && message.zero) || message[plurals.select(count)] || message.other;
+        }
+        return interpolate(message, params, numbers);
+    }
+
+    t.lang = lang;
+    t.dir = dir;
+    t.locale = locale;
+    return t;
+}
+
+// Point <html lang dir> at the language, so the layout mirrors for right-to-left scripts
+export function applyDocumentLanguage(t) {
+    document.documentElement.lang = t.lang;
+    document.documentElement.dir = t.dir;
+}
+
+export const I18nContext = createContext(makeTranslator(FALLBACK));
+
+export function useT() {
+    return useContext(I18nContext);
+}
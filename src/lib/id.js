@@ -0,0 +1,12 @@
+/* id.js
+  Stable identifiers for goals and entries. Prefers crypto.randomUUID and falls back
+  to a time + random string on insecure origins (e.g. testing over a LAN IP).
+*/
+export function makeId() {
+    if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+        return crypto.randomUUID();
+    }
+    return (
+        Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 10)
+    );
+}
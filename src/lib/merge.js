@@ -0,0 +1,160 @@
+/* merge.js
+  Three-way merge of the goal list, used when another tab or window changed the stored ledger
+  underneath this one, and by undo/redo so a step only reverts what it changed itself.
+  - base: the version both sides started from; local: ours; remote: theirs.
+  - Goals, entries, parts, recurring rules, milestones and closed budget periods are matched by id.
+    Whatever one side changed relative to base is kept; when both sides changed the same field, the
+    local side wins. An item added on one side keeps its place after the item it followed there.
+  - An edit beats a concurrent deletion, so an entry is never dropped without anyone seeing it.
+  - Scheduled (auto) entries booked by both sides for the same occurrence are kept once.
+  - A milestone achieved on either side stays achieved, dated by the earlier achievement.
+  Unchanged values are returned as-is, so callers can compare by identity to see if anything happened.
+  Goals and lists are never changed in place, so they are compared by identity first: merging a long
+  ledger only looks into the entries that differ instead of serializing the whole list.
+*/
+
+// Deep equality for plain JSON data
+export function sameValue(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Same length and the very same items
+function sameItems(a, b) {
+    return a.length === b.length && a.every((item, i) => item === b[i]);
+}
+
+function indexById(list) {
+    return new Map(list.map((item) => [item.id, item]));
+}
+
+// Ids of `list` that also exist in `base`, in list order
+function baseOrder(list, baseById) {
+    return list.filter((item) => baseById.has(item.id)).map((item) => item.id);
+}
+
+function mergeRecord(base = {}, local, remote) {
+    if (sameValue(local, base)) return remote;
+    if (sameValue(remote, base)) return local;
+    const merged = { ...remote };
+    for (const key of new Set([...Object.keys(local), ...Object.keys(base)])) {
+        if (!sameValue(local[key], base[key])) {
+            if (key in local) merged[key] = local[key];
+            else delete merged[key];
+        }
+    }
+    return merged;
+}
+
+function mergeById(base, local, remote, mergeItem) {
+    if (local === base) return remote;
+    if (remote === base) return local;
+    const baseById = indexById(base);
+    const localById = indexById(local);
+    const remoteById = indexById(remote);
+
+    // Follow the local order only if this side reordered items; otherwise the remote one
+    const reordered = !sameItems(baseOrder(local, baseById), baseOrder(base, baseById));
+    const [primary, secondary] = reordered ? [local, remote] : [remote, local];
+    const primaryById = reordered ? localById : remoteById;
+
+    // Items only the other side has go right after the item they follow there (or first), so an
+    // entry added at the top of a newest-first ledger stays at the top
+    const inserts = new Map(); // id of the item followed, null for the start -> items
+    let after = null;
+    for (const item of secondary) {
+        if (primaryById.has(item.id)) {
+            after = item.id;
+            continue;
+        }
+        if (!inserts.has(after)) inserts.set(after, []);
+        inserts.get(after).push(item);
+    }
+
+    const result = [];
+    const visit = (item) => {
+        const { id } = item;
+        const b = baseById.get(id);
+        const l = localById.get(id);
+        const r = remoteById.get(id);
+        if (l && r) result.push(mergeItem(b, l, r));
+        else if (!b) result.push(l || r); // added on one side
+        else if (!sameValue(l || r, b)) result.push(l || r); // deleted on one side, edited on the other
+    };
+    (inserts.get(null) || []).forEach(visit);
+    for (const item of primary) {
+        visit(item);
+        (inserts.get(item.id) || []).forEach(visit);
+    }
+    if (sameItems(result, remote)) return remote;
+    if (sameItems(result, local)) return local;
+    return result;
+}
+
+function autoKey(entry) {
+    return `${entry.auto.ruleId}:${entry.auto.occurrence}`;
+}
+
+export function mergeEntries(base, local, remote) {
+    const merged = mergeById(base, local, remote, mergeRecord);
+    if (merged === local || merged === remote) return merged;
+    // Both sides may have booked the same scheduled occurrence (e.g. two tabs opened at once)
+    const known = new Set([...base, ...remote].map((e) => e.id));
+    const remoteAuto = new Set(remote.filter((e) => e.auto).map(autoKey));
+    return merged.filter((e) => !e.auto || known.has(e.id) || !remoteAuto.has(autoKey(e)));
+}
+
+function mergeRule(base, local, remote) {
+    const merged = mergeRecord(base, local, remote);
+    // Booking occurrences only raises `applied`, so keep the higher count; a schedule edit recounts
+    // from the new start (see updateRule), in which case the merged fields already agree
+    const rescheduled =
+        !base ||
+        merged.startDate !== base.startDate ||
+        merged.interval !== base.interval ||
+        merged.every !== base.every;
+    if (rescheduled) return merged;
+    const applied = Math.max(local.applied || 0, remote.applied || 0);
+    return merged.applied === applied ? merged : { ...merged, applied };
+}
+
+function mergeMilestone(base, local, remote) {
+    const merged = mergeRecord(base, local, remote);
+    const dates = [local.achievedAt, remote.achievedAt].filter(Boolean);
+    const achievedAt =
+        dates.length > 0 ? dates.reduce((a, b) => (Date.parse(a) <= Date.parse(b) ? a : b)) : null;
+    return merged.achievedAt === achievedAt ? merged : { ...merged, achievedAt };
+}
+
+// Goal fields that are lists merged item by item
+const GOAL_LISTS = ["entries", "parts", "recurring", "milestones", "periods"];
+
+function ownFields(goal) {
+    const fields = { ...goal };
+    GOAL_LISTS.forEach((key) => delete fields[key]);
+    return fields;
+}
+
+function sameFields(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => a[key] === b[key]);
+}
+
+function mergeGoal(base = {}, local, remote) {
+    if (local === base) return remote;
+    if (remote === base) return local;
+    const merged = {
+        ...mergeRecord(ownFields(base), ownFields(local), ownFields(remote)),
+        entries: mergeEntries(base.entries || [], local.entries || [], remote.entries || []),
+        parts: mergeById(base.parts || [], local.parts || [], remote.parts || [], mergeRecord),
+        recurring: mergeById(base.recurring || [], local.recurring || [], remote.recurring || [], mergeRule),
+        milestones: mergeById(base.milestones || [], local.milestones || [], remote.milestones || [], mergeMilestone),
+        periods: mergeById(base.periods || [], local.periods || [], remote.periods || [], mergeRecord),
+    };
+    if (sameFields(merged, remote)) return remote;
+    if (sameFields(merged, local)) return local;
+    return merged;
+}
+
+export function mergeGoals(base, local, remote) {
+    return mergeById(base, local, remote, mergeGoal);
+}
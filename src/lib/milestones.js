@@ -0,0 +1,84 @@
+/* milestones.js
+  Milestones of a goal: { id, kind: "percent" | "amount", value, achievedAt }.
+  - A percent milestone is a share of the goal's target at the time it is checked; an amount
+    milestone is an absolute progress value.
+  - A milestone is achieved the first time the running total reaches it and stays achieved for
+    good: a later withdrawal doesn't undo it, so crossing it again is not celebrated again.
+  - achievedAt is the date of the entry that first reached it, so editing an old entry or adding
+    a milestone that is already behind you dates it correctly.
+*/
+import { cumulativeSeries } from "./analytics.js";
+import { sumEntries } from "./goals.js";
+import { makeId } from "./id.js";
+
+export const DEFAULT_MILESTONES = [25, 50, 75, 100];
+
+export function createMilestone(kind, value) {
+    return { id: makeId(), kind, value: Number(value), achievedAt: null };
+}
+
+export function goalMilestones(goal) {
+    return Array.isArray(goal.milestones) ? goal.milestones : [];
+}
+
+export function milestoneAmount(milestone, targetSum) {
+    return milestone.kind === "percent" ? (targetSum * milestone.value) / 100 : milestone.value;
+}
+
+// Nearest milestone first
+export function sortMilestones(milestones, targetSum) {
+    return milestones
+        .slice()
+        .sort((a, b) => milestoneAmount(a, targetSum) - milestoneAmount(b, targetSum));
+}
+
+export function milestoneLabel(milestone, fmt) {
+    return milestone.kind === "percent" ? fmt.percent(milestone.value) : fmt.format(milestone.value);
+}
+
+// Date of the first entry at which the running total reached `amount`, or null
+function reachedAt(entries, amount) {
+    const point = cumulativeSeries(entries).find((p) => p.total >= amount);
+    return point ? new Date(point.time).toISOString() : null;
+}
+
+/*
+  Mark the milestones a goal's ledger has reached, where `before` is the ledger prior to the change
+  that produced goal.entries. Returns { goal, crossed }: the goal with the new achievements (the same
+  object if there are none) and the milestones this change crossed, i.e. that `before` had not
+  reached. Those are worth a celebration; the others were already behind (e.g. after an import or
+  when the milestone was just added) and are only dated.
+*/
+export function reachMilestones(goal, before) {
+    const milestones = goalMilestones(goal);
+    const progressBefore = sumEntries(before);
+    const progressAfter = sumEntries(goal.entries);
+    const crossed = [];
+    let changed = false;
+    const next = milestones.map((m) => {
+        const amount = milestoneAmount(m, goal.targetSum);
+        if (m.achievedAt || amount <= 0 || progressAfter < amount) return m;
+        changed = true;
+        const achieved = { ...m, achievedAt: reachedAt(goal.entries, amount) || new Date().toISOString() };
+        if (progressBefore < amount) crossed.push(achieved);
+        return achieved;
+    });
+    return { goal: changed ? { ...goal, milestones: next } : goal, crossed };
+}
+
+/*
+  Timeline for the history view, oldest achievement first, then what is still ahead:
+  [{ milestone, amount, achievedAt }]
+*/
+export function milestoneTimeline(goal) {
+    const rows = goalMilestones(goal).map((milestone) => ({
+        milestone,
+        amount: milestoneAmount(milestone, goal.targetSum),
+        achievedAt: milestone.achievedAt,
+    }));
+    const achieved = rows
+        .filter((r) => r.achievedAt)
+        .sort((a, b) => new Date(a.achievedAt) - new Date(b.achievedAt));
+    const ahead = rows.filter((r) => !r.achievedAt).sort((a, b) => a.amount - b.amount);
+    return [...achieved, ...ahead];
+}
@@ -0,0 +1,31 @@
+/* notify.js
+  System notifications shown through the service worker registration, which is what mobile browsers
+  require (new Notification() throws on Android) and lets the notification outlive the tab.
+*/
+
+export function notificationsSupported() {
+    return typeof Notification !== "undefined" && "serviceWorker" in navigator;
+}
+
+// "granted", "denied", "default", or "unsupported"
+export function notificationPermission() {
+    return notificationsSupported() ? Notification.permission : "unsupported";
+}
+
+export async function requestNotificationPermission() {
+    if (!notificationsSupported()) return "unsupported";
+    return Notification.requestPermission();
+}
+
+// Resolves to whether a notification was shown; never asks for permission itself
+export async function showNotification(title, options = {}) {
+    if (notificationPermission() !== "granted") return false;
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration) return false;
+    await registration.showNotification(title, {
+        icon: `${import.meta.env.BASE_URL}icons/icon-192.png`,
+        badge: `${import.meta.env.BASE_URL}icons/favicon-96x96.png`,
+        ...options,
+    });
+    return true;
+}
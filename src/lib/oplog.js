@@ -0,0 +1,167 @@
+/* oplog.js
+  Operation log used by server sync (see sync.js). Local changes are turned into small ops and every
+  device replays everyone's ops, so all devices end up with the same goals:
+  - { type: "goal", goalId, fields }         set some goal fields (creates the goal if missing)
+  - { type: "goal-delete", goalId }
+  - { type: "entry", goalId, entry }         add or replace one entry
+  - { type: "entry-delete", goalId, entryId }
+  Each op carries a stamp { clock, device } (a Lamport clock plus the device id). Merging is
+  last-writer-wins per goal field, per entry and per goal's existence, comparing stamps, so the
+  result doesn't depend on the order in which ops arrive.
+  Goal order in the switcher is kept per device and not synced.
+*/
+import { createGoal, prependEntries, removeEntries } from "./goals.js";
+import { sameValue } from "./merge.js";
+
+// Goal fields that are not synced as plain values
+const NOT_FIELDS = new Set(["id", "entries"]);
+
+export function compareStamps(a, b) {
+    return a.clock - b.clock || (a.device < b.device ? -1 : a.device > b.device ? 1 : 0);
+}
+
+function goalFields(goal) {
+    const fields = {};
+    for (const [key, value] of Object.entries(goal)) {
+        if (!NOT_FIELDS.has(key)) fields[key] = value;
+    }
+    return fields;
+}
+
+// Ops (without stamps) that turn `before` into `after`
+export function diffOps(before, after) {
+    const ops = [];
+    const beforeById = new Map(before.map((g) => [g.id, g]));
+    const afterIds = new Set(after.map((g) => g.id));
+    for (const goal of after) {
+        const old = beforeById.get(goal.id);
+        if (old === goal) continue;
+        const fields = {};
+        for (const [key, value] of Object.entries(goalFields(goal))) {
+            if (!old || !sameValue(old[key], value)) fields[key] = value;
+        }
+        if (Object.keys(fields).length > 0) ops.push({ type: "goal", goalId: goal.id, fields });
+        if (old && old.entries === goal.entries) continue;
+
+        const oldEntries = new Map((old ? old.entries : []).map((e) => [e.id, e]));
+        const entryIds = new Set(goal.entries.map((e) => e.id));
+        for (const entry of goal.entries) {
+            const prev = oldEntries.get(entry.id);
+            if (!prev || (prev !== entry && !sameValue(prev, entry))) {
+                ops.push({ type: "entry", goalId: goal.id, entry });
+            }
+        }
+        for (const id of oldEntries.keys()) {
+            if (!entryIds.has(id)) ops.push({ type: "entry-delete", goalId: goal.id, entryId: id });
+        }
+    }
+    for (const goal of before) {
+        if (!afterIds.has(goal.id)) ops.push({ type: "goal-delete", goalId: goal.id });
+    }
+    return ops;
+}
+
+// Keys whose latest stamp decides an op
+function goalKey(goalId) {
+    return `g:${goalId}`;
+}
+
+function fieldKey(goalId, field) {
+    return `g:${goalId}:${field}`;
+}
+
+function entryKey(goalId, entryId) {
+    return `e:${goalId}:${entryId}`;
+}
+
+// The stamp keys an op writes, so the op log can record them as it is created
+export function opKeys(op) {
+    switch (op.type) {
+        case "goal":
+            return Object.keys(op.fields).map((f) => fieldKey(op.goalId, f));
+        case "goal-delete":
+            return [goalKey(op.goalId)];
+        case "entry":
+            return [entryKey(op.goalId, op.entry.id)];
+        case "entry-delete":
+            return [entryKey(op.goalId, op.entryId)];
+        default:
+            return [];
+    }
+}
+
+function autoKey(entry) {
+    return entry.auto ? `${entry.auto.ruleId}:${entry.auto.occurrence}` : null;
+}
+
+/*
+  Replay stamped ops onto a goal list. `stamps` maps keys to the newest stamp applied so far and is
+  updated in place. A goal first seen through an entry op is named `newGoalName` until its own fields
+  arrive. Returns the new goal list (the same array if nothing changed).
+*/
+export function applyOps(goals, ops, stamps, newGoalName = "Synced goal") {
+    let list = goals;
+    let changed = false;
+
+    function newer(key, stamp) {
+        const seen = stamps[key];
+        if (seen && compareStamps(seen, stamp) >= 0) return false;
+        stamps[key] = stamp;
+        return true;
+    }
+
+    // A goal deleted later than this op must stay deleted
+    function deletedAfter(goalId, stamp) {
+        const gone = stamps[goalKey(goalId)];
+        return Boolean(gone && compareStamps(gone, stamp) > 0);
+    }
+
+    // ...and a goal edited later than a deletion stays too
+    function editedAfter(goalId, stamp) {
+        const prefixes = [`${goalKey(goalId)}:`, `e:${goalId}:`];
+        return Object.entries(stamps).some(
+            ([key, seen]) => prefixes.some((p) => key.startsWith(p)) && compareStamps(seen, stamp) > 0
+        );
+    }
+
+    function updateGoal(goalId, fn) {
+        const idx = list.findIndex((g) => g.id === goalId);
+        const goal = idx >= 0 ? list[idx] : { ...createGoal({ name: newGoalName }), id: goalId };
+        const next = fn(goal);
+        if (next === goal) return;
+        list = idx >= 0 ? list.map((g, i) => (i === idx ? next : g)) : [...list, next];
+        changed = true;
+    }
+
+    for (const op of ops) {
+        const { stamp } = op;
+        if (op.type === "goal-delete") {
+            if (editedAfter(op.goalId, stamp) || !newer(goalKey(op.goalId), stamp)) continue;
+            if (list.some((g) => g.id === op.goalId)) {
+                list = list.filter((g) => g.id !== op.goalId);
+                changed = true;
+            }
+        } else if (op.type === "goal") {
+            if (deletedAfter(op.goalId, stamp)) continue;
+            const fields = {};
+            for (const [field, value] of Object.entries(op.fields)) {
+                if (!NOT_FIELDS.has(field) && newer(fieldKey(op.goalId, field), stamp)) fields[field] = value;
+            }
+            if (Object.keys(fields).length > 0) updateGoal(op.goalId, (g) => ({ ...g, ...fields }));
+        } else if (op.type === "entry" || op.type === "entry-delete") {
+            const entryId = op.type === "entry" ? op.entry.id : op.entryId;
+            if (deletedAfter(op.goalId, stamp) || !newer(entryKey(op.goalId, entryId), stamp)) continue;
+            updateGoal(op.goalId, (g) => {
+                const rest = removeEntries(g.entries, [entryId]);
+                const unchanged = rest === g.entries;
+                if (op.type === "entry-delete") return unchanged ? g : { ...g, entries: rest };
+                // Two devices may book the same scheduled occurrence; every device keeps the lowest id
+                const key = autoKey(op.entry);
+                const twin = key && rest.find((e) => autoKey(e) === key);
+                if (twin && twin.id < op.entry.id) return unchanged ? g : { ...g, entries: rest };
+                return { ...g, entries: prependEntries(twin ? removeEntries(rest, [twin.id]) : rest, [op.entry]) };
+            });
+        }
+    }
+    return changed ? list : goals;
+}
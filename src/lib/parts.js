@@ -0,0 +1,85 @@
+/* parts.js
+  Sub-targets ("parts") of a goal. A part is { id, name, target, color }; entries belong to a part
+  through their partName, so labels, CSV files and recurring rules keep working unchanged.
+  Entries whose label matches no part count as "unassigned", which covers whatever share of the
+  goal's target the parts don't.
+*/
+import { GOAL_COLORS } from "./goals.js";
+import { makeId } from "./id.js";
+
+export const UNASSIGNED = "__unassigned__";
+const UNASSIGNED_COLOR = "#9ca3af";
+
+export function createPart(name, target, existing = []) {
+    const used = new Set(existing.map((p) => p.color));
+    return {
+        id: makeId(),
+        name,
+        target: Number(target) || 0,
+        color: GOAL_COLORS.find((c) => !used.has(c)) || GOAL_COLORS[existing.length % GOAL_COLORS.length],
+    };
+}
+
+export function goalParts(goal) {
+    return Array.isArray(goal.parts) ? goal.parts : [];
+}
+
+/*
+  Progress per part, plus an "unassigned" row when the parts don't cover the whole target or
+  some entries belong to no part: [{ id, name, color, target, progress, remaining }]. That row is
+  named `unassignedName`.
+*/
+export function partBreakdown(goal, unassignedName = "Unassigned") {
+    const parts = goalParts(goal);
+    const byName = new Map(parts.map((p) => [p.name, 0]));
+    let unassigned = 0;
+    for (const e of goal.entries) {
+        if (e.partName && byName.has(e.partName)) {
+            byName.set(e.partName, byName.get(e.partName) + Number(e.amount));
+        } else {
+            unassigned += Number(e.amount);
+        }
+    }
+    const rows = parts.map((p) => {
+        const progress = byName.get(p.name);
+        return { ...p, progress, remaining: Math.max(0, p.target - progress) };
+    });
+    const partsTarget = parts.reduce((sum, p) => sum + p.target, 0);
+    const restTarget = Math.max(0, goal.targetSum - partsTarget);
+    if (restTarget > 0 || unassigned !== 0) {
+        rows.push({
+            id: UNASSIGNED,
+            name: unassignedName,
+            color: UNASSIGNED_COLOR,
+            target: restTarget,
+            progress: unassigned,
+            remaining: Math.max(0, restTarget - unassigned),
+        });
+    }
+    return rows;
+}
+
+/*
+  Pie data for the segmented dial: for each part a filled slice (its progress, capped at its target)
+  and a faded slice (what's left of it). { partId, value, color, filled }
+*/
+export function dialSegments(breakdown) {
+    const segments = [];
+    for (const row of breakdown) {
+        const done = Math.min(Math.max(row.progress, 0), row.target);
+        segments.push({ partId: row.id, value: done, color: row.color, filled: true });
+        segments.push({ partId: row.id, value: row.target - done, color: row.color, filled: false });
+    }
+    return segments;
+}
+
+// Rename a part and carry its entries along
+export function renamePart(goal, partId, name) {
+    const part = goalParts(goal).find((p) => p.id === partId);
+    if (!part) return goal;
+    return {
+        ...goal,
+        parts: goal.parts.map((p) => (p.id === partId ? { ...p, name } : p)),
+        entries: goal.entries.map((e) => (e.partName === part.name ? { ...e, partName: name } : e)),
+    };
+}
@@ -0,0 +1,72 @@
+/* quickAdd.js
+  Entries requested from outside the app, always confirmed by the user before they are added:
+  - Deep links and manifest shortcuts: ?add=5000&label=Paycheck&goal=<goal id or name>&note=…
+  - The manifest share target: ?title=…&text=…&url=… from another app's share sheet; the first
+    number in the shared text becomes the amount and the rest the label.
+*/
+import { parseLocaleNumber } from "./transfer.js";
+
+const QUICK_ADD_PARAMS = ["add", "label", "goal", "note", "title", "text", "url"];
+
+// First number-looking run in a text with any currency symbol or code next to it,
+// e.g. "Paycheck 1,234.50 USD" -> "1,234.50 USD" (group 1: "1,234.50")
+const AMOUNT_PATTERN = /(?:\p{Sc}|\b[A-Z]{3}\b)?\s?([-+−]?\d(?:[\d.,' \u00a0\u202f]*\d)?)\s?(?:\p{Sc}|\b[A-Z]{3}\b)?/u;
+
+function findGoal(goals, ref) {
+    if (!ref) return null;
+    const name = ref.trim().toLowerCase();
+    return goals.find((g) => g.id === ref) || goals.find((g) => g.name.trim().toLowerCase() === name) || null;
+}
+
+function parseAmount(text, locale) {
+    if (!text) return NaN;
+    const plain = Number(text);
+    return Number.isFinite(plain) ? plain : parseLocaleNumber(text, locale);
+}
+
+/*
+  Read a quick-add request from a query string. Returns null if there is none, otherwise
+  { amount, label, note, goalId, unknownGoal } where amount is NaN if none could be read and
+  unknownGoal holds a `goal` reference that matched no goal.
+*/
+export function parseQuickAdd(search, goals, locale) {
+    const params = new URLSearchParams(search);
+    if (!params.has("add") && !params.get("text") && !params.get("title")) return null;
+
+    const goal = findGoal(goals, params.get("goal"));
+    let amount = parseAmount(params.get("add"), locale);
+    let label = params.get("label") || "";
+    let note = params.get("note") || "";
+
+    if (!params.has("add")) {
+        // Links in the shared text go to the note, so their digits aren't read as the amount
+        const shared = params.get("text") || "";
+        const link = shared.match(/https?:\/\/\S+/);
+        const text = shared.replace(/https?:\/\/\S+/g, " ");
+        const match = text.match(AMOUNT_PATTERN);
+        amount = match ? parseLocaleNumber(match[1], locale) : NaN;
+        const rest = match ? text.replace(match[0], " ") : text;
+        label =
+            rest
+                .replace(/\s+/g, " ")
+                .replace(/^[\s:,;·-]+|[\s:,;·-]+$/g, "") ||
+            params.get("title") ||
+            "";
+        note = params.get("url") || (link ? link[0] : "");
+    }
+
+    return {
+        amount,
+        label: label.trim(),
+        note: note.trim(),
+        goalId: goal ? goal.id : null,
+        unknownGoal: params.get("goal") && !goal ? params.get("goal") : null,
+    };
+}
+
+// Drop the quick-add parameters from the address bar so a reload doesn't ask again
+export function clearQuickAddParams() {
+    const url = new URL(window.location.href);
+    QUICK_ADD_PARAMS.forEach((p) => url.searchParams.delete(p));
+    window.history.replaceState(window.history.state, "", url.pathname + url.search + url.hash);
+}
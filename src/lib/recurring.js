@@ -0,0 +1,114 @@
+/* recurring.js
+  Recurring (scheduled) contributions.
+  - A rule lives on its goal: { id, amount, label, interval, every, startDate, endDate, applied }.
+  - Occurrence n is startDate + n * every * interval, computed from the start each time so monthly
+    rules on the 31st clamp to the month's last day without drifting.
+  - `applied` counts the occurrences already turned into entries; skipping an auto entry deletes the
+    entry but leaves the count alone, so it is never re-created.
+*/
+import { dayKey } from "./analytics.js";
+import { prependEntries } from "./goals.js";
+import { makeId } from "./id.js";
+
+// Labels are the frequency.* messages (src/locales)
+export const INTERVALS = ["day", "week", "month", "year"];
+
+// Safety cap so a rule started years ago can't flood the ledger in one go
+const MAX_PER_RUN = 366;
+
+function parseDateKey(key) {
+    const [y, m, d] = key.split("-").map(Number);
+    return new Date(y, m - 1, d);
+}
+
+export function createRule({ amount, label = "", interval = "month", every = 1, startDate, endDate = null }) {
+    return {
+        id: makeId(),
+        amount: Number(amount),
+        label,
+        interval,
+        every: Math.max(1, Number(every) || 1),
+        startDate,
+        endDate,
+        applied: 0,
+    };
+}
+
+// Date key ("YYYY-MM-DD") of the rule's n-th occurrence (0-based)
+export function occurrenceDate(rule, n) {
+    const start = parseDateKey(rule.startDate);
+    const step = n * rule.every;
+    if (rule.interval === "day" || rule.interval === "week") {
+        const days = rule.interval === "week" ? step * 7 : step;
+        return dayKey(new Date(start.getFullYear(), start.getMonth(), start.getDate() + days));
+    }
+    const months = rule.interval === "year" ? step * 12 : step;
+    const first = new Date(start.getFullYear(), start.getMonth() + months, 1);
+    const lastDay = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+    return dayKey(new Date(first.getFullYear(), first.getMonth(), Math.min(start.getDate(), lastDay)));
+}
+
+/*
+  Apply edited fields to a rule. If the schedule changed, the count restarts from the new start date
+  but skips every new occurrence up to the last one already applied, so nothing is booked twice.
+*/
+export function updateRule(rule, fields) {
+    const next = { ...rule, ...fields };
+    const rescheduled =
+        rule.startDate !== next.startDate || rule.interval !== next.interval || rule.every !== next.every;
+    if (!rescheduled) return next;
+    const lastApplied = rule.applied > 0 ? occurrenceDate(rule, rule.applied - 1) : null;
+    let applied = 0;
+    while (lastApplied && occurrenceDate(next, applied) <= lastApplied) applied++;
+    return { ...next, applied };
+}
+
+export function nextOccurrence(rule) {
+    const date = occurrenceDate(rule, rule.applied);
+    return rule.endDate && date > rule.endDate ? null : date;
+}
+
+function autoEntry(rule, occurrence) {
+    return {
+        id: makeId(),
+        amount: rule.amount,
+        partName: rule.label || null,
+        date: parseDateKey(occurrence).toISOString(),
+        note: null,
+        auto: { ruleId: rule.id, occurrence },
+        reviewed: false,
+    };
+}
+
+/*
+  Turn every occurrence due up to today into an entry.
+  Returns { goals, added } where added is the number of new entries; goals is the same array
+  when nothing was due.
+*/
+export function applyDueRecurring(goals, now = new Date()) {
+    const today = dayKey(now);
+    let added = 0;
+    const next = goals.map((goal) => {
+        const rules = goal.recurring || [];
+        if (rules.length === 0) return goal;
+        const newEntries = [];
+        const nextRules = rules.map((rule) => {
+            let applied = rule.applied;
+            for (let i = 0; i < MAX_PER_RUN; i++) {
+                const occurrence = occurrenceDate(rule, applied);
+                if (occurrence > today || (rule.endDate && occurrence > rule.endDate)) break;
+                newEntries.push(autoEntry(rule, occurrence));
+                applied++;
+            }
+            return applied === rule.applied ? rule : { ...rule, applied };
+        });
+        if (newEntries.length === 0) return goal;
+        added += newEntries.length;
+        return { ...goal, recurring: nextRules, entries: prependEntries(goal.entries, newEntries) };
+    });
+    return { goals: added > 0 ? next : goals, added };
+}
+
+export function isPendingReview(entry) {
+    return Boolean(entry.auto) && !entry.reviewed;
+}
@@ -0,0 +1,1067 @@
+/* storage.js
+  IndexedDB persistence for goals and app metadata.
+  - The IndexedDB version doubles as the schema version; MIGRATIONS[n] upgrades a database to version n.
+  - Version 1 imports the old localStorage keys (fp_*_v1) inside the upgrade transaction, so the import
+    is all-or-nothing. Anything that fails to parse or validate goes to the "recovery" store instead of
+    being dropped.
+  - Progress is never stored: it is derived from each goal's entry ledger.
+  - Since version 4 entries are records of their own in the "entries" store, keyed by [goalId, id],
+    so a save writes only the entries that changed instead of the whole ledger. Goal records written
+    before that still hold their entries and are split up the next time anything is saved.
+  - Several tabs may write at once: saveGoals merges this tab's changes into what is stored instead of
+    overwriting it (see lib/merge.js and lib/tabSync.js). Every goal write bumps a revision number, so
+    as long as nobody else wrote, a save only diffs this tab's own changes and reads nothing back.
+  - With server sync on, local changes are also appended to the "oplog" store until pushed (lib/sync.js).
+  - With the app lock on, goals, entries, queued ops, the sync token and the recovery store are stored
+    encrypted (see the lock section below and lib/crypto.js).
+*/
+import { BUDGET_PERIODS } from "./budget.js";
+import { generateDataKey, seal, unseal, unwrapDataKey, wrapDataKey } from "./crypto.js";
+import { COMPOUNDING } from "./debt.js";
+import { DEFAULT_DISPLAY } from "./format.js";
+import { createGoal, GOAL_COLORS, sumEntries } from "./goals.js";
+import { makeId } from "./id.js";
+import { mergeGoals, sameValue } from "./merge.js";
+import { applyOps, opKeys } from "./oplog.js";
+import { INTERVALS } from "./recurring.js";
+
+const DB_NAME = "pocket-progress";
+export const SCHEMA_VERSION = 4;
+
+const STORES = {
+    GOALS: "goals",
+    META: "meta",
+    RECOVERY: "recovery",
+    OPLOG: "oplog",
+    ENTRIES: "entries",
+};
+
+const LEGACY_KEYS = {
+    TARGET: "fp_targetSum_v1",
+    PROGRESS: "fp_progress_v1",
+    ENTRIES: "fp_entries_v1",
+    GOALS: "fp_goals_v1",
+    ACTIVE_GOAL: "fp_activeGoal_v1",
+};
+
+// Each gets the database, the upgrade transaction and the name for goals migrated without one
+const MIGRATIONS = {
+    1(db, tx, goalName) {
+        db.createObjectStore(STORES.GOALS, { keyPath: "id" });
+        db.createObjectStore(STORES.META, { keyPath: "key" });
+        db.createObjectStore(STORES.RECOVERY, { keyPath: "id", autoIncrement: true });
+        importLegacyLocalStorage(tx, goalName);
+    },
+    // Entries get stable ids (and an optional note) instead of being addressed by array index
+    2(db, tx) {
+        const request = tx.objectStore(STORES.GOALS).openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            const goal = cursor.value;
+            cursor.update({
+                ...goal,
+                entries: goal.entries.map((e) => ({ note: null, ...e, id: e.id || makeId() })),
+            });
+            cursor.continue();
+        };
+    },
+    // Pending ops for server sync, in the order they were made
+    3(db) {
+        db.createObjectStore(STORES.OPLOG, { keyPath: "seq", autoIncrement: true });
+    },
+    // One record per entry. Sealed goal records can't be read here, so all are split on the next save.
+    4(db) {
+        db.createObjectStore(STORES.ENTRIES, { keyPath: ["goalId", "id"] });
+    },
+};
+
+// Wrap an IDBRequest in a promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    });
+}
+
+let dbPromise = null;
+
+// The first call opens (and if need be upgrades) the database; see openStorage for `goalName`
+function openDb(goalName = "My goal") {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+            reject(new Error("IndexedDB is not available in this browser"));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            const tx = request.transaction;
+            for (let v = event.oldVersion + 1; v <= SCHEMA_VERSION; v++) {
+                MIGRATIONS[v](db, tx, goalName);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () =>
+            reject(new Error("Storage upgrade blocked: close other Pocket Progress tabs and reload"));
+    });
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    return dbPromise;
+}
+
+/*
+  Open the database before anything else reads it, so that data from older versions is migrated with
+  goals that had no name (a single-goal version's) called `goalName`, in the UI language.
+*/
+export async function openStorage(goalName) {
+    await openDb(goalName);
+}
+
+// Returns a clean entry, or null if the record can't be trusted.
+export function normalizeEntry(raw) {
+    if (!raw || typeof raw !== "object") return null;
+    const amount = Number(raw.amount);
+    if (!Number.isFinite(amount)) return null;
+    const date = new Date(raw.date);
+    if (Number.isNaN(date.getTime())) return null;
+    return {
+        ...raw,
+        id: raw.id ? String(raw.id) : makeId(),
+        amount,
+        partName: raw.partName ? String(raw.partName) : null,
+        date: date.toISOString(),
+        note: raw.note ? String(raw.note) : null,
+    };
+}
+
+// Split a raw entries array into valid entries and rejected records.
+function sanitizeEntries(list) {
+    const entries = [];
+    const rejected = [];
+    for (const raw of Array.isArray(list) ? list : []) {
+        const entry = normalizeEntry(raw);
+        if (entry) entries.push(entry);
+        else rejected.push(raw);
+    }
+    return { entries, rejected };
+}
+
+function isRecord(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function isDayKey(value) {
+    return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+function isDate(value) {
+    return typeof value === "string" && !Number.isNaN(new Date(value).getTime());
+}
+
+// A number, or a numeric string; NaN for anything else (Number(null) would be 0)
+function toNumber(value) {
+    return typeof value === "number" || (typeof value === "string" && value.trim() !== "") ? Number(value) : NaN;
+}
+
+function toCount(value, min) {
+    const n = Math.floor(toNumber(value));
+    return Number.isFinite(n) ? Math.max(min, n) : min;
+}
+
+// The items of `list` that `normalize` accepts, normalized
+function normalizeList(list, normalize) {
+    return Array.isArray(list) ? list.map(normalize).filter(Boolean) : [];
+}
+
+function normalizeRule(raw) {
+    if (!isRecord(raw) || !INTERVALS.includes(raw.interval) || !isDayKey(raw.startDate)) return null;
+    const amount = toNumber(raw.amount);
+    if (!Number.isFinite(amount)) return null;
+    return {
+        id: raw.id ? String(raw.id) : makeId(),
+        amount,
+        label: raw.label ? String(raw.label) : "",
+        interval: raw.interval,
+        every: toCount(raw.every, 1),
+        startDate: raw.startDate,
+        endDate: isDayKey(raw.endDate) ? raw.endDate : null,
+        applied: toCount(raw.applied, 0),
+    };
+}
+
+function normalizePart(raw, i) {
+    if (!isRecord(raw) || !raw.name) return null;
+    const target = toNumber(raw.target);
+    return {
+        id: raw.id ? String(raw.id) : makeId(),
+        name: String(raw.name),
+        target: Number.isFinite(target) ? target : 0,
+        color: typeof raw.color === "string" ? raw.color : GOAL_COLORS[i % GOAL_COLORS.length],
+    };
+}
+
+function normalizeMilestone(raw) {
+    if (!isRecord(raw) || (raw.kind !== "percent" && raw.kind !== "amount")) return null;
+    const value = toNumber(raw.value);
+    if (!Number.isFinite(value)) return null;
+    return {
+        id: raw.id ? String(raw.id) : makeId(),
+        kind: raw.kind,
+        value,
+        achievedAt: isDate(raw.achievedAt) ? raw.achievedAt : null,
+    };
+}
+
+function normalizePeriod(raw) {
+    if (!isRecord(raw) || !isDayKey(raw.start) || !isDayKey(raw.end)) return null;
+    const numbers = ["limit", "carryIn", "spent", "left"].map((key) => toNumber(raw[key]));
+    if (!numbers.every(Number.isFinite)) return null;
+    const [limit, carryIn, spent, left] = numbers;
+    const { entries } = sanitizeEntries(raw.entries);
+    return { id: raw.start, start: raw.start, end: raw.end, limit, carryIn, spent, left, entries };
+}
+
+function normalizeBudget(raw) {
+    if (!isRecord(raw) || !BUDGET_PERIODS.includes(raw.period) || !isDayKey(raw.currentStart)) return null;
+    return { period: raw.period, carryOver: Boolean(raw.carryOver), currentStart: raw.currentStart };
+}
+
+function normalizeDebt(raw) {
+    if (!isRecord(raw) || !COMPOUNDING.includes(raw.compounding) || !isDayKey(raw.startDate)) return null;
+    const apr = toNumber(raw.apr);
+    return { apr: Number.isFinite(apr) && apr >= 0 ? apr : 0, compounding: raw.compounding, startDate: raw.startDate };
+}
+
+// Only the display settings that have the type of their default
+function normalizeDisplay(raw) {
+    if (!isRecord(raw)) return null;
+    const display = {};
+    for (const [key, fallback] of Object.entries(DEFAULT_DISPLAY)) {
+        if (typeof raw[key] === typeof fallback) display[key] = raw[key];
+    }
+    if (display.decimals !== undefined) display.decimals = Math.min(3, toCount(display.decimals, 0));
+    return display;
+}
+
+/*
+  A goal from a record that can't be trusted: the known fields with values of the right type, and
+  defaults for those missing or broken. Anything else is dropped. `entries` are the goal's entries,
+  already checked; a goal without a name is called `defaultName`.
+*/
+export function normalizeGoal(raw, entries, defaultName) {
+    const targetSum = toNumber(raw.targetSum);
+    const goal = createGoal({
+        name: raw.name ? String(raw.name) : defaultName,
+        targetSum: Number.isFinite(targetSum) ? targetSum : undefined,
+        entries,
+        color: typeof raw.color === "string" ? raw.color : undefined,
+        deadline: isDayKey(raw.deadline) ? raw.deadline : null,
+    });
+    if (raw.id) goal.id = String(raw.id);
+    if (isDate(raw.createdAt)) goal.createdAt = raw.createdAt;
+    goal.archived = Boolean(raw.archived);
+    goal.recurring = normalizeList(raw.recurring, normalizeRule);
+    goal.parts = normalizeList(raw.parts, normalizePart);
+    goal.milestones = normalizeList(raw.milestones, normalizeMilestone);
+    if (typeof raw.notifyMilestones === "boolean") goal.notifyMilestones = raw.notifyMilestones;
+    const budget = normalizeBudget(raw.budget);
+    if (budget) goal.budget = budget;
+    const debt = budget ? null : normalizeDebt(raw.debt); // a goal is one or the other (goalKind)
+    if (debt) goal.debt = debt;
+    const periods = normalizeList(raw.periods, normalizePeriod);
+    if (periods.length > 0) goal.periods = periods;
+    const display = normalizeDisplay(raw.display);
+    if (display) goal.display = display;
+    const quickSteps = normalizeList(raw.quickSteps, (step) => {
+        const n = toNumber(step);
+        return Number.isFinite(n) && n !== 0 ? n : null;
+    });
+    if (quickSteps.length > 0) goal.quickSteps = quickSteps;
+    const knobStep = toNumber(raw.knobStep);
+    if (knobStep > 0) goal.knobStep = knobStep;
+    if (typeof raw.dialStyle === "string") goal.dialStyle = raw.dialStyle;
+    return goal;
+}
+
+function sanitizeGoal(raw, recover, goalName) {
+    const { entries, rejected } = sanitizeEntries(raw.entries);
+    if (rejected.length > 0) {
+        recover("goal entries", rejected, `Invalid entries in goal "${raw.name}"`);
+    }
+    return normalizeGoal(raw, entries, goalName);
+}
+
+function readJson(key, recover) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return undefined;
+    try {
+        return JSON.parse(raw);
+    } catch (err) {
+        recover(key, raw, `Could not parse JSON: ${err.message}`);
+        return undefined;
+    }
+}
+
+// Runs inside the version-1 upgrade transaction. Goals without a name are called `goalName`.
+function importLegacyLocalStorage(tx, goalName) {
+    if (typeof localStorage === "undefined") return;
+    const goalsStore = tx.objectStore(STORES.GOALS);
+    const metaStore = tx.objectStore(STORES.META);
+    const recoveryStore = tx.objectStore(STORES.RECOVERY);
+    const recoveredAt = new Date().toISOString();
+    const recover = (source, data, reason) =>
+        recoveryStore.add({ source, data, reason, recoveredAt });
+
+    let goals = [];
+    const storedGoals = readJson(LEGACY_KEYS.GOALS, recover);
+    if (Array.isArray(storedGoals)) {
+        goals = storedGoals
+            .filter((g) => g && typeof g === "object")
+            .map((g) => sanitizeGoal(g, recover, goalName));
+    } else if (storedGoals !== undefined) {
+        recover(LEGACY_KEYS.GOALS, storedGoals, "Expected an array of goals");
+    }
+
+    if (goals.length === 0) {
+        const rawTarget = localStorage.getItem(LEGACY_KEYS.TARGET);
+        const storedEntries = readJson(LEGACY_KEYS.ENTRIES, recover);
+        const { entries, rejected } = sanitizeEntries(storedEntries);
+        if (rejected.length > 0) {
+            recover(LEGACY_KEYS.ENTRIES, rejected, "Invalid entries");
+        }
+        // The stored progress counter could drift from the ledger; the ledger wins, but keep
+        // the old number around if they disagree.
+        const rawProgress = localStorage.getItem(LEGACY_KEYS.PROGRESS);
+        const ledgerTotal = sumEntries(entries);
+        if (rawProgress !== null && Number(rawProgress) !== ledgerTotal) {
+            recover(
+                LEGACY_KEYS.PROGRESS,
+                rawProgress,
+                `Stored progress did not match the entry ledger (${ledgerTotal})`
+            );
+        }
+        goals = [
+            createGoal({
+                name: goalName,
+                targetSum: rawTarget !== null && Number.isFinite(Number(rawTarget)) ? Number(rawTarget) : 100000,
+                entries,
+            }),
+        ];
+    }
+
+    goals.forEach((g, order) => goalsStore.put({ ...g, order }));
+    const activeGoalId = localStorage.getItem(LEGACY_KEYS.ACTIVE_GOAL);
+    if (activeGoalId) metaStore.put({ key: "activeGoalId", value: activeGoalId });
+
+    // Only drop the legacy keys once the upgrade transaction has committed
+    tx.addEventListener("complete", () => {
+        Object.values(LEGACY_KEYS).forEach((key) => localStorage.removeItem(key));
+    });
+}
+
+/*
+  Writes that read, transform and write back run one at a time across tabs (Web Locks), because
+  encryption can't happen inside an IndexedDB transaction: the transaction would commit while
+  WebCrypto works. Without Web Locks they are at least serialized within this tab.
+*/
+const STORAGE_LOCK = "pocket-progress-storage";
+let localQueue = Promise.resolve();
+
+function withStorageLock(task) {
+    if (typeof navigator !== "undefined" && navigator.locks) {
+        return navigator.locks.request(STORAGE_LOCK, task);
+    }
+    const run = localQueue.then(task);
+    localQueue = run.catch(() => {});
+    return run;
+}
+
+/*
+  App lock. While it is on, goals, entries, queued ops, the sync token and the records set aside in the
+  recovery store are stored sealed with the data key (lib/crypto.js), which is only held in memory
+  between unlockStorage() and lockStorage(). Reading sealed data while locked throws LockedError.
+  Plain records are still read as they are, so turning the lock on or off in one tab doesn't break
+  another.
+*/
+let dataKey = null;
+
+export class LockedError extends Error {
+    constructor() {
+        super("Pocket Progress is locked");
+        this.name = "LockedError";
+    }
+}
+
+async function unsealValue(sealed) {
+    if (!dataKey) throw new LockedError();
+    return unseal(dataKey, sealed);
+}
+
+function stripStorageFields(record) {
+    const goal = { ...record };
+    delete goal.order;
+    return goal;
+}
+
+/*
+  Decoded sealed entries, so a save doesn't unseal the whole ledger again: a record is only unsealed
+  when its iv (new with every seal) differs from the one decoded last time. Forgotten on lockStorage().
+*/
+const decodedEntries = new Map(); // "goalId/id" -> { iv, entry }
+const entryOrder = new WeakMap(); // decoded entry -> stored order
+const inlineLedger = new WeakSet(); // decoded goals whose record still holds the entries (schema 3)
+
+function entryCacheKey(goalId, id) {
+    return `${goalId}/${id}`;
+}
+
+// Goal records hold everything but the entries
+function goalFields(goal) {
+    const fields = { ...goal };
+    delete fields.entries;
+    return fields;
+}
+
+async function encodeGoal(goal, order) {
+    const fields = goalFields(goal);
+    return dataKey ? { id: goal.id, order, sealed: await seal(dataKey, fields) } : { ...fields, order };
+}
+
+/*
+  Entry records keep goalId, id and order in the clear. `order` decreases along the ledger (the first
+  entry, usually the newest, has the highest); it is sparse, so prepending or deleting entries leaves
+  the others' records alone.
+*/
+async function encodeEntry(goalId, entry, order) {
+    if (!dataKey) return { ...entry, goalId, order };
+    const record = { goalId, id: entry.id, order, sealed: await seal(dataKey, entry) };
+    decodedEntries.set(entryCacheKey(goalId, entry.id), { iv: record.sealed.iv, entry });
+    return record;
+}
+
+function sameBytes(a, b) {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+async function decodeEntry(record) {
+    const { goalId, order, sealed, ...fields } = record;
+    let entry = fields;
+    if (sealed) {
+        const key = entryCacheKey(goalId, record.id);
+        const known = decodedEntries.get(key);
+        if (known && sameBytes(known.iv, sealed.iv)) entry = known.entry;
+        else {
+            entry = await unsealValue(sealed);
+            decodedEntries.set(key, { iv: sealed.iv, entry });
+        }
+    }
+    entryOrder.set(entry, order);
+    return entry;
+}
+
+// Entry records -> Map of goal id -> ledger
+async function decodeLedgers(entryRecords) {
+    const entries = await Promise.all(entryRecords.sort((a, b) => b.order - a.order).map(decodeEntry));
+    const ledgers = new Map();
+    entryRecords.forEach((record, i) => {
+        if (!ledgers.has(record.goalId)) ledgers.set(record.goalId, []);
+        ledgers.get(record.goalId).push(entries[i]);
+    });
+    return ledgers;
+}
+
+async function decodeGoals(records, entryRecords) {
+    const ledgers = await decodeLedgers(entryRecords);
+    return Promise.all(
+        records
+            .sort((a, b) => a.order - b.order)
+            .map(async (record) => {
+                const goal = record.sealed ? await unsealValue(record.sealed) : stripStorageFields(record);
+                if (goal.entries) {
+                    inlineLedger.add(goal);
+                    return goal;
+                }
+                return { ...goal, entries: ledgers.get(goal.id) || [] };
+            })
+    );
+}
+
+// Queued ops keep their queue fields (seq, opId, stamp) in the clear; the rest is sealed
+async function encodeOp(op) {
+    if (!dataKey) return op;
+    const { seq, opId, stamp, ...body } = op;
+    const record = { opId, stamp, sealed: await seal(dataKey, body) };
+    if (seq !== undefined) record.seq = seq;
+    return record;
+}
+
+async function decodeOp(record) {
+    if (!record.sealed) return record;
+    const { sealed, ...fields } = record;
+    return { ...(await unsealValue(sealed)), ...fields };
+}
+
+async function encodeSyncState(value) {
+    if (!dataKey || !value.token) return value;
+    return { ...value, token: "", sealedToken: await seal(dataKey, value.token) };
+}
+
+async function decodeSyncState(value) {
+    if (!value || !value.sealedToken) return value;
+    const { sealedToken, ...rest } = value;
+    return { ...rest, token: await unsealValue(sealedToken) };
+}
+
+// Recovery records keep their id in the clear; what was set aside is sealed
+async function encodeRecovery(record) {
+    if (!dataKey) return record;
+    const { id, ...body } = record;
+    return { id, sealed: await seal(dataKey, body) };
+}
+
+async function decodeRecovery(record) {
+    if (!record.sealed) return record;
+    return { ...(await unsealValue(record.sealed)), id: record.id };
+}
+
+/*
+  Every write of goals or entries bumps the "revision" meta record. knownRevision is the revision of
+  the list this tab last loaded or saved (null while it holds nothing that is stored). While the stored
+  revision is still that one, no other tab and no sync wrote since, so the list this tab last saw is
+  what is stored and a save needs neither to read nor to merge the ledger.
+*/
+let knownRevision = null;
+
+async function readRevision(meta) {
+    const record = await promisify(meta.get("revision"));
+    return record ? record.value : 0;
+}
+
+// Call inside a readwrite transaction that writes goals or entries; resolves to the new revision
+async function bumpRevision(meta) {
+    const revision = (await readRevision(meta)) + 1;
+    meta.put({ key: "revision", value: revision });
+    return revision;
+}
+
+async function loadRevision() {
+    const db = await openDb();
+    const tx = db.transaction(STORES.META, "readonly");
+    return readRevision(tx.objectStore(STORES.META));
+}
+
+// Load everything the app needs to start. A first run gets one goal named `firstGoalName`.
+export async function loadState(firstGoalName = "My goal") {
+    const db = await openDb(firstGoalName);
+    const tx = db.transaction([STORES.GOALS, STORES.ENTRIES, STORES.META, STORES.RECOVERY], "readonly");
+    const [records, entryRecords, revision, active, language, theme, recovery] = await Promise.all([
+        promisify(tx.objectStore(STORES.GOALS).getAll()),
+        promisify(tx.objectStore(STORES.ENTRIES).getAll()),
+        readRevision(tx.objectStore(STORES.META)),
+        promisify(tx.objectStore(STORES.META).get("activeGoalId")),
+        promisify(tx.objectStore(STORES.META).get("language")),
+        promisify(tx.objectStore(STORES.META).get("theme")),
+        promisify(tx.objectStore(STORES.RECOVERY).getAll()),
+    ]);
+    const storedGoals = await decodeGoals(records, entryRecords);
+    knownRevision = storedGoals.length > 0 ? revision : null;
+    const goals = storedGoals.length > 0 ? storedGoals : [createGoal({ name: firstGoalName })];
+    return {
+        goals,
+        activeGoalId: active ? active.value : null,
+        language: language ? language.value : "",
+        theme: theme ? theme.value : "system",
+        recovery: await Promise.all(recovery.map(decodeRecovery)),
+    };
+}
+
+// The stored goal list, e.g. after another tab changed it. Empty until something was saved.
+export async function loadGoals() {
+    const db = await openDb();
+    const tx = db.transaction([STORES.GOALS, STORES.ENTRIES, STORES.META], "readonly");
+    const [records, entryRecords, revision] = await Promise.all([
+        promisify(tx.objectStore(STORES.GOALS).getAll()),
+        promisify(tx.objectStore(STORES.ENTRIES).getAll()),
+        readRevision(tx.objectStore(STORES.META)),
+    ]);
+    const goals = await decodeGoals(records, entryRecords);
+    knownRevision = goals.length > 0 ? revision : null;
+    return goals;
+}
+
+/*
+  Save the goal list. `base` is the list this tab last loaded or saved: only what changed since then
+  is written, under the storage lock. If another tab or a sync wrote in the meantime, the change is
+  applied on top of the stored list, so the concurrent write is merged rather than overwritten.
+  Resolves to { goals, changed } where goals is the list now stored and changed tells whether
+  anything was written.
+*/
+export function saveGoals(goals, base = goals) {
+    return withStorageLock(async () => {
+        let stored = base;
+        let merged = goals;
+        if (knownRevision === null || (await loadRevision()) !== knownRevision) {
+            stored = await loadGoals();
+            // Nothing stored yet (first run): there is nothing to merge with
+            merged = stored.length > 0 ? mergeGoals(base, goals, stored) : goals;
+        }
+        const writes = await encodeGoalWrites(stored, merged);
+        if (writes.changed) {
+            const db = await openDb();
+            const tx = db.transaction([STORES.GOALS, STORES.ENTRIES, STORES.META], "readwrite");
+            applyGoalWrites(tx, writes);
+            const revision = await bumpRevision(tx.objectStore(STORES.META));
+            await transactionDone(tx);
+            knownRevision = revision;
+            writes.split.forEach((goal) => inlineLedger.delete(goal));
+        }
+        return { goals: merged, changed: writes.changed };
+    });
+}
+
+/*
+  The records to delete and put so the stores hold `goals` instead of `stored`: goal records whose
+  fields or position changed, and just the entries that were added, changed or removed.
+*/
+async function encodeGoalWrites(stored, goals) {
+    const keep = new Set(goals.map((g) => g.id));
+    const deletes = stored.filter((g) => !keep.has(g.id)).map((g) => g.id);
+    const storedAt = new Map(stored.map((g, order) => [g.id, { goal: g, order }]));
+    const goalPuts = [];
+    const entryPuts = [];
+    const entryDeletes = [];
+    const split = [];
+    goals.forEach((g, order) => {
+        const previous = storedAt.get(g.id);
+        const inline = Boolean(previous) && inlineLedger.has(previous.goal);
+        if (inline) split.push(previous.goal);
+        // Goals and ledgers are never changed in place: the same object means nothing changed
+        const moved = !previous || previous.order !== order;
+        const edited = previous && previous.goal !== g && !sameValue(goalFields(previous.goal), goalFields(g));
+        if (moved || inline || edited) goalPuts.push(encodeGoal(g, order));
+        if (previous && !inline && previous.goal.entries === g.entries) return;
+        // Entries still inside an old goal record have no records of their own yet
+        const before = previous && !inline ? previous.goal.entries : [];
+        const ledger = encodeLedgerWrites(g, before);
+        entryPuts.push(...ledger.puts);
+        entryDeletes.push(...ledger.deletes);
+    });
+    const puts = await Promise.all(goalPuts);
+    const entries = await Promise.all(entryPuts);
+    const changed = deletes.length > 0 || puts.length > 0 || entries.length > 0 || entryDeletes.length > 0;
+    return { deletes, puts, entryPuts: entries, entryDeletes, split, changed };
+}
+
+// Entry records to put (as promises) and keys to delete to turn the ledger `before` into `goal.entries`
+function encodeLedgerWrites(goal, before) {
+    const previous = new Map(before.map((e) => [e.id, e]));
+    const orders = ledgerOrders(goal.entries, (e) => {
+        const p = previous.get(e.id);
+        return p && entryOrder.get(p);
+    });
+    const puts = [];
+    goal.entries.forEach((e, i) => {
+        const p = previous.get(e.id);
+        previous.delete(e.id);
+        if (!p || entryOrder.get(p) !== orders[i] || (p !== e && !sameValue(p, e))) {
+            puts.push(encodeEntry(goal.id, e, orders[i]));
+        }
+        // The next save diffs against this ledger, whether the entry was written or already stored
+        entryOrder.set(e, orders[i]);
+    });
+    const deletes = Array.from(previous.keys(), (id) => [goal.id, id]);
+    return { puts, deletes };
+}
+
+/*
+  Decreasing orders along the ledger. Stored orders are kept where they are still in sequence; the
+  other entries get orders above the first kept one, below the last, or spread between their two
+  neighbours, so adding an entry anywhere writes that entry alone. Only when two neighbours leave no
+  room are the entries after them renumbered.
+*/
+function ledgerOrders(entries, storedOrder) {
+    const orders = new Array(entries.length);
+    let last = -Infinity;
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const kept = storedOrder(entries[i]);
+        if (kept !== undefined && kept > last) orders[i] = last = kept;
+    }
+    let start = 0;
+    while (start < entries.length) {
+        if (orders[start] !== undefined) {
+            start++;
+            continue;
+        }
+        let end = start;
+        while (end < entries.length && orders[end] === undefined) end++;
+        const count = end - start;
+        const above = start > 0 ? orders[start - 1] : undefined;
+        const below = end < entries.length ? orders[end] : undefined;
+        let run;
+        if (above === undefined) run = Array.from({ length: count }, (_, k) => (below ?? -1) + count - k);
+        else if (below === undefined) run = Array.from({ length: count }, (_, k) => above - 1 - k);
+        else {
+            const step = (above - below) / (count + 1);
+            const gap = step >= 1 ? Math.floor(step) : step;
+            run = Array.from({ length: count }, (_, k) => above - gap * (k + 1));
+            if (![above, ...run, below].every((order, k, all) => k === 0 || order < all[k - 1])) {
+                orders[end] = undefined; // no room left: renumber the next kept entry as well
+                continue;
+            }
+        }
+        run.forEach((order, k) => (orders[start + k] = order));
+        start = end;
+    }
+    return orders;
+}
+
+function applyGoalWrites(tx, { deletes, puts, entryPuts, entryDeletes }) {
+    const goalStore = tx.objectStore(STORES.GOALS);
+    const entryStore = tx.objectStore(STORES.ENTRIES);
+    deletes.forEach((id) => {
+        goalStore.delete(id);
+        entryStore.delete(IDBKeyRange.bound([id], [id, []]));
+    });
+    puts.forEach((record) => goalStore.put(record));
+    entryDeletes.forEach((key) => {
+        entryStore.delete(key);
+        decodedEntries.delete(entryCacheKey(...key));
+    });
+    entryPuts.forEach((record) => entryStore.put(record));
+}
+
+export async function saveActiveGoalId(id) {
+    const db = await openDb();
+    const tx = db.transaction(STORES.META, "readwrite");
+    tx.objectStore(STORES.META).put({ key: "activeGoalId", value: id });
+    return transactionDone(tx);
+}
+
+// UI language preference ("" = follow the browser, see lib/i18n.js); readable while locked
+export async function loadLanguage() {
+    const db = await openDb();
+    const tx = db.transaction(STORES.META, "readonly");
+    const record = await promisify(tx.objectStore(STORES.META).get("language"));
+    return record ? record.value : "";
+}
+
+export async function saveLanguage(language) {
+    const db = await openDb();
+    const tx = db.transaction(STORES.META, "readwrite");
+    tx.objectStore(STORES.META).put({ key: "language", value: language });
+    return transactionDone(tx);
+}
+
+// Color theme preference ("system" | "light" | "dark", see lib/theme.js); readable while locked
+export async function loadTheme() {
+    const db = await openDb();
+    const tx = db.transaction(STORES.META, "readonly");
+    const record = await promisify(tx.objectStore(STORES.META).get("theme"));
+    return record ? record.value : "system";
+}
+
+export async function saveTheme(theme) {
+    const db = await openDb();
+    const tx = db.transaction(STORES.META, "readwrite");
+    tx.objectStore(STORES.META).put({ key: "theme", value: theme });
+    return transactionDone(tx);
+}
+
+export async function clearRecovery() {
+    const db = await openDb();
+    const tx = db.transaction(STORES.RECOVERY, "readwrite");
+    tx.objectStore(STORES.RECOVERY).clear();
+    return transactionDone(tx);
+}
+
+// Server sync state: settings, device id, Lamport clock and pull cursor (see lib/sync.js)
+export async function loadSyncState() {
+    const db = await openDb();
+    const tx = db.transaction(STORES.META, "readonly");
+    const record = await promisify(tx.objectStore(STORES.META).get("sync"));
+    return record ? decodeSyncState(record.value) : null;
+}
+
+// Merge `patch` into the stored sync state; resolves to the new state
+export function updateSyncState(patch) {
+    return withStorageLock(async () => {
+        const value = { ...((await loadSyncState()) || {}), ...patch };
+        const encoded = await encodeSyncState(value);
+        const db = await openDb();
+        const tx = db.transaction(STORES.META, "readwrite");
+        tx.objectStore(STORES.META).put({ key: "sync", value: encoded });
+        await transactionDone(tx);
+        return value;
+    });
+}
+
+/*
+  Stamp ops made on this device and queue them for the server. Their stamps are remembered too, so
+  an older op from another device can't override them later. Does nothing unless sync is enabled.
+*/
+export function recordOps(ops) {
+    if (ops.length === 0) return Promise.resolve(0);
+    return withStorageLock(async () => {
+        const records = await Promise.all(ops.map(encodeOp));
+        const db = await openDb();
+        const tx = db.transaction([STORES.META, STORES.OPLOG], "readwrite");
+        const meta = tx.objectStore(STORES.META);
+        const [syncRecord, stampsRecord] = await Promise.all([
+            promisify(meta.get("sync")),
+            promisify(meta.get("syncStamps")),
+        ]);
+        const sync = syncRecord && syncRecord.value;
+        if (!sync || !sync.enabled) return 0;
+        const stamps = stampsRecord ? stampsRecord.value : {};
+        let clock = sync.clock;
+        const oplog = tx.objectStore(STORES.OPLOG);
+        ops.forEach((op, i) => {
+            clock += 1;
+            const stamp = { clock, device: sync.deviceId };
+            oplog.add({ ...records[i], opId: makeId(), stamp });
+            opKeys(op).forEach((key) => {
+                stamps[key] = stamp;
+            });
+        });
+        meta.put({ key: "sync", value: { ...sync, clock } });
+        meta.put({ key: "syncStamps", value: stamps });
+        await transactionDone(tx);
+        return ops.length;
+    });
+}
+
+export async function pendingOps() {
+    const db = await openDb();
+    const tx = db.transaction(STORES.OPLOG, "readonly");
+    const records = await promisify(tx.objectStore(STORES.OPLOG).getAll());
+    return Promise.all(records.map(decodeOp));
+}
+
+export async function removeOps(seqs) {
+    const db = await openDb();
+    const tx = db.transaction(STORES.OPLOG, "readwrite");
+    const store = tx.objectStore(STORES.OPLOG);
+    seqs.forEach((seq) => store.delete(seq));
+    return transactionDone(tx);
+}
+
+// Drop the queue and stamps, e.g. when sync is turned off or pointed at another server
+export function resetOpLog() {
+    return withStorageLock(async () => {
+        const db = await openDb();
+        const tx = db.transaction([STORES.META, STORES.OPLOG], "readwrite");
+        tx.objectStore(STORES.OPLOG).clear();
+        tx.objectStore(STORES.META).delete("syncStamps");
+        return transactionDone(tx);
+    });
+}
+
+/*
+  Replay ops pulled from the server onto the stored goals and merge `patch` (the new pull cursor)
+  into the sync state, under the storage lock. Resolves to whether any goal changed.
+*/
+export function applyRemoteOps(ops, patch, newGoalName) {
+    return withStorageLock(async () => {
+        const db = await openDb();
+        const readTx = db.transaction([STORES.GOALS, STORES.ENTRIES, STORES.META], "readonly");
+        const [records, entryRecords, syncRecord, stampsRecord] = await Promise.all([
+            promisify(readTx.objectStore(STORES.GOALS).getAll()),
+            promisify(readTx.objectStore(STORES.ENTRIES).getAll()),
+            promisify(readTx.objectStore(STORES.META).get("sync")),
+            promisify(readTx.objectStore(STORES.META).get("syncStamps")),
+        ]);
+        const sync = syncRecord && syncRecord.value;
+        if (!sync) return false;
+        const stored = await decodeGoals(records, entryRecords);
+        const stamps = stampsRecord ? stampsRecord.value : {};
+        const goals = applyOps(stored, ops, stamps, newGoalName);
+        const writes = goals !== stored ? await encodeGoalWrites(stored, goals) : null;
+        const clock = ops.reduce((max, op) => Math.max(max, op.stamp.clock), sync.clock);
+
+        const tx = db.transaction([STORES.GOALS, STORES.ENTRIES, STORES.META], "readwrite");
+        const meta = tx.objectStore(STORES.META);
+        if (writes && writes.changed) {
+            applyGoalWrites(tx, writes);
+            await bumpRevision(meta);
+        }
+        meta.put({ key: "sync", value: { ...sync, ...patch, clock } });
+        meta.put({ key: "syncStamps", value: stamps });
+        await transactionDone(tx);
+        return Boolean(writes && writes.changed);
+    });
+}
+
+// App lock settings ({ autoLockMinutes }), or null while the lock is off
+export async function loadLockSettings() {
+    const db = await openDb();
+    const tx = db.transaction(STORES.META, "readonly");
+    const record = await promisify(tx.objectStore(STORES.META).get("lock"));
+    return record ? { autoLockMinutes: record.value.autoLockMinutes } : null;
+}
+
+async function loadLockRecord() {
+    const db = await openDb();
+    const tx = db.transaction(STORES.META, "readonly");
+    const record = await promisify(tx.objectStore(STORES.META).get("lock"));
+    return record ? record.value : null;
+}
+
+// Resolves to whether the passphrase was right (true as well if the lock is off)
+export async function unlockStorage(passphrase) {
+    const lock = await loadLockRecord();
+    if (!lock) return true;
+    const key = await unwrapDataKey(lock, passphrase);
+    if (!key) return false;
+    dataKey = key;
+    return true;
+}
+
+// Forget the data key; sealed data can't be read until the next unlockStorage()
+export function lockStorage() {
+    dataKey = null;
+    decodedEntries.clear();
+    knownRevision = null;
+}
+
+const SEALABLE_STORES = [STORES.GOALS, STORES.ENTRIES, STORES.OPLOG, STORES.RECOVERY, STORES.META];
+
+// Everything that gets sealed, read with the current key
+async function readSealable() {
+    const db = await openDb();
+    const tx = db.transaction(SEALABLE_STORES, "readonly");
+    const [records, entryRecords, opRecords, recoveryRecords, syncRecord] = await Promise.all([
+        promisify(tx.objectStore(STORES.GOALS).getAll()),
+        promisify(tx.objectStore(STORES.ENTRIES).getAll()),
+        promisify(tx.objectStore(STORES.OPLOG).getAll()),
+        promisify(tx.objectStore(STORES.RECOVERY).getAll()),
+        promisify(tx.objectStore(STORES.META).get("sync")),
+    ]);
+    return {
+        goals: await decodeGoals(records, entryRecords),
+        ops: await Promise.all(opRecords.map(decodeOp)),
+        recovery: await Promise.all(recoveryRecords.map(decodeRecovery)),
+        sync: syncRecord ? await decodeSyncState(syncRecord.value) : null,
+    };
+}
+
+// Write it all back with the current key, together with the new lock record (null: lock off)
+async function writeSealable({ goals, ops, recovery, sync }, lock) {
+    const goalRecords = await Promise.all(goals.map((g, order) => encodeGoal(g, order)));
+    const entryRecords = await Promise.all(
+        goals.flatMap((g) => g.entries.map((e, i) => encodeEntry(g.id, e, g.entries.length - 1 - i)))
+    );
+    const opRecords = await Promise.all(ops.map(encodeOp));
+    const recoveryRecords = await Promise.all(recovery.map(encodeRecovery));
+    const syncValue = sync ? await encodeSyncState(sync) : null;
+    const db = await openDb();
+    const tx = db.transaction(SEALABLE_STORES, "readwrite");
+    const goalStore = tx.objectStore(STORES.GOALS);
+    goalStore.clear();
+    goalRecords.forEach((record) => goalStore.put(record));
+    const entryStore = tx.objectStore(STORES.ENTRIES);
+    entryStore.clear();
+    entryRecords.forEach((record) => entryStore.put(record));
+    const oplog = tx.objectStore(STORES.OPLOG);
+    opRecords.forEach((record) => oplog.put(record));
+    const recoveryStore = tx.objectStore(STORES.RECOVERY);
+    recoveryStore.clear();
+    recoveryRecords.forEach((record) => recoveryStore.put(record));
+    const meta = tx.objectStore(STORES.META);
+    if (syncValue) meta.put({ key: "sync", value: syncValue });
+    if (lock) meta.put({ key: "lock", value: lock });
+    else meta.delete("lock");
+    await bumpRevision(meta);
+    await transactionDone(tx);
+}
+
+// Turn the lock on: seal everything with a new data key wrapped by the passphrase
+export function enableLock(passphrase, autoLockMinutes) {
+    return withStorageLock(async () => {
+        const data = await readSealable();
+        const key = await generateDataKey();
+        const wrapped = await wrapDataKey(key, passphrase);
+        dataKey = key;
+        try {
+            await writeSealable(data, { ...wrapped, autoLockMinutes });
+        } catch (err) {
+            dataKey = null;
+            throw err;
+        }
+        await checkSealed();
+    });
+}
+
+// Make sure the lock left no ledger data in the clear in any store
+async function checkSealed() {
+    const db = await openDb();
+    const tx = db.transaction(SEALABLE_STORES, "readonly");
+    const [records, entryRecords, opRecords, recoveryRecords, syncRecord] = await Promise.all([
+        promisify(tx.objectStore(STORES.GOALS).getAll()),
+        promisify(tx.objectStore(STORES.ENTRIES).getAll()),
+        promisify(tx.objectStore(STORES.OPLOG).getAll()),
+        promisify(tx.objectStore(STORES.RECOVERY).getAll()),
+        promisify(tx.objectStore(STORES.META).get("sync")),
+    ]);
+    const plain = [records, entryRecords, opRecords, recoveryRecords].some((list) => list.some((r) => !r.sealed));
+    if (plain || (syncRecord && syncRecord.value.token)) {
+        throw new Error("The app lock left data unencrypted");
+    }
+}
+
+// Turn the lock off and store everything in the clear again; resolves to false for a wrong passphrase
+export function disableLock(passphrase) {
+    return withStorageLock(async () => {
+        const lock = await loadLockRecord();
+        if (!lock) return true;
+        const key = await unwrapDataKey(lock, passphrase);
+        if (!key) return false;
+        dataKey = key;
+        const data = await readSealable();
+        dataKey = null;
+        try {
+            await writeSealable(data, null);
+        } catch (err) {
+            dataKey = key;
+            throw err;
+        }
+        return true;
+    });
+}
+
+// Re-wrap the data key with a new passphrase; the data itself stays as it is
+export function changePassphrase(current, next) {
+    return withStorageLock(async () => {
+        const lock = await loadLockRecord();
+        const key = lock && (await unwrapDataKey(lock, current));
+        if (!key) return false;
+        const wrapped = await wrapDataKey(key, next);
+        const db = await openDb();
+        const tx = db.transaction(STORES.META, "readwrite");
+        tx.objectStore(STORES.META).put({ key: "lock", value: { ...lock, ...wrapped } });
+        await transactionDone(tx);
+        return true;
+    });
+}
+
+export function setAutoLock(autoLockMinutes) {
+    return withStorageLock(async () => {
+        const lock = await loadLockRecord();
+        if (!lock) return;
+        const db = await openDb();
+        const tx = db.transaction(STORES.META, "readwrite");
+        tx.objectStore(STORES.META).put({ key: "lock", value: { ...lock, autoLockMinutes } });
+        await transactionDone(tx);
+    });
+}
@@ -0,0 +1,135 @@
+/* sync.js
+  Opt-in sync with a self-hosted server (reference implementation: server/sync-server.js).
+  - The server URL and token are stored in IndexedDB together with this device's id, its Lamport
+    clock and the cursor of the last op pulled from the server.
+  - Every local change becomes ops (lib/oplog.js) queued in IndexedDB. A sync pushes the queue, then
+    pulls everything the server received after the cursor and replays it; while offline the ops
+    simply wait in the queue.
+  Protocol (both requests send "Authorization: Bearer <token>"):
+    POST <url>/ops  { ops }          -> { cursor }
+    GET  <url>/ops?since=<cursor>    -> { ops, cursor, more }
+*/
+import { makeId } from "./id.js";
+import { diffOps } from "./oplog.js";
+import {
+    applyRemoteOps,
+    loadSyncState,
+    pendingOps,
+    recordOps,
+    removeOps,
+    resetOpLog,
+    updateSyncState,
+} from "./storage.js";
+
+export const DEFAULT_SYNC = {
+    enabled: false,
+    url: "",
+    token: "",
+    deviceId: null,
+    clock: 0,
+    cursor: 0,
+    lastSyncAt: null,
+};
+
+export async function loadSync() {
+    return { ...DEFAULT_SYNC, ...((await loadSyncState()) || {}) };
+}
+
+function opsUrl(base, since) {
+    const url = `${base.replace(/\/+$/, "")}/ops`;
+    return since === undefined ? url : `${url}?since=${encodeURIComponent(since)}`;
+}
+
+// A reply the server refused; `code` names the message ("sync.error.<code>")
+export class SyncError extends Error {
+    constructor(code, status) {
+        super(code === "rejected" ? "The server rejected the token" : `The server replied ${status}`);
+        this.name = "SyncError";
+        this.code = code;
+        this.status = status;
+    }
+}
+
+async function request(sync, url, options = {}) {
+    const res = await fetch(url, {
+        ...options,
+        headers: {
+            Authorization: `Bearer ${sync.token}`,
+            ...(options.body ? { "Content-Type": "application/json" } : {}),
+        },
+    });
+    if (res.status === 401) throw new SyncError("rejected", res.status);
+    if (!res.ok) throw new SyncError("status", res.status);
+    return res.json();
+}
+
+/*
+  Turn sync on for a server. The queue starts over with a snapshot of this device's goals, so they
+  are merged with whatever the server already has; the first sync then pulls everything.
+*/
+export async function enableSync({ url, token }, goals) {
+    const current = await loadSync();
+    await resetOpLog();
+    const sync = await updateSyncState({
+        ...current,
+        enabled: true,
+        url: url.trim(),
+        token: token.trim(),
+        deviceId: current.deviceId || makeId(),
+        cursor: 0,
+        lastSyncAt: null,
+    });
+    await recordOps(diffOps([], goals));
+    return { ...DEFAULT_SYNC, ...sync };
+}
+
+export async function disableSync() {
+    await resetOpLog();
+    return { ...DEFAULT_SYNC, ...(await updateSyncState({ enabled: false })) };
+}
+
+// Queue the ops for a change made on this device (before -> after); no-op while sync is off
+export async function recordChange(before, after) {
+    const sync = await loadSyncState();
+    if (!sync || !sync.enabled) return 0;
+    return recordOps(diffOps(before, after));
+}
+
+export async function pendingCount() {
+    return (await pendingOps()).length;
+}
+
+/*
+  Push the queue and pull new ops. Resolves to { pushed, pulled, changed } where changed tells
+  whether the stored goals changed (the caller re-reads them), or null if sync is off.
+*/
+export async function syncNow(newGoalName) {
+    const sync = await loadSync();
+    if (!sync.enabled || !sync.url) return null;
+
+    const queue = await pendingOps();
+    if (queue.length > 0) {
+        await request(sync, opsUrl(sync.url), {
+            method: "POST",
+            body: JSON.stringify({ ops: queue.map(({ seq, ...op }) => op) }),
+        });
+        await removeOps(queue.map((op) => op.seq));
+    }
+
+    let cursor = sync.cursor;
+    let pulled = 0;
+    let changed = false;
+    for (;;) {
+        const page = await request(sync, opsUrl(sync.url, cursor));
+        cursor = page.cursor;
+        pulled += page.ops.length;
+        const pageChanged = await applyRemoteOps(
+            page.ops,
+            { cursor, lastSyncAt: new Date().toISOString() },
+            newGoalName
+        );
+        changed = changed || pageChanged;
+        if (!page.more) break;
+    }
+    return { pushed: queue.length, pulled, changed };
+}
@@ -0,0 +1,36 @@
+/* tabSync.js
+  Lets open instances of the app (browser tabs, the installed PWA window) tell each other that the
+  stored goals changed, so each one re-reads and merges them instead of showing a stale ledger.
+  Uses a BroadcastChannel where available, otherwise the `storage` event of a localStorage key.
+  Only a ping is sent; the data itself always comes from IndexedDB.
+*/
+const CHANNEL_NAME = "pocket-progress";
+const PING_KEY = "pocket-progress:changed";
+
+// Returns { notify(), close() }; onChange runs whenever another instance calls notify()
+export function connectTabs(onChange) {
+    if (typeof BroadcastChannel !== "undefined") {
+        const channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = () => onChange();
+        return {
+            notify: () => channel.postMessage({ changedAt: Date.now() }),
+            close: () => channel.close(),
+        };
+    }
+
+    function onStorage(e) {
+        if (e.key === PING_KEY) onChange();
+    }
+    window.addEventListener("storage", onStorage);
+    return {
+        // The value must differ each time or no event fires
+        notify: () => {
+            try {
+                localStorage.setItem(PING_KEY, `${Date.now()}-${Math.random()}`);
+            } catch {
+                // Storage full or disabled: other tabs catch up on their next reload
+            }
+        },
+        close: () => window.removeEventListener("storage", onStorage),
+    };
+}
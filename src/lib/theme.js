@@ -0,0 +1,65 @@
+/* theme.js
+  Colors that follow the theme, and the dial styles.
+  - The theme ("system" | "light" | "dark") is a device setting stored in IndexedDB (lib/storage.js).
+    Class names switch through CSS variables (tailwind.config.js); applyTheme only sets the class on
+    <html>. Charts and SVGs take their colors from THEME_COLORS through useThemeColors().
+  - The active goal's color is the accent: the dial, the knob ring and keyboard focus use it, and
+    the browser's theme-color follows it.
+  - Each goal picks its dial style: the full donut, a half-circle gauge or a linear bar.
+*/
+import { createContext, useContext } from "react";
+
+export const THEMES = ["system", "light", "dark"];
+
+export const DIAL_STYLES = ["donut", "gauge", "bar"];
+
+// Fixed colors for recharts and inline SVG, which can't use the CSS variables
+export const THEME_COLORS = {
+    light: { surface: "#ffffff", track: "#e5e7eb", grid: "#e5e7eb", axis: "#6b7280", over: "#f87171" },
+    dark: { surface: "#111827", track: "#374151", grid: "#374151", axis: "#9ca3af", over: "#f87171" },
+};
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+export function normalizeTheme(theme) {
+    return THEMES.includes(theme) ? theme : "system";
+}
+
+export function goalDialStyle(goal) {
+    return DIAL_STYLES.includes(goal.dialStyle) ? goal.dialStyle : "donut";
+}
+
+// "light" or "dark": what the preference comes to on this device right now
+export function resolveTheme(theme) {
+    if (theme === "light" || theme === "dark") return theme;
+    return typeof window !== "undefined" && window.matchMedia && window.matchMedia(DARK_QUERY).matches
+        ? "dark"
+        : "light";
+}
+
+// Call onChange when the system switches between light and dark; returns the unsubscribe function
+export function watchSystemTheme(onChange) {
+    if (!window.matchMedia) return () => {};
+    const query = window.matchMedia(DARK_QUERY);
+    query.addEventListener("change", onChange);
+    return () => query.removeEventListener("change", onChange);
+}
+
+// An explicit choice overrides the system setting the stylesheet follows by default
+export function applyTheme(theme) {
+    const root = document.documentElement;
+    root.classList.toggle("light", theme === "light");
+    root.classList.toggle("dark", theme === "dark");
+}
+
+export function applyAccent(color) {
+    document.documentElement.style.setProperty("--accent", color);
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta) meta.setAttribute("content", color);
+}
+
+export const ThemeContext = createContext(THEME_COLORS.light);
+
+export function useThemeColors() {
+    return useContext(ThemeContext);
+}
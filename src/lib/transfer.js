@@ -0,0 +1,293 @@
+/* transfer.js
+  CSV and JSON import/export of entries.
+  - CSV covers the active goal's ledger (date, amount, label, note); JSON is a full backup of every goal.
+  - Import never touches state directly: plan* functions return a plan that the UI previews
+    and then applies with merge (skip duplicates) or replace.
+*/
+import { prependEntries } from "./goals.js";
+import { makeId } from "./id.js";
+import { normalizeEntry, normalizeGoal, SCHEMA_VERSION } from "./storage.js";
+
+export const BACKUP_FORMAT = "pocket-progress-backup";
+const BACKUP_VERSION = 1;
+
+const CSV_COLUMNS = {
+    date: ["date", "time", "datetime", "timestamp"],
+    amount: ["amount", "value", "sum"],
+    partName: ["label", "partname", "part", "name", "description"],
+    note: ["note", "notes", "memo", "comment"],
+};
+
+// ---------- Export ----------
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function entriesToCsv(entries) {
+    const rows = [["date", "amount", "label", "note"]];
+    for (const e of entries) rows.push([e.date, e.amount, e.partName || "", e.note || ""]);
+    return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+export function goalsToBackup(goals) {
+    return JSON.stringify(
+        {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            schemaVersion: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            goals,
+        },
+        null,
+        2
+    );
+}
+
+// ---------- Parsing ----------
+
+// Split CSV text into rows, honoring quoted cells. The delimiter is guessed from the first line
+// (semicolons are common where the comma is the decimal separator).
+export function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || "";
+    const delimiter =
+        (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === "") {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+function decimalSeparator(locale) {
+    const part = new Intl.NumberFormat(locale)
+        .formatToParts(1.5)
+        .find((p) => p.type === "decimal");
+    return part ? part.value : ".";
+}
+
+// A currency symbol, or a currency code or unit of at least two letters ("kr", "EUR", "Rs.").
+// A single letter ("1k", "1e3") is not taken for one, so such numbers are rejected.
+const AFFIX = "(?:\\p{Sc}|\\p{L}{2,}\\.?)";
+const LEADING_AFFIX = new RegExp(`^${AFFIX}\\s*`, "u");
+const TRAILING_AFFIX = new RegExp(`\\s*${AFFIX}$`, "u");
+const SIGN = /^[+\-−]/;
+
+// Parse "1,234.50", "1.234,50", "1 234,5", "€12", "-$5" or "(300)" style numbers. Returns NaN when
+// unsure: anything left besides the digits, one sign, one currency or unit on each side and
+// well-placed separators ("1e3", "+-5", "1.5.3") makes the number invalid.
+export function parseLocaleNumber(input, locale) {
+    if (typeof input === "number") return input;
+    let text = String(input).trim();
+    if (!text) return NaN;
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1).trim();
+    }
+    // The sign may come before or after a leading currency ("-$5", "$-5")
+    let sign = text.match(SIGN);
+    if (sign) text = text.slice(1).trimStart();
+    text = text.replace(LEADING_AFFIX, "");
+    if (!sign) {
+        sign = text.match(SIGN);
+        if (sign) text = text.slice(1);
+    }
+    if (sign && sign[0] !== "+") negative = !negative;
+    text = text.replace(TRAILING_AFFIX, "").replace(/[\s'’]/g, " ");
+    if (!/^[\d.,\s]*\d[\d.,\s]*$/.test(text)) return NaN;
+
+    const lastDot = text.lastIndexOf(".");
+    const lastComma = text.lastIndexOf(",");
+    let decimal;
+    if (lastDot >= 0 && lastComma >= 0) {
+        decimal = lastDot > lastComma ? "." : ",";
+    } else if (lastDot >= 0 || lastComma >= 0) {
+        const sep = lastDot >= 0 ? "." : ",";
+        const count = text.split(sep).length - 1;
+        const digitsAfter = text.length - text.lastIndexOf(sep) - 1;
+        if (count > 1) decimal = null; // only thousands separators
+        else if (digitsAfter !== 3) decimal = sep;
+        else decimal = decimalSeparator(locale) === sep ? sep : null; // "1,234" is ambiguous
+    } else {
+        decimal = null;
+    }
+    const [whole, fraction = "", ...extra] = decimal ? text.split(decimal) : [text];
+    if (extra.length > 0 || !/^\d*$/.test(fraction)) return NaN;
+    // Digits may be grouped by one kind of separator, in groups of three after the first
+    const groups = whole.split(/[., ]/);
+    if (new Set(whole.replace(/\d/g, "")).size > 1) return NaN;
+    if (groups.length > 1 && !(/^\d{1,3}$/.test(groups[0]) && groups.slice(1).every((g) => /^\d{3}$/.test(g)))) {
+        return NaN;
+    }
+    const value = Number(`${groups.join("") || "0"}.${fraction || "0"}`);
+    return negative ? -value : value;
+}
+
+function entryKey(e) {
+    return `${new Date(e.date).getTime()}|${Number(e.amount)}|${e.partName || ""}`;
+}
+
+// Split incoming entries into new ones and duplicates of what's already in `existing`
+// (or earlier in the same file). Same id, or same date + amount + label, counts as a duplicate.
+function dedupe(existing, incoming) {
+    const seen = new Set(existing.map(entryKey));
+    const seenIds = new Set(existing.map((e) => e.id));
+    const fresh = [];
+    let duplicates = 0;
+    for (const e of incoming) {
+        const key = entryKey(e);
+        if (seen.has(key) || seenIds.has(e.id)) {
+            duplicates++;
+        } else {
+            seen.add(key);
+            seenIds.add(e.id);
+            fresh.push(e);
+        }
+    }
+    return { fresh, duplicates };
+}
+
+/*
+  Read a CSV export into a plan for the active goal:
+  { kind: "csv", entries, fresh, duplicates, errors: [{ line, code, values }] }
+  where code and values name the problem for the message catalog ("transfer.error.<code>").
+*/
+export function planCsvImport(text, goal, locale) {
+    const rows = parseCsv(text);
+    const errors = [];
+    if (rows.length === 0) {
+        errors.push({ line: 1, code: "empty", values: {} });
+        return { kind: "csv", entries: [], fresh: [], duplicates: 0, errors };
+    }
+
+    const header = rows[0].map((c) => c.trim().toLowerCase());
+    const findColumn = (names) => header.findIndex((h) => names.includes(h));
+    let columns = {
+        date: findColumn(CSV_COLUMNS.date),
+        amount: findColumn(CSV_COLUMNS.amount),
+        partName: findColumn(CSV_COLUMNS.partName),
+        note: findColumn(CSV_COLUMNS.note),
+    };
+    let body = rows.slice(1);
+    let firstLine = 2;
+    if (columns.amount < 0) {
+        // No recognizable header: assume the export's column order
+        columns = { date: 0, amount: 1, partName: 2, note: 3 };
+        body = rows;
+        firstLine = 1;
+    }
+
+    const entries = [];
+    body.forEach((row, i) => {
+        const line = firstLine + i;
+        const amount = parseLocaleNumber(row[columns.amount] ?? "", locale);
+        if (!Number.isFinite(amount) || amount === 0) {
+            errors.push({ line, code: "invalidAmount", values: { value: row[columns.amount] ?? "" } });
+            return;
+        }
+        const rawDate = columns.date >= 0 ? (row[columns.date] || "").trim() : "";
+        const entry = normalizeEntry({
+            amount,
+            partName: columns.partName >= 0 ? (row[columns.partName] || "").trim() : null,
+            date: rawDate || new Date().toISOString(),
+            note: columns.note >= 0 ? (row[columns.note] || "").trim() : null,
+        });
+        if (!entry) {
+            errors.push({ line, code: "invalidDate", values: { value: rawDate } });
+            return;
+        }
+        entries.push(entry);
+    });
+
+    const { fresh, duplicates } = dedupe(goal.entries, entries);
+    return { kind: "csv", entries, fresh, duplicates, errors };
+}
+
+/*
+  Read a JSON backup into a plan covering every goal in the file:
+  { kind: "json", goals: [{ goal, existing, fresh, duplicates }], errors }
+  `existing` is the matching local goal (same id), if any.
+*/
+// Goals without a name are called `defaultName`
+export function planJsonImport(text, currentGoals, defaultName = "Imported goal") {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        const error = { line: null, code: "invalidJson", values: { detail: err.message } };
+        return { kind: "json", goals: [], errors: [error] };
+    }
+    if (!data || data.format !== BACKUP_FORMAT || !Array.isArray(data.goals)) {
+        return { kind: "json", goals: [], errors: [{ line: null, code: "notBackup", values: {} }] };
+    }
+
+    const errors = [];
+    const ids = new Set();
+    const goals = data.goals
+        .filter((g) => g && typeof g === "object")
+        .map((raw) => {
+            const entries = [];
+            (Array.isArray(raw.entries) ? raw.entries : []).forEach((e, i) => {
+                const entry = normalizeEntry(e);
+                if (entry) entries.push(entry);
+                else errors.push({ line: null, code: "invalidEntry", values: { goal: raw.name, index: i + 1 } });
+            });
+            // Fields of the wrong type would only break the app later, so the goal is cleaned up like
+            // one read from old storage; an entry listed twice in the file is imported once
+            const goal = normalizeGoal(raw, dedupe([], entries).fresh, defaultName);
+            if (ids.has(goal.id)) goal.id = makeId();
+            ids.add(goal.id);
+            const existing = currentGoals.find((g) => g.id === goal.id) || null;
+            const { fresh, duplicates } = dedupe(existing ? existing.entries : [], entries);
+            return { goal, existing, fresh, duplicates };
+        });
+    return { kind: "json", goals, errors };
+}
+
+// ---------- Applying ----------
+
+export function applyCsvImport(plan, entries, mode) {
+    return mode === "replace" ? plan.entries : prependEntries(entries, plan.fresh);
+}
+
+export function applyJsonImport(plan, goals, mode) {
+    if (mode === "replace") return plan.goals.map((p) => p.goal);
+    const merged = goals.map((g) => {
+        const match = plan.goals.find((p) => p.existing && p.existing.id === g.id);
+        return match ? { ...g, entries: prependEntries(g.entries, match.fresh) } : g;
+    });
+    const added = plan.goals.filter((p) => !p.existing).map((p) => p.goal);
+    return [...merged, ...added];
+}
@@ -0,0 +1,488 @@
+/* ar.js
+  Arabic messages (العربية), written right to left. Plurals use all six Arabic forms.
+*/
+export default {
+    "about.title": "حول",
+    "about.version": "الإصدار {version} · بُني {date}",
+    "about.unsupported": "لا يستطيع هذا المتصفح حفظ البيانات بشكل دائم.",
+    "about.persisted": "التخزين دائم: لن يمسح المتصفح بياناتك من تلقاء نفسه.",
+    "about.bestEffort": "التخزين غير مضمون: قد يمسح المتصفح بياناتك عند نفاد المساحة.",
+    "about.usage": "المستخدم {size}.",
+    "about.declined": "رفض المتصفح. يساعد عادةً تثبيت التطبيق أو إضافته إلى المفضلة؛ وصدّر نسخة احتياطية من حين لآخر على أي حال.",
+    "about.persist": "حفظ البيانات بشكل دائم",
+
+    "app.offline": "غير متصل",
+    "app.offlineHint": "تُحفظ التغييرات على هذا الجهاز وتُزامن عند عودة الاتصال",
+    "app.goal": "الهدف",
+    "app.dial": "المؤشر",
+    "app.history": "السجل",
+
+    "budget.archived": {
+        one: "أُرشفت فترة ميزانية واحدة",
+        two: "أُرشفت فترتا ميزانية",
+        few: "أُرشفت {count} فترات ميزانية",
+        many: "أُرشفت {count} فترةً",
+        other: "أُرشفت {count} فترة",
+    },
+    "budget.thisPeriod": "هذه الفترة",
+    "budget.carriedOver": "المُرحّل",
+    "budget.spent": "المُنفق",
+    "budget.perDay": {
+        zero: "يوميًا",
+        one: "يوميًا ليوم واحد",
+        two: "يوميًا ليومين",
+        few: "يوميًا لـ{count} أيام",
+        many: "يوميًا لـ{count} يومًا",
+        other: "يوميًا لـ{count} يوم",
+    },
+    "budget.over": "تجاوز الميزانية",
+    "budget.streak": "السلسلة",
+    "budget.streakValue": {
+        zero: "لا فترات ضمن الميزانية",
+        one: "فترة واحدة ضمن الميزانية",
+        two: "فترتان ضمن الميزانية",
+        few: "{count} فترات ضمن الميزانية",
+        many: "{count} فترةً ضمن الميزانية",
+        other: "{count} فترة ضمن الميزانية",
+    },
+    "budget.pastPeriods": "الفترات السابقة",
+    "budget.inARow": { other: "{count} متتالية ضمن الميزانية" },
+    "budget.carriedOverAmount": "(رُحّل {amount})",
+    "budget.overBy": "تجاوز بـ{amount}",
+    "budget.noEntries": "لا إدخالات",
+
+    "common.untitled": "بلا عنوان",
+    "common.amountOf": "{amount} من {target}",
+    "common.undo": "تراجع",
+    "common.redo": "إعادة",
+    "common.clear": "مسح",
+    "common.download": "تنزيل",
+    "common.discard": "تجاهل",
+    "common.done": "تم",
+    "common.cancel": "إلغاء",
+    "common.save": "حفظ",
+    "common.delete": "حذف",
+    "common.edit": "تعديل",
+    "common.add": "إضافة",
+
+    "debt.paidOff": "سُدّد بالكامل 🎉",
+    "debt.noPayments": "لا دفعات بعد",
+    "debt.notAtPace": "ليس بالوتيرة الحالية",
+    "debt.previewPaysOff": "دفع {amount} الآن: يسدّد الدين بالكامل",
+    "debt.previewNotPaidOff": "دفع {amount} الآن: لن يُسدّد بالوتيرة الحالية",
+    "debt.previewPaidOffOn": "دفع {amount} الآن: يُسدّد في {date}",
+    "debt.previewSooner": {
+        one: "دفع {amount} الآن: أبكر بيوم واحد، وفوائد أقل بـ{interest}",
+        two: "دفع {amount} الآن: أبكر بيومين، وفوائد أقل بـ{interest}",
+        few: "دفع {amount} الآن: أبكر بـ{count} أيام، وفوائد أقل بـ{interest}",
+        many: "دفع {amount} الآن: أبكر بـ{count} يومًا، وفوائد أقل بـ{interest}",
+        other: "دفع {amount} الآن: أبكر بـ{count} يوم، وفوائد أقل بـ{interest}",
+    },
+    "debt.interestSoFar": "الفوائد حتى الآن",
+    "debt.perMonth": "السداد الشهري",
+    "debt.projectedPayoff": "السداد المتوقع",
+    "debt.totalInterest": "إجمالي الفوائد",
+
+    "dial.budgetLeft": "تبقّى {left} من {available}",
+    "dial.debtStatus": "سُدّد {percent}، ولا يزال {owed} مستحقًا",
+    "dial.progressStatus": "التقدّم {percent}: {progress} من {target}",
+    "dial.budgetLeftPeriod": "تبقّى {left} من {available} في هذه الفترة",
+    "dial.partStatus": "{part} {progress} من {target}",
+    "dial.left": "تبقّى {amount}",
+    "dial.owed": "مستحق · سُدّد {percent}",
+    "dial.leftOf": "متبقٍّ من {amount}",
+    "dial.showPart": "عرض الجزء",
+    "dial.remaining": "المتبقي:",
+    "dial.recent": "الأحدث",
+    "dial.noEntries": "لا إدخالات بعد",
+    "dial.style.donut": "حلقة",
+    "dial.style.gauge": "نصف دائرة",
+    "dial.style.bar": "شريط",
+
+    "display.title": "الوحدات والخطوات",
+    "display.showAs": "عرض المبالغ كـ",
+    "display.kind.plain": "رقم عادي",
+    "display.kind.currency": "عملة",
+    "display.kind.unit": "وحدة مخصصة",
+    "display.currencyCode": "رمز العملة",
+    "display.unitSymbol": "رمز الوحدة",
+    "display.unitPlaceholder": "ساعة، كم، صفحات…",
+    "display.decimals": "المنازل العشرية",
+    "display.locale": "الإعدادات المحلية",
+    "display.localeDefault": "مثل لغة التطبيق",
+    "display.knobStep": "خطوة المقبض",
+    "display.quickSteps": "أزرار الخطوات السريعة (مفصولة بمسافات)",
+    "display.invalidStep": "ليس رقمًا: {value}",
+    "display.preview": "معاينة: {amount} · الأزرار {buttons}",
+    "display.dialStyle": "نمط المؤشر",
+
+    "entries.title": "إدارة الإدخالات",
+    "entries.clearAll": "مسح الكل",
+    "entries.clearAllConfirm": "مسح كل الإدخالات؟",
+    "entries.clearAllYes": "مسح الكل",
+    "entries.noPart": "بلا جزء",
+    "entries.notAPart": "{label} (ليس جزءًا)",
+    "entries.invalidAmount": "أدخل مبلغًا رقميًا صالحًا",
+    "entries.invalidDate": "أدخل تاريخًا ووقتًا صالحين",
+    "entries.amount": "المبلغ",
+    "entries.amountIn": "المبلغ ({symbol})",
+    "entries.part": "الجزء",
+    "entries.labelOptional": "التسمية (اختياري)",
+    "entries.dateTime": "التاريخ والوقت",
+    "entries.noteOptional": "ملاحظة (اختياري)",
+    "entries.totalsLabel": {
+        zero: "{label} · لا إدخالات",
+        one: "{label} · إدخال واحد",
+        two: "{label} · إدخالان",
+        few: "{label} · {count} إدخالات",
+        many: "{label} · {count} إدخالًا",
+        other: "{label} · {count} إدخال",
+    },
+    "entries.search": "البحث في التسميات والملاحظات",
+    "entries.type.all": "الإيداعات والسحوبات",
+    "entries.type.deposits": "الإيداعات فقط",
+    "entries.type.withdrawals": "السحوبات فقط",
+    "entries.anyLabel": "أي تسمية",
+    "entries.noLabel": "بلا تسمية",
+    "entries.from": "من",
+    "entries.to": "إلى",
+    "entries.group": "التجميع",
+    "entries.groupBy.none": "بلا",
+    "entries.groupBy.day": "يوم",
+    "entries.groupBy.month": "شهر",
+    "entries.clearFilters": "مسح عوامل التصفية",
+    "entries.progress": "التقدّم",
+    "entries.all": "الكل",
+    "entries.filtered": "المُصفّى",
+    "entries.selectShown": "تحديد المعروض",
+    "entries.selectAll": "تحديد الكل",
+    "entries.selected": { other: "حُدّد {count}" },
+    "entries.relabel": "إعادة تسمية",
+    "entries.noMatch": "لا إدخالات تطابق عوامل التصفية",
+
+    "forecast.reached": "تحقّق الهدف 🎉",
+    "forecast.noHistory": "لا سجل بعد",
+    "forecast.notAtPace": "لن يتحقق بالوتيرة الحالية",
+    "forecast.projected": "الإنجاز المتوقع",
+    "forecast.neededPer": "المطلوب لكل",
+    "forecast.paceUnit": "وحدة الوتيرة",
+    "forecast.unit.day": "يوم",
+    "forecast.unit.week": "أسبوع",
+    "forecast.unit.month": "شهر",
+    "forecast.deadlinePassed": "انقضى الموعد النهائي",
+    "forecast.by": "بحلول {date}",
+    "forecast.ahead": "متقدّم بـ{amount}",
+    "forecast.behind": "متأخر بـ{amount}",
+
+    "frequency.day": "يوميًا",
+    "frequency.week": "أسبوعيًا",
+    "frequency.month": "شهريًا",
+    "frequency.year": "سنويًا",
+
+    "goalType.savings": "ادخار",
+    "goalType.budget": "ميزانية",
+    "goalType.debt": "سداد دين",
+    "goalType.hint.savings": "تُحتسب الإدخالات صعودًا نحو المبلغ المستهدف.",
+    "goalType.hint.budget": "الإدخالات نفقات؛ والمبلغ المستهدف أعلاه هو الحد لكل فترة. تُؤرشف كل فترة عند انتهائها (انظر السجل).",
+    "goalType.hint.debt": "المبلغ المستهدف أعلاه هو الرصيد المستحق في تاريخ البدء؛ والإدخالات دفعات. تتراكم الفوائد على المتبقي.",
+    "goalType.title": "نوع الهدف",
+    "goalType.period": "الفترة",
+    "goalType.carryOver": "ترحيل الفائض أو العجز",
+    "goalType.apr": "معدل الفائدة السنوي (%)",
+    "goalType.compounding": "التركيب",
+    "goalType.startDate": "الرصيد المستحق في",
+    "goalType.archived": {
+        one: "تبقى فترة ميزانية مؤرشفة واحدة في السجل.",
+        two: "تبقى فترتا ميزانية مؤرشفتان في السجل.",
+        few: "تبقى {count} فترات ميزانية مؤرشفة في السجل.",
+        many: "تبقى {count} فترةً مؤرشفة في السجل.",
+        other: "تبقى {count} فترة مؤرشفة في السجل.",
+    },
+
+    "goals.title": "الأهداف",
+    "goals.isOpen": "مفتوح",
+    "goals.open": "فتح",
+    "goals.moveUp": "نقل لأعلى",
+    "goals.moveDown": "نقل لأسفل",
+    "goals.restore": "استعادة",
+    "goals.archive": "أرشفة",
+    "goals.confirmDelete": "حذف «{goal}» وكل إدخالاته؟",
+    "goals.newName": "اسم الهدف الجديد",
+    "goals.add": "إضافة هدف",
+    "goals.firstGoalName": "هدفي",
+    "goals.importedName": "هدف مستورد",
+    "goals.syncedName": "هدف متزامن",
+    "goals.accentColor": "لون التمييز {color}",
+    "goals.customColor": "لون تمييز مخصص",
+
+    "history.undone": "تم التراجع: {label}",
+    "history.redone": "أعيد: {label}",
+    "history.added": "أضيف {amount}",
+    "history.entryUpdated": "عُدّل الإدخال",
+    "history.entriesDeleted": {
+        one: "حُذف إدخال واحد",
+        two: "حُذف إدخالان",
+        few: "حُذفت {count} إدخالات",
+        many: "حُذف {count} إدخالًا",
+        other: "حُذف {count} إدخال",
+    },
+    "history.entriesRelabeled": {
+        one: "أعيدت تسمية إدخال واحد",
+        two: "أعيدت تسمية إدخالين",
+        few: "أعيدت تسمية {count} إدخالات",
+        many: "أعيدت تسمية {count} إدخالًا",
+        other: "أعيدت تسمية {count} إدخال",
+    },
+    "history.allCleared": "مُسحت كل الإدخالات",
+    "history.goalReset": "أعيد تعيين الهدف",
+    "history.empty": "لا إدخالات بعد — سيظهر السجل بمجرد إضافة بعضها.",
+    "history.average": "متوسط المساهمة",
+    "history.largest": "أكبر إدخال",
+    "history.activeDays": "الأيام النشطة",
+    "history.overTime": "التقدّم عبر الزمن",
+    "history.total": "الإجمالي",
+    "history.limit": "الحد",
+    "history.target": "الهدف",
+    "history.flows": "المساهمات والسحوبات",
+    "history.weekly": "أسبوعيًا",
+    "history.monthly": "شهريًا",
+    "history.contributions": "المساهمات",
+    "history.withdrawals": "السحوبات",
+
+    "knob.add": "إضافة",
+    "knob.addTo": "إضافة إلى {part}",
+    "knob.spend": "إنفاق",
+    "knob.spendOn": "إنفاق على {part}",
+    "knob.pay": "سداد",
+    "knob.payToward": "سداد لـ{part}",
+    "knob.valueText": "{amount}، {percent} من الهدف",
+    "knob.ofTarget": "{percent} من الهدف",
+    "knob.hint": "أدِر أو مرّر أو استخدم مفاتيح الأسهم لتغيير المبلغ؛ انقر أو اضغط Enter لإضافته.",
+
+    "language.title": "اللغة",
+    "language.browser": "افتراضي المتصفح",
+
+    "lock.wrong": "عبارة المرور خاطئة.",
+    "lock.unlockFailed": "تعذّر فتح البيانات. حاول مجددًا.",
+    "lock.locked": "{app} مقفل",
+    "lock.passphrase": "رمز PIN أو عبارة المرور",
+    "lock.unlocking": "جارٍ الفتح…",
+    "lock.unlock": "فتح القفل",
+    "lock.forgot": "نسيتها؟ لا يمكن استعادة البيانات بدونها؛ ومسح بيانات هذا الموقع في إعدادات المتصفح يبدأ من الصفر.",
+    "lock.never": "أبدًا",
+    "lock.afterHours": {
+        one: "بعد ساعة دون استخدام",
+        two: "بعد ساعتين دون استخدام",
+        few: "بعد {count} ساعات دون استخدام",
+        many: "بعد {count} ساعةً دون استخدام",
+        other: "بعد {count} ساعة دون استخدام",
+    },
+    "lock.afterMinutes": {
+        one: "بعد دقيقة دون استخدام",
+        two: "بعد دقيقتين دون استخدام",
+        few: "بعد {count} دقائق دون استخدام",
+        many: "بعد {count} دقيقةً دون استخدام",
+        other: "بعد {count} دقيقة دون استخدام",
+    },
+    "lock.newPassphrase": "رمز PIN أو عبارة مرور جديدة",
+    "lock.repeat": "أعد إدخالها",
+    "lock.tooShort": {
+        one: "حرف واحد على الأقل.",
+        two: "حرفان على الأقل.",
+        few: "{count} أحرف على الأقل.",
+        many: "{count} حرفًا على الأقل.",
+        other: "{count} حرف على الأقل.",
+    },
+    "lock.mismatch": "الإدخالان غير متطابقين.",
+    "lock.weak": "رمز PIN القصير سهل التخمين لمن يحصل على نسخة من البيانات؛ عبارة المرور الأطول أكثر أمانًا.",
+    "lock.currentPassphrase": "رمز PIN أو عبارة المرور الحالية",
+    "lock.title": "قفل التطبيق",
+    "lock.unsupported": "غير متاح هنا: يحتاج التشفير إلى فتح التطبيق عبر https.",
+    "lock.on": "مفعّل: بياناتك مشفرة على هذا الجهاز وتحتاج رمز PIN أو عبارة المرور لفتحها.",
+    "lock.intro": "شفّر بياناتك على هذا الجهاز واطلب رمز PIN أو عبارة مرور لفتح التطبيق.",
+    "lock.autoLock": "القفل التلقائي",
+    "lock.now": "اقفل الآن",
+    "lock.changePassphrase": "تغيير عبارة المرور",
+    "lock.turnOff": "إيقاف",
+    "lock.turnOnLock": "تفعيل قفل التطبيق",
+    "lock.warning": "إن نسيتها فلا يمكن استعادة البيانات. صدّر نسخة احتياطية أولًا.",
+    "lock.encrypting": "جارٍ التشفير…",
+    "lock.turnOn": "تفعيل",
+    "lock.change": "تغيير",
+    "lock.decrypting": "جارٍ فك التشفير…",
+    "lock.turnOffAndDecrypt": "إيقاف وفك التشفير",
+
+    "main.storageError": "يتعذّر على {app} فتح التخزين",
+
+    "milestones.reachedTitle": "{goal}: تحقّق {milestones}",
+    "milestones.title": "المراحل",
+    "milestones.reachedOn": "تحقّقت في {date}",
+    "milestones.toGo": "تبقّى {amount}",
+    "milestones.none": "لا مراحل. أضف بعضها لتحتفل عندما يتخطى إدخال إحداها.",
+    "milestones.addDefaults": "إضافة {list}",
+    "milestones.notYet": "ليس بعد",
+    "milestones.delete": "حذف المرحلة {milestone}",
+    "milestones.percentPlaceholder": "مثلًا 50",
+    "milestones.milestone": "المرحلة",
+    "milestones.kind": "نوع المرحلة",
+    "milestones.percentOfTarget": "% من الهدف",
+    "milestones.notify": "إظهار إشعار أيضًا عند بلوغ مرحلة",
+    "milestones.notifyBlocked": "(محظور في إعدادات الموقع في المتصفح)",
+
+    "parts.unassigned": "غير مخصّص",
+    "parts.targetFor": "هدف {part}",
+    "parts.nameTaken": "يوجد جزء باسم «{part}» بالفعل",
+    "parts.confirmDelete": "حذف الجزء «{part}»؟ تبقى إدخالاته دون تخصيص.",
+    "parts.title": "الأجزاء",
+    "parts.empty": "لا أجزاء. قسّم الهدف إلى أجزاء ليحصل كل جزء على مقطع في المؤشر.",
+    "parts.total": "مجموع الأجزاء {amount} من {target}",
+    "parts.totalOver": "مجموع الأجزاء {amount} من {target} — أكثر من المبلغ المستهدف",
+    "parts.name": "اسم الجزء",
+    "parts.target": "الهدف",
+    "parts.add": "إضافة جزء",
+
+    "quickAdd.title": "إضافة هذا الإدخال؟",
+    "quickAdd.unknownGoal": "لا يوجد هدف باسم «{goal}»؛ اختر واحدًا أدناه.",
+    "quickAdd.partOrLabel": "الجزء أو التسمية",
+    "quickAdd.note": "ملاحظة",
+    "quickAdd.enterAmount": "أدخل مبلغًا",
+
+    "recovery.confirmDiscard": "تجاهل البيانات المستعادة؟ لا يمكن التراجع عن ذلك.",
+    "recovery.notice": {
+        one: "نُحّي سجل تالف واحد أثناء ترقية التخزين.",
+        two: "نُحّي سجلان تالفان أثناء ترقية التخزين.",
+        few: "نُحّيت {count} سجلات تالفة أثناء ترقية التخزين.",
+        many: "نُحّي {count} سجلًا تالفًا أثناء ترقية التخزين.",
+        other: "نُحّي {count} سجل تالف أثناء ترقية التخزين.",
+    },
+
+    "recurring.added": {
+        one: "أضيف إدخال مجدول واحد",
+        two: "أضيف إدخالان مجدولان",
+        few: "أضيفت {count} إدخالات مجدولة",
+        many: "أضيف {count} إدخالًا مجدولًا",
+        other: "أضيف {count} إدخال مجدول",
+    },
+    "recurring.kept": "أُبقي الإدخال المجدول",
+    "recurring.skipped": "تُخطّي الإدخال المجدول",
+    "recurring.allKept": "أُبقيت الإدخالات المجدولة",
+    "recurring.autoBadge": "تلقائي",
+    "recurring.review": "إدخالات مجدولة للمراجعة",
+    "recurring.keepAll": "إبقاء الكل",
+    "recurring.keep": "إبقاء",
+    "recurring.skip": "تخطٍّ",
+    "recurring.error.amount": "أدخل مبلغًا غير صفري",
+    "recurring.error.start": "اختر تاريخ البدء",
+    "recurring.error.end": "يجب أن يكون تاريخ الانتهاء بعد تاريخ البدء",
+    "recurring.confirmDelete": "حذف هذه القاعدة المتكررة؟ تبقى الإدخالات التي أضافتها.",
+    "recurring.title": "المساهمات المتكررة",
+    "recurring.none": "لا قواعد متكررة",
+    "recurring.everyN": "(كل {count})",
+    "recurring.next": "التالي {date}",
+    "recurring.ended": "انتهت",
+    "recurring.label": "التسمية",
+    "recurring.repeats": "التكرار",
+    "recurring.every": "كل",
+    "recurring.start": "البدء",
+    "recurring.endOptional": "الانتهاء (اختياري)",
+    "recurring.add": "إضافة قاعدة متكررة",
+
+    "settings.targetSum": "المبلغ المستهدف",
+    "settings.limitPerWeek": "الحد الأسبوعي",
+    "settings.limitPerMonth": "الحد الشهري",
+    "settings.startingBalance": "الرصيد الأولي",
+    "settings.title": "الإعدادات",
+    "settings.reset": "إعادة تعيين",
+    "settings.deadline": "الموعد النهائي (اختياري)",
+    "settings.savedLocally": "كل الإعدادات محفوظة محليًا.",
+
+    "sync.unreachable": "تعذّر الوصول إلى الخادم؛ التغييرات محفوظة وستُرسل عند عودته.",
+    "sync.error.rejected": "رفض الخادم الرمز",
+    "sync.error.status": "ردّ الخادم بـ{status}",
+    "sync.title": "المزامنة",
+    "sync.intro": "أبقِ الأهداف متطابقة بين أجهزتك عبر خادمك الخاص (انظر {file}).",
+    "sync.url": "عنوان الخادم",
+    "sync.token": "الرمز",
+    "sync.saveAndSync": "حفظ ومزامنة",
+    "sync.turnOn": "تشغيل المزامنة",
+    "sync.syncing": "جارٍ المزامنة…",
+    "sync.now": "مزامنة الآن",
+    "sync.turnOff": "إيقاف",
+    "sync.lastSynced": "آخر مزامنة {date}",
+    "sync.notYet": "لم تتم المزامنة بعد",
+    "sync.pending": {
+        one: "تغيير واحد بانتظار الإرسال",
+        two: "تغييران بانتظار الإرسال",
+        few: "{count} تغييرات بانتظار الإرسال",
+        many: "{count} تغييرًا بانتظار الإرسال",
+        other: "{count} تغيير بانتظار الإرسال",
+    },
+
+    "theme.title": "المظهر",
+    "theme.system": "النظام",
+    "theme.light": "فاتح",
+    "theme.dark": "داكن",
+
+    "transfer.imported": {
+        one: "استُورد إدخال واحد",
+        two: "استُورد إدخالان",
+        few: "استُوردت {count} إدخالات",
+        many: "استُورد {count} إدخالًا",
+        other: "استُورد {count} إدخال",
+    },
+    "transfer.backupImported": "استُوردت النسخة الاحتياطية",
+    "transfer.error.empty": "الملف فارغ",
+    "transfer.error.invalidAmount": "مبلغ غير صالح \"{value}\"",
+    "transfer.error.invalidDate": "تاريخ غير صالح \"{value}\"",
+    "transfer.error.invalidJson": "ليس JSON صالحًا: {detail}",
+    "transfer.error.notBackup": "ليست نسخة احتياطية من Pocket Progress",
+    "transfer.error.invalidEntry": "الهدف \"{goal}\": الإدخال {index} غير صالح",
+    "transfer.title": "الاستيراد والتصدير",
+    "transfer.exportCsv": "تصدير CSV",
+    "transfer.backupJson": "نسخة احتياطية JSON",
+    "transfer.importFile": "استيراد…",
+    "transfer.hint": "ملف CSV يشمل «{goal}»؛ والنسخة الاحتياطية JSON تشمل كل الأهداف ومبالغها المستهدفة.",
+    "transfer.goalEntries": {
+        zero: "{goal}: لا إدخالات",
+        one: "{goal}: إدخال واحد",
+        two: "{goal}: إدخالان",
+        few: "{goal}: {count} إدخالات",
+        many: "{goal}: {count} إدخالًا",
+        other: "{goal}: {count} إدخال",
+    },
+    "transfer.newGoalEntries": {
+        zero: "{goal}: لا إدخالات (هدف جديد)",
+        one: "{goal}: إدخال واحد (هدف جديد)",
+        two: "{goal}: إدخالان (هدف جديد)",
+        few: "{goal}: {count} إدخالات (هدف جديد)",
+        many: "{goal}: {count} إدخالًا (هدف جديد)",
+        other: "{goal}: {count} إدخال (هدف جديد)",
+    },
+    "transfer.willAdd": {
+        zero: "لن تُضاف أي إدخالات.",
+        one: "سيُضاف إدخال واحد.",
+        two: "سيُضاف إدخالان.",
+        few: "ستُضاف {count} إدخالات.",
+        many: "سيُضاف {count} إدخالًا.",
+        other: "سيُضاف {count} إدخال.",
+    },
+    "transfer.duplicatesSkipped": {
+        one: "سيُتخطّى إدخال مكرر واحد.",
+        two: "سيُتخطّى إدخالان مكرران.",
+        few: "ستُتخطّى {count} إدخالات مكررة.",
+        many: "سيُتخطّى {count} إدخالًا مكررًا.",
+        other: "سيُتخطّى {count} إدخال مكرر.",
+    },
+    "transfer.replacingEntries": "ستُستبدل كل الإدخالات في «{goal}».",
+    "transfer.replacingGoals": "ستُستبدل كل الأهداف.",
+    "transfer.line": "السطر {line}: ",
+    "transfer.merge": "دمج",
+    "transfer.replace": "استبدال",
+    "transfer.import": "استيراد",
+
+    "update.available": "يتوفر إصدار جديد",
+    "update.offlineReady": "جاهز للعمل دون اتصال",
+    "update.reload": "إعادة التحميل",
+    "update.later": "لاحقًا",
+    "update.ok": "حسنًا",
+};
@@ -0,0 +1,387 @@
+/* de.js
+  German messages (Deutsch).
+*/
+export default {
+    "about.title": "Über",
+    "about.version": "Version {version} · erstellt {date}",
+    "about.unsupported": "Dieser Browser kann Daten nicht dauerhaft speichern.",
+    "about.persisted": "Der Speicher ist dauerhaft: Der Browser löscht deine Daten nicht von sich aus.",
+    "about.bestEffort": "Der Speicher ist nicht garantiert: Der Browser kann deine Daten löschen, wenn der Platz knapp wird.",
+    "about.usage": "Belegt: {size}.",
+    "about.declined": "Der Browser hat abgelehnt. Die App zu installieren oder ein Lesezeichen anzulegen hilft meist; exportiere so oder so ab und zu eine Sicherung.",
+    "about.persist": "Daten dauerhaft speichern",
+
+    "app.offline": "Offline",
+    "app.offlineHint": "Änderungen werden auf diesem Gerät gespeichert und synchronisiert, sobald du wieder online bist",
+    "app.goal": "Ziel",
+    "app.dial": "Anzeige",
+    "app.history": "Verlauf",
+
+    "budget.archived": { one: "{count} Budgetzeitraum archiviert", other: "{count} Budgetzeiträume archiviert" },
+    "budget.thisPeriod": "Dieser Zeitraum",
+    "budget.carriedOver": "Übertrag",
+    "budget.spent": "Ausgegeben",
+    "budget.perDay": { one: "Pro Tag für {count} Tag", other: "Pro Tag für {count} Tage" },
+    "budget.over": "Budget überschritten",
+    "budget.streak": "Serie",
+    "budget.streakValue": { one: "{count} Zeitraum im Budget", other: "{count} Zeiträume im Budget" },
+    "budget.pastPeriods": "Frühere Zeiträume",
+    "budget.inARow": { other: "{count} in Folge im Budget" },
+    "budget.carriedOverAmount": "({amount} übertragen)",
+    "budget.overBy": "{amount} drüber",
+    "budget.noEntries": "Keine Einträge",
+
+    "common.untitled": "Ohne Titel",
+    "common.amountOf": "{amount} von {target}",
+    "common.undo": "Rückgängig",
+    "common.redo": "Wiederholen",
+    "common.clear": "Leeren",
+    "common.download": "Herunterladen",
+    "common.discard": "Verwerfen",
+    "common.done": "Fertig",
+    "common.cancel": "Abbrechen",
+    "common.save": "Speichern",
+    "common.delete": "Löschen",
+    "common.edit": "Bearbeiten",
+    "common.add": "Hinzufügen",
+
+    "debt.paidOff": "Abbezahlt 🎉",
+    "debt.noPayments": "Noch keine Zahlungen",
+    "debt.notAtPace": "Nicht beim aktuellen Tempo",
+    "debt.previewPaysOff": "{amount} jetzt zahlen: damit abbezahlt",
+    "debt.previewNotPaidOff": "{amount} jetzt zahlen: beim aktuellen Tempo trotzdem nicht abbezahlt",
+    "debt.previewPaidOffOn": "{amount} jetzt zahlen: abbezahlt am {date}",
+    "debt.previewSooner": {
+        one: "{amount} jetzt zahlen: {count} Tag früher, {interest} weniger Zinsen",
+        other: "{amount} jetzt zahlen: {count} Tage früher, {interest} weniger Zinsen",
+    },
+    "debt.interestSoFar": "Zinsen bisher",
+    "debt.perMonth": "Zahlung pro Monat",
+    "debt.projectedPayoff": "Voraussichtlich abbezahlt",
+    "debt.totalInterest": "Zinsen gesamt",
+
+    "dial.budgetLeft": "{left} von {available} übrig",
+    "dial.debtStatus": "{percent} abbezahlt, {owed} noch offen",
+    "dial.progressStatus": "Fortschritt {percent}: {progress} von {target}",
+    "dial.budgetLeftPeriod": "{left} von {available} in diesem Zeitraum übrig",
+    "dial.partStatus": "{part} {progress} von {target}",
+    "dial.left": "{amount} übrig",
+    "dial.owed": "offen · {percent} abbezahlt",
+    "dial.leftOf": "übrig von {amount}",
+    "dial.showPart": "Teil anzeigen",
+    "dial.remaining": "Verbleibend:",
+    "dial.recent": "Zuletzt",
+    "dial.noEntries": "Noch keine Einträge",
+    "dial.style.donut": "Ring",
+    "dial.style.gauge": "Halbkreis",
+    "dial.style.bar": "Balken",
+
+    "display.title": "Einheiten & Schritte",
+    "display.showAs": "Beträge anzeigen als",
+    "display.kind.plain": "Einfache Zahl",
+    "display.kind.currency": "Währung",
+    "display.kind.unit": "Eigene Einheit",
+    "display.currencyCode": "Währungscode",
+    "display.unitSymbol": "Einheitenzeichen",
+    "display.unitPlaceholder": "h, km, Seiten…",
+    "display.decimals": "Nachkommastellen",
+    "display.locale": "Gebietsschema",
+    "display.localeDefault": "Wie die App-Sprache",
+    "display.knobStep": "Schrittweite des Drehreglers",
+    "display.quickSteps": "Schnellknöpfe (durch Leerzeichen getrennt)",
+    "display.invalidStep": "Keine Zahl: {value}",
+    "display.preview": "Vorschau: {amount} · Knöpfe {buttons}",
+    "display.dialStyle": "Anzeigestil",
+
+    "entries.title": "Einträge verwalten",
+    "entries.clearAll": "Alle löschen",
+    "entries.clearAllConfirm": "Alle Einträge löschen?",
+    "entries.clearAllYes": "Alle löschen",
+    "entries.noPart": "Kein Teil",
+    "entries.notAPart": "{label} (kein Teil)",
+    "entries.invalidAmount": "Gib einen gültigen Betrag ein",
+    "entries.invalidDate": "Gib ein gültiges Datum mit Uhrzeit ein",
+    "entries.amount": "Betrag",
+    "entries.amountIn": "Betrag ({symbol})",
+    "entries.part": "Teil",
+    "entries.labelOptional": "Bezeichnung (optional)",
+    "entries.dateTime": "Datum & Uhrzeit",
+    "entries.noteOptional": "Notiz (optional)",
+    "entries.totalsLabel": { one: "{label} · {count} Eintrag", other: "{label} · {count} Einträge" },
+    "entries.search": "Bezeichnungen und Notizen durchsuchen",
+    "entries.type.all": "Einzahlungen & Abhebungen",
+    "entries.type.deposits": "Nur Einzahlungen",
+    "entries.type.withdrawals": "Nur Abhebungen",
+    "entries.anyLabel": "Alle Bezeichnungen",
+    "entries.noLabel": "Ohne Bezeichnung",
+    "entries.from": "Von",
+    "entries.to": "Bis",
+    "entries.group": "Gruppieren",
+    "entries.groupBy.none": "Keine",
+    "entries.groupBy.day": "Tag",
+    "entries.groupBy.month": "Monat",
+    "entries.clearFilters": "Filter zurücksetzen",
+    "entries.progress": "Fortschritt",
+    "entries.all": "Alle",
+    "entries.filtered": "Gefiltert",
+    "entries.selectShown": "Angezeigte auswählen",
+    "entries.selectAll": "Alle auswählen",
+    "entries.selected": { other: "{count} ausgewählt" },
+    "entries.relabel": "Umbenennen",
+    "entries.noMatch": "Keine Einträge passen zu diesen Filtern",
+
+    "forecast.reached": "Ziel erreicht 🎉",
+    "forecast.noHistory": "Noch kein Verlauf",
+    "forecast.notAtPace": "Beim aktuellen Tempo nicht erreicht",
+    "forecast.projected": "Voraussichtlich erreicht",
+    "forecast.neededPer": "Nötig pro",
+    "forecast.paceUnit": "Zeiteinheit",
+    "forecast.unit.day": "Tag",
+    "forecast.unit.week": "Woche",
+    "forecast.unit.month": "Monat",
+    "forecast.deadlinePassed": "Frist abgelaufen",
+    "forecast.by": "Bis {date}",
+    "forecast.ahead": "{amount} voraus",
+    "forecast.behind": "{amount} im Rückstand",
+
+    "frequency.day": "Täglich",
+    "frequency.week": "Wöchentlich",
+    "frequency.month": "Monatlich",
+    "frequency.year": "Jährlich",
+
+    "goalType.savings": "Sparen",
+    "goalType.budget": "Budget",
+    "goalType.debt": "Schuldentilgung",
+    "goalType.hint.savings": "Einträge zählen zur Zielsumme hoch.",
+    "goalType.hint.budget": "Einträge sind Ausgaben; die Zielsumme oben ist das Limit pro Zeitraum. Jeder Zeitraum wird an seinem Ende archiviert (siehe Verlauf).",
+    "goalType.hint.debt": "Die Zielsumme oben ist die Schuld zum Startdatum; Einträge sind Zahlungen. Auf den offenen Betrag fallen Zinsen an.",
+    "goalType.title": "Zielart",
+    "goalType.period": "Zeitraum",
+    "goalType.carryOver": "Überschuss oder Defizit übertragen",
+    "goalType.apr": "Effektivzins (%)",
+    "goalType.compounding": "Verzinsung",
+    "goalType.startDate": "Schuld am",
+    "goalType.archived": {
+        one: "{count} archivierter Budgetzeitraum bleibt im Verlauf.",
+        other: "{count} archivierte Budgetzeiträume bleiben im Verlauf.",
+    },
+
+    "goals.title": "Ziele",
+    "goals.isOpen": "Offen",
+    "goals.open": "Öffnen",
+    "goals.moveUp": "Nach oben",
+    "goals.moveDown": "Nach unten",
+    "goals.restore": "Wiederherstellen",
+    "goals.archive": "Archivieren",
+    "goals.confirmDelete": "„{goal}“ mit allen Einträgen löschen?",
+    "goals.newName": "Name des neuen Ziels",
+    "goals.add": "Ziel hinzufügen",
+    "goals.firstGoalName": "Mein Ziel",
+    "goals.importedName": "Importiertes Ziel",
+    "goals.syncedName": "Synchronisiertes Ziel",
+    "goals.accentColor": "Akzentfarbe {color}",
+    "goals.customColor": "Eigene Akzentfarbe",
+
+    "history.undone": "Rückgängig: {label}",
+    "history.redone": "Wiederholt: {label}",
+    "history.added": "{amount} hinzugefügt",
+    "history.entryUpdated": "Eintrag geändert",
+    "history.entriesDeleted": { one: "Eintrag gelöscht", other: "{count} Einträge gelöscht" },
+    "history.entriesRelabeled": { one: "Eintrag umbenannt", other: "{count} Einträge umbenannt" },
+    "history.allCleared": "Alle Einträge gelöscht",
+    "history.goalReset": "Ziel zurückgesetzt",
+    "history.empty": "Noch keine Einträge – der Verlauf erscheint, sobald du welche hinzufügst.",
+    "history.average": "Ø Beitrag",
+    "history.largest": "Größter Eintrag",
+    "history.activeDays": "Aktive Tage",
+    "history.overTime": "Fortschritt im Zeitverlauf",
+    "history.total": "Summe",
+    "history.limit": "Limit",
+    "history.target": "Ziel",
+    "history.flows": "Einzahlungen & Abhebungen",
+    "history.weekly": "Wöchentlich",
+    "history.monthly": "Monatlich",
+    "history.contributions": "Einzahlungen",
+    "history.withdrawals": "Abhebungen",
+
+    "knob.add": "Hinzufügen",
+    "knob.addTo": "Zu {part} hinzufügen",
+    "knob.spend": "Ausgeben",
+    "knob.spendOn": "Für {part} ausgeben",
+    "knob.pay": "Zahlen",
+    "knob.payToward": "Auf {part} zahlen",
+    "knob.valueText": "{amount}, {percent} des Ziels",
+    "knob.ofTarget": "{percent} des Ziels",
+    "knob.hint": "Drehen, scrollen oder die Pfeiltasten verwenden, um den Betrag zu ändern; tippen oder Eingabe drücken, um ihn hinzuzufügen.",
+
+    "language.title": "Sprache",
+    "language.browser": "Browser-Standard",
+
+    "lock.wrong": "Falsche Passphrase.",
+    "lock.unlockFailed": "Die Daten konnten nicht geöffnet werden. Versuche es noch einmal.",
+    "lock.locked": "{app} ist gesperrt",
+    "lock.passphrase": "PIN oder Passphrase",
+    "lock.unlocking": "Entsperre…",
+    "lock.unlock": "Entsperren",
+    "lock.forgot": "Vergessen? Ohne sie lassen sich die Daten nicht wiederherstellen; wer die Website-Daten in den Browsereinstellungen löscht, fängt von vorn an.",
+    "lock.never": "Nie",
+    "lock.afterHours": { one: "Nach {count} Stunde ohne Nutzung", other: "Nach {count} Stunden ohne Nutzung" },
+    "lock.afterMinutes": { one: "Nach {count} Minute ohne Nutzung", other: "Nach {count} Minuten ohne Nutzung" },
+    "lock.newPassphrase": "Neue PIN oder Passphrase",
+    "lock.repeat": "Wiederholen",
+    "lock.tooShort": { one: "Mindestens {count} Zeichen.", other: "Mindestens {count} Zeichen." },
+    "lock.mismatch": "Die beiden stimmen nicht überein.",
+    "lock.weak": "Eine kurze PIN ist für jeden, der eine Kopie der Daten hat, schnell erraten; eine längere Passphrase ist sicherer.",
+    "lock.currentPassphrase": "Aktuelle PIN oder Passphrase",
+    "lock.title": "App-Sperre",
+    "lock.unsupported": "Hier nicht verfügbar: Die Verschlüsselung braucht eine über https geöffnete App.",
+    "lock.on": "An: Deine Daten sind auf diesem Gerät verschlüsselt und lassen sich nur mit PIN oder Passphrase öffnen.",
+    "lock.intro": "Verschlüssle deine Daten auf diesem Gerät und frage beim Öffnen der App nach einer PIN oder Passphrase.",
+    "lock.autoLock": "Automatisch sperren",
+    "lock.now": "Jetzt sperren",
+    "lock.changePassphrase": "Passphrase ändern",
+    "lock.turnOff": "Ausschalten",
+    "lock.turnOnLock": "App-Sperre einschalten",
+    "lock.warning": "Wenn du sie vergisst, sind die Daten verloren. Exportiere vorher eine Sicherung.",
+    "lock.encrypting": "Verschlüssle…",
+    "lock.turnOn": "Einschalten",
+    "lock.change": "Ändern",
+    "lock.decrypting": "Entschlüssle…",
+    "lock.turnOffAndDecrypt": "Ausschalten und entschlüsseln",
+
+    "main.storageError": "{app} kann seinen Speicher nicht öffnen",
+
+    "milestones.reachedTitle": "{goal}: {milestones} erreicht",
+    "milestones.title": "Meilensteine",
+    "milestones.reachedOn": "Erreicht am {date}",
+    "milestones.toGo": "noch {amount}",
+    "milestones.none": "Keine Meilensteine. Füge welche hinzu, um gefeiert zu werden, wenn ein Eintrag einen überschreitet.",
+    "milestones.addDefaults": "{list} hinzufügen",
+    "milestones.notYet": "Noch nicht",
+    "milestones.delete": "Meilenstein {milestone} löschen",
+    "milestones.percentPlaceholder": "z. B. 50",
+    "milestones.milestone": "Meilenstein",
+    "milestones.kind": "Art des Meilensteins",
+    "milestones.percentOfTarget": "% des Ziels",
+    "milestones.notify": "Beim Erreichen eines Meilensteins auch eine Benachrichtigung zeigen",
+    "milestones.notifyBlocked": "(in den Website-Einstellungen des Browsers blockiert)",
+
+    "parts.unassigned": "Nicht zugeordnet",
+    "parts.targetFor": "Ziel für {part}",
+    "parts.nameTaken": "Es gibt schon einen Teil namens „{part}“",
+    "parts.confirmDelete": "Teil „{part}“ löschen? Seine Einträge bleiben, ohne Zuordnung.",
+    "parts.title": "Teile",
+    "parts.empty": "Keine Teile. Teile das Ziel auf, um je Teil ein Segment in der Anzeige zu bekommen.",
+    "parts.total": "Die Teile ergeben {amount} von {target}",
+    "parts.totalOver": "Die Teile ergeben {amount} von {target} – mehr als die Zielsumme",
+    "parts.name": "Name des Teils",
+    "parts.target": "Ziel",
+    "parts.add": "Teil hinzufügen",
+
+    "quickAdd.title": "Diesen Eintrag hinzufügen?",
+    "quickAdd.unknownGoal": "Kein Ziel namens „{goal}“; wähle unten eines aus.",
+    "quickAdd.partOrLabel": "Teil oder Bezeichnung",
+    "quickAdd.note": "Notiz",
+    "quickAdd.enterAmount": "Betrag eingeben",
+
+    "recovery.confirmDiscard": "Wiederhergestellte Daten verwerfen? Das lässt sich nicht rückgängig machen.",
+    "recovery.notice": {
+        one: "{count} beschädigter Datensatz wurde beim Aktualisieren des Speichers beiseitegelegt.",
+        other: "{count} beschädigte Datensätze wurden beim Aktualisieren des Speichers beiseitegelegt.",
+    },
+
+    "recurring.added": { one: "{count} geplanter Eintrag hinzugefügt", other: "{count} geplante Einträge hinzugefügt" },
+    "recurring.kept": "Geplanter Eintrag behalten",
+    "recurring.skipped": "Geplanter Eintrag übersprungen",
+    "recurring.allKept": "Geplante Einträge behalten",
+    "recurring.autoBadge": "auto",
+    "recurring.review": "Geplante Einträge zur Durchsicht",
+    "recurring.keepAll": "Alle behalten",
+    "recurring.keep": "Behalten",
+    "recurring.skip": "Überspringen",
+    "recurring.error.amount": "Gib einen Betrag ungleich null ein",
+    "recurring.error.start": "Wähle ein Startdatum",
+    "recurring.error.end": "Das Enddatum muss nach dem Startdatum liegen",
+    "recurring.confirmDelete": "Diese Regel löschen? Bereits hinzugefügte Einträge bleiben erhalten.",
+    "recurring.title": "Wiederkehrende Beiträge",
+    "recurring.none": "Keine wiederkehrenden Regeln",
+    "recurring.everyN": "(alle {count})",
+    "recurring.next": "nächster am {date}",
+    "recurring.ended": "beendet",
+    "recurring.label": "Bezeichnung",
+    "recurring.repeats": "Wiederholung",
+    "recurring.every": "Alle",
+    "recurring.start": "Beginn",
+    "recurring.endOptional": "Ende (optional)",
+    "recurring.add": "Regel hinzufügen",
+
+    "settings.targetSum": "Zielsumme",
+    "settings.limitPerWeek": "Limit pro Woche",
+    "settings.limitPerMonth": "Limit pro Monat",
+    "settings.startingBalance": "Anfangsschuld",
+    "settings.title": "Einstellungen",
+    "settings.reset": "Zurücksetzen",
+    "settings.deadline": "Frist (optional)",
+    "settings.savedLocally": "Alle Einstellungen werden lokal gespeichert.",
+
+    "sync.unreachable": "Server nicht erreichbar; Änderungen bleiben erhalten und werden gesendet, sobald er wieder da ist.",
+    "sync.error.rejected": "Der Server hat das Token abgelehnt",
+    "sync.error.status": "Der Server antwortete mit {status}",
+    "sync.title": "Synchronisierung",
+    "sync.intro": "Halte Ziele über deinen eigenen Server auf allen Geräten gleich (siehe {file}).",
+    "sync.url": "Server-URL",
+    "sync.token": "Token",
+    "sync.saveAndSync": "Speichern & synchronisieren",
+    "sync.turnOn": "Synchronisierung einschalten",
+    "sync.syncing": "Synchronisiere…",
+    "sync.now": "Jetzt synchronisieren",
+    "sync.turnOff": "Ausschalten",
+    "sync.lastSynced": "Zuletzt synchronisiert {date}",
+    "sync.notYet": "Noch nicht synchronisiert",
+    "sync.pending": { one: "{count} Änderung wartet", other: "{count} Änderungen warten" },
+
+    "theme.title": "Design",
+    "theme.system": "System",
+    "theme.light": "Hell",
+    "theme.dark": "Dunkel",
+
+    "transfer.imported": { one: "{count} Eintrag importiert", other: "{count} Einträge importiert" },
+    "transfer.backupImported": "Sicherung importiert",
+    "transfer.error.empty": "Die Datei ist leer",
+    "transfer.error.invalidAmount": "Ungültiger Betrag „{value}“",
+    "transfer.error.invalidDate": "Ungültiges Datum „{value}“",
+    "transfer.error.invalidJson": "Kein gültiges JSON: {detail}",
+    "transfer.error.notBackup": "Keine Pocket-Progress-Sicherung",
+    "transfer.error.invalidEntry": "Ziel „{goal}“: Eintrag {index} ist ungültig",
+    "transfer.title": "Import & Export",
+    "transfer.exportCsv": "CSV exportieren",
+    "transfer.backupJson": "JSON-Sicherung",
+    "transfer.importFile": "Importieren…",
+    "transfer.hint": "Die CSV-Datei enthält „{goal}“; die JSON-Sicherung enthält alle Ziele samt Zielsumme.",
+    "transfer.goalEntries": { one: "{goal}: {count} Eintrag", other: "{goal}: {count} Einträge" },
+    "transfer.newGoalEntries": {
+        one: "{goal}: {count} Eintrag (neues Ziel)",
+        other: "{goal}: {count} Einträge (neues Ziel)",
+    },
+    "transfer.willAdd": {
+        zero: "Es werden keine Einträge hinzugefügt.",
+        one: "{count} Eintrag wird hinzugefügt.",
+        other: "{count} Einträge werden hinzugefügt.",
+    },
+    "transfer.duplicatesSkipped": {
+        one: "{count} Duplikat wird übersprungen.",
+        other: "{count} Duplikate werden übersprungen.",
+    },
+    "transfer.replacingEntries": "Alle Einträge in „{goal}“ werden ersetzt.",
+    "transfer.replacingGoals": "Alle Ziele werden ersetzt.",
+    "transfer.line": "Zeile {line}: ",
+    "transfer.merge": "Zusammenführen",
+    "transfer.replace": "Ersetzen",
+    "transfer.import": "Importieren",
+
+    "update.available": "Eine neue Version ist verfügbar",
+    "update.offlineReady": "Bereit für die Offline-Nutzung",
+    "update.reload": "Neu laden",
+    "update.later": "Später",
+    "update.ok": "OK",
+};
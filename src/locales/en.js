@@ -0,0 +1,382 @@
+/* en.js
+  English messages: the source catalog. Every key used in the app must be here; see lib/i18n.js
+  for the message format.
+*/
+export default {
+    "about.title": "About",
+    "about.version": "Version {version} · built {date}",
+    "about.unsupported": "This browser can't keep data persistently.",
+    "about.persisted": "Storage is persistent: the browser won't clear your data on its own.",
+    "about.bestEffort": "Storage is best-effort: the browser may clear your data when space runs low.",
+    "about.usage": "Using {size}.",
+    "about.declined": "The browser declined. Installing the app or bookmarking it usually helps; export a backup now and then either way.",
+    "about.persist": "Keep data persistently",
+
+    "app.offline": "Offline",
+    "app.offlineHint": "Changes are saved on this device and synced when you're back online",
+    "app.goal": "Goal",
+    "app.dial": "Dial",
+    "app.history": "History",
+
+    "budget.archived": { one: "{count} budget period archived", other: "{count} budget periods archived" },
+    "budget.thisPeriod": "This period",
+    "budget.carriedOver": "Carried over",
+    "budget.spent": "Spent",
+    "budget.perDay": { one: "Per day for {count} day", other: "Per day for {count} days" },
+    "budget.over": "Over budget",
+    "budget.streak": "Streak",
+    "budget.streakValue": { one: "{count} period within budget", other: "{count} periods within budget" },
+    "budget.pastPeriods": "Past periods",
+    "budget.inARow": { other: "{count} in a row within budget" },
+    "budget.carriedOverAmount": "({amount} carried over)",
+    "budget.overBy": "{amount} over",
+    "budget.noEntries": "No entries",
+
+    "common.untitled": "Untitled",
+    "common.amountOf": "{amount} of {target}",
+    "common.undo": "Undo",
+    "common.redo": "Redo",
+    "common.clear": "Clear",
+    "common.download": "Download",
+    "common.discard": "Discard",
+    "common.done": "Done",
+    "common.cancel": "Cancel",
+    "common.save": "Save",
+    "common.delete": "Delete",
+    "common.edit": "Edit",
+    "common.add": "Add",
+
+    "debt.paidOff": "Paid off 🎉",
+    "debt.noPayments": "No payments yet",
+    "debt.notAtPace": "Not at the current pace",
+    "debt.previewPaysOff": "Paying {amount} now: pays it off",
+    "debt.previewNotPaidOff": "Paying {amount} now: still not paid off at the current pace",
+    "debt.previewPaidOffOn": "Paying {amount} now: paid off {date}",
+    "debt.previewSooner": {
+        one: "Paying {amount} now: {count} day sooner, {interest} less interest",
+        other: "Paying {amount} now: {count} days sooner, {interest} less interest",
+    },
+    "debt.interestSoFar": "Interest so far",
+    "debt.perMonth": "Paying per month",
+    "debt.projectedPayoff": "Projected payoff",
+    "debt.totalInterest": "Total interest",
+
+    "dial.budgetLeft": "{left} left of {available}",
+    "dial.debtStatus": "{percent} paid off, {owed} still owed",
+    "dial.progressStatus": "Progress {percent}: {progress} of {target}",
+    "dial.budgetLeftPeriod": "{left} left of {available} this period",
+    "dial.partStatus": "{part} {progress} of {target}",
+    "dial.left": "{amount} left",
+    "dial.owed": "owed · {percent} paid off",
+    "dial.leftOf": "left of {amount}",
+    "dial.showPart": "Show part",
+    "dial.remaining": "Remaining:",
+    "dial.recent": "Recent",
+    "dial.noEntries": "No entries yet",
+    "dial.style.donut": "Donut",
+    "dial.style.gauge": "Half gauge",
+    "dial.style.bar": "Bar",
+
+    "display.title": "Units & steps",
+    "display.showAs": "Show amounts as",
+    "display.kind.plain": "Plain number",
+    "display.kind.currency": "Currency",
+    "display.kind.unit": "Custom unit",
+    "display.currencyCode": "Currency code",
+    "display.unitSymbol": "Unit symbol",
+    "display.unitPlaceholder": "h, km, pages…",
+    "display.decimals": "Decimals",
+    "display.locale": "Locale",
+    "display.localeDefault": "Same as the app language",
+    "display.knobStep": "Knob step",
+    "display.quickSteps": "Quick-step buttons (separated by spaces)",
+    "display.invalidStep": "Not a number: {value}",
+    "display.preview": "Preview: {amount} · buttons {buttons}",
+    "display.dialStyle": "Dial style",
+
+    "entries.title": "Manage Entries",
+    "entries.clearAll": "Clear all",
+    "entries.clearAllConfirm": "Clear all entries?",
+    "entries.clearAllYes": "Clear all",
+    "entries.noPart": "No part",
+    "entries.notAPart": "{label} (not a part)",
+    "entries.invalidAmount": "Enter a valid numeric amount",
+    "entries.invalidDate": "Enter a valid date and time",
+    "entries.amount": "Amount",
+    "entries.amountIn": "Amount ({symbol})",
+    "entries.part": "Part",
+    "entries.labelOptional": "Label (optional)",
+    "entries.dateTime": "Date & time",
+    "entries.noteOptional": "Note (optional)",
+    "entries.totalsLabel": { one: "{label} · {count} entry", other: "{label} · {count} entries" },
+    "entries.search": "Search labels and notes",
+    "entries.type.all": "Deposits & withdrawals",
+    "entries.type.deposits": "Deposits only",
+    "entries.type.withdrawals": "Withdrawals only",
+    "entries.anyLabel": "Any label",
+    "entries.noLabel": "No label",
+    "entries.from": "From",
+    "entries.to": "To",
+    "entries.group": "Group",
+    "entries.groupBy.none": "None",
+    "entries.groupBy.day": "Day",
+    "entries.groupBy.month": "Month",
+    "entries.clearFilters": "Clear filters",
+    "entries.progress": "Progress",
+    "entries.all": "All",
+    "entries.filtered": "Filtered",
+    "entries.selectShown": "Select shown",
+    "entries.selectAll": "Select all",
+    "entries.selected": { other: "{count} selected" },
+    "entries.relabel": "Relabel",
+    "entries.noMatch": "No entries match these filters",
+
+    "forecast.reached": "Target reached 🎉",
+    "forecast.noHistory": "No history yet",
+    "forecast.notAtPace": "Not reached at the current pace",
+    "forecast.projected": "Projected completion",
+    "forecast.neededPer": "Needed per",
+    "forecast.paceUnit": "Pace unit",
+    "forecast.unit.day": "day",
+    "forecast.unit.week": "week",
+    "forecast.unit.month": "month",
+    "forecast.deadlinePassed": "Deadline passed",
+    "forecast.by": "By {date}",
+    "forecast.ahead": "Ahead by {amount}",
+    "forecast.behind": "Behind by {amount}",
+
+    "frequency.day": "Daily",
+    "frequency.week": "Weekly",
+    "frequency.month": "Monthly",
+    "frequency.year": "Yearly",
+
+    "goalType.savings": "Savings",
+    "goalType.budget": "Budget",
+    "goalType.debt": "Debt payoff",
+    "goalType.hint.savings": "Entries count up toward the target.",
+    "goalType.hint.budget": "Entries are spending; the target above is the limit per period. Each period is archived when it ends (see History).",
+    "goalType.hint.debt": "The target above is the balance owed on the start date; entries are payments. Interest accrues on what is still owed.",
+    "goalType.title": "Goal type",
+    "goalType.period": "Period",
+    "goalType.carryOver": "Carry surplus or deficit over",
+    "goalType.apr": "APR (%)",
+    "goalType.compounding": "Compounding",
+    "goalType.startDate": "Balance owed on",
+    "goalType.archived": {
+        one: "{count} archived budget period kept in History.",
+        other: "{count} archived budget periods kept in History.",
+    },
+
+    "goals.title": "Goals",
+    "goals.isOpen": "Open",
+    "goals.open": "Open",
+    "goals.moveUp": "Move up",
+    "goals.moveDown": "Move down",
+    "goals.restore": "Restore",
+    "goals.archive": "Archive",
+    "goals.confirmDelete": "Delete \"{goal}\" and all its entries?",
+    "goals.newName": "New goal name",
+    "goals.add": "Add goal",
+    "goals.firstGoalName": "My goal",
+    "goals.importedName": "Imported goal",
+    "goals.syncedName": "Synced goal",
+    "goals.accentColor": "Accent color {color}",
+    "goals.customColor": "Custom accent color",
+
+    "history.undone": "Undone: {label}",
+    "history.redone": "Redone: {label}",
+    "history.added": "Added {amount}",
+    "history.entryUpdated": "Entry updated",
+    "history.entriesDeleted": { one: "Entry deleted", other: "{count} entries deleted" },
+    "history.entriesRelabeled": { one: "Entry relabeled", other: "{count} entries relabeled" },
+    "history.allCleared": "All entries cleared",
+    "history.goalReset": "Goal reset",
+    "history.empty": "No entries yet — history will appear once you add some.",
+    "history.average": "Avg. contribution",
+    "history.largest": "Largest entry",
+    "history.activeDays": "Active days",
+    "history.overTime": "Progress over time",
+    "history.total": "Total",
+    "history.limit": "Limit",
+    "history.target": "Target",
+    "history.flows": "Contributions & withdrawals",
+    "history.weekly": "Weekly",
+    "history.monthly": "Monthly",
+    "history.contributions": "Contributions",
+    "history.withdrawals": "Withdrawals",
+
+    "knob.add": "Add",
+    "knob.addTo": "Add to {part}",
+    "knob.spend": "Spend",
+    "knob.spendOn": "Spend on {part}",
+    "knob.pay": "Pay",
+    "knob.payToward": "Pay toward {part}",
+    "knob.valueText": "{amount}, {percent} of target",
+    "knob.ofTarget": "{percent} of target",
+    "knob.hint": "Turn, scroll or use the arrow keys to change the amount; tap or press Enter to add it.",
+
+    "language.title": "Language",
+    "language.browser": "Browser default",
+
+    "lock.wrong": "Wrong passphrase.",
+    "lock.unlockFailed": "Couldn't open the data. Try again.",
+    "lock.locked": "{app} is locked",
+    "lock.passphrase": "PIN or passphrase",
+    "lock.unlocking": "Unlocking…",
+    "lock.unlock": "Unlock",
+    "lock.forgot": "Forgot it? The data can't be recovered without it; clearing this site's data in the browser settings starts over from scratch.",
+    "lock.never": "Never",
+    "lock.afterHours": { one: "After {count} hour without use", other: "After {count} hours without use" },
+    "lock.afterMinutes": { one: "After {count} minute without use", other: "After {count} minutes without use" },
+    "lock.newPassphrase": "New PIN or passphrase",
+    "lock.repeat": "Repeat it",
+    "lock.tooShort": { one: "At least {count} character.", other: "At least {count} characters." },
+    "lock.mismatch": "The two don't match.",
+    "lock.weak": "A short PIN is quick to guess for anyone who gets a copy of the data; a longer passphrase is safer.",
+    "lock.currentPassphrase": "Current PIN or passphrase",
+    "lock.title": "App lock",
+    "lock.unsupported": "Not available here: encryption needs the app to be opened over https.",
+    "lock.on": "On: your data is encrypted on this device and needs the PIN or passphrase to open.",
+    "lock.intro": "Encrypt your data on this device and ask for a PIN or passphrase to open the app.",
+    "lock.autoLock": "Lock automatically",
+    "lock.now": "Lock now",
+    "lock.changePassphrase": "Change passphrase",
+    "lock.turnOff": "Turn off",
+    "lock.turnOnLock": "Turn on app lock",
+    "lock.warning": "If you forget it, the data can't be recovered. Export a backup first.",
+    "lock.encrypting": "Encrypting…",
+    "lock.turnOn": "Turn on",
+    "lock.change": "Change",
+    "lock.decrypting": "Decrypting…",
+    "lock.turnOffAndDecrypt": "Turn off and decrypt",
+
+    "main.storageError": "{app} can't open its storage",
+
+    "milestones.reachedTitle": "{goal}: {milestones} reached",
+    "milestones.title": "Milestones",
+    "milestones.reachedOn": "Reached {date}",
+    "milestones.toGo": "{amount} to go",
+    "milestones.none": "No milestones. Add some to get a celebration when an entry crosses one.",
+    "milestones.addDefaults": "Add {list}",
+    "milestones.notYet": "Not yet",
+    "milestones.delete": "Delete milestone {milestone}",
+    "milestones.percentPlaceholder": "e.g. 50",
+    "milestones.milestone": "Milestone",
+    "milestones.kind": "Milestone kind",
+    "milestones.percentOfTarget": "% of target",
+    "milestones.notify": "Also show a notification when a milestone is reached",
+    "milestones.notifyBlocked": "(blocked in the browser's site settings)",
+
+    "parts.unassigned": "Unassigned",
+    "parts.targetFor": "Target for {part}",
+    "parts.nameTaken": "There is already a part called \"{part}\"",
+    "parts.confirmDelete": "Delete part \"{part}\"? Its entries stay, unassigned.",
+    "parts.title": "Parts",
+    "parts.empty": "No parts. Split the goal into parts to get one dial segment each.",
+    "parts.total": "Parts add up to {amount} of {target}",
+    "parts.totalOver": "Parts add up to {amount} of {target} — more than the goal target",
+    "parts.name": "Part name",
+    "parts.target": "Target",
+    "parts.add": "Add part",
+
+    "quickAdd.title": "Add this entry?",
+    "quickAdd.unknownGoal": "No goal called “{goal}”; pick one below.",
+    "quickAdd.partOrLabel": "Part or label",
+    "quickAdd.note": "Note",
+    "quickAdd.enterAmount": "Enter an amount",
+
+    "recovery.confirmDiscard": "Discard recovered data? This can't be undone.",
+    "recovery.notice": {
+        one: "{count} damaged record was set aside while upgrading storage.",
+        other: "{count} damaged records were set aside while upgrading storage.",
+    },
+
+    "recurring.added": { one: "{count} scheduled entry added", other: "{count} scheduled entries added" },
+    "recurring.kept": "Scheduled entry kept",
+    "recurring.skipped": "Scheduled entry skipped",
+    "recurring.allKept": "Scheduled entries kept",
+    "recurring.autoBadge": "auto",
+    "recurring.review": "Scheduled entries to review",
+    "recurring.keepAll": "Keep all",
+    "recurring.keep": "Keep",
+    "recurring.skip": "Skip",
+    "recurring.error.amount": "Enter a non-zero amount",
+    "recurring.error.start": "Pick a start date",
+    "recurring.error.end": "The end date must be after the start date",
+    "recurring.confirmDelete": "Delete this recurring rule? Entries it already added are kept.",
+    "recurring.title": "Recurring contributions",
+    "recurring.none": "No recurring rules",
+    "recurring.everyN": "(every {count})",
+    "recurring.next": "next {date}",
+    "recurring.ended": "ended",
+    "recurring.label": "Label",
+    "recurring.repeats": "Repeats",
+    "recurring.every": "Every",
+    "recurring.start": "Start",
+    "recurring.endOptional": "End (optional)",
+    "recurring.add": "Add recurring rule",
+
+    "settings.targetSum": "Target sum",
+    "settings.limitPerWeek": "Limit per week",
+    "settings.limitPerMonth": "Limit per month",
+    "settings.startingBalance": "Starting balance",
+    "settings.title": "Settings",
+    "settings.reset": "Reset",
+    "settings.deadline": "Deadline (optional)",
+    "settings.savedLocally": "All settings saved locally.",
+
+    "sync.unreachable": "Can't reach the server; changes are kept and sent once it's back.",
+    "sync.error.rejected": "The server rejected the token",
+    "sync.error.status": "The server replied {status}",
+    "sync.title": "Sync",
+    "sync.intro": "Keep goals in step across devices through your own server (see {file}).",
+    "sync.url": "Server URL",
+    "sync.token": "Token",
+    "sync.saveAndSync": "Save & sync",
+    "sync.turnOn": "Turn on sync",
+    "sync.syncing": "Syncing…",
+    "sync.now": "Sync now",
+    "sync.turnOff": "Turn off",
+    "sync.lastSynced": "Last synced {date}",
+    "sync.notYet": "Not synced yet",
+    "sync.pending": { one: "{count} change waiting", other: "{count} changes waiting" },
+
+    "theme.title": "Theme",
+    "theme.system": "System",
+    "theme.light": "Light",
+    "theme.dark": "Dark",
+
+    "transfer.imported": { one: "Imported {count} entry", other: "Imported {count} entries" },
+    "transfer.backupImported": "Backup imported",
+    "transfer.error.empty": "File is empty",
+    "transfer.error.invalidAmount": "Invalid amount \"{value}\"",
+    "transfer.error.invalidDate": "Invalid date \"{value}\"",
+    "transfer.error.invalidJson": "Not valid JSON: {detail}",
+    "transfer.error.notBackup": "Not a Pocket Progress backup",
+    "transfer.error.invalidEntry": "Goal \"{goal}\": entry {index} is invalid",
+    "transfer.title": "Import & export",
+    "transfer.exportCsv": "Export CSV",
+    "transfer.backupJson": "Backup JSON",
+    "transfer.importFile": "Import…",
+    "transfer.hint": "CSV covers “{goal}”; the JSON backup includes every goal and its target.",
+    "transfer.goalEntries": { one: "{goal}: {count} entry", other: "{goal}: {count} entries" },
+    "transfer.newGoalEntries": { one: "{goal}: {count} entry (new goal)", other: "{goal}: {count} entries (new goal)" },
+    "transfer.willAdd": {
+        zero: "No entries will be added.",
+        one: "{count} entry will be added.",
+        other: "{count} entries will be added.",
+    },
+    "transfer.duplicatesSkipped": { one: "{count} duplicate is skipped.", other: "{count} duplicates are skipped." },
+    "transfer.replacingEntries": "All entries in “{goal}” are replaced.",
+    "transfer.replacingGoals": "All goals are replaced.",
+    "transfer.line": "Line {line}: ",
+    "transfer.merge": "Merge",
+    "transfer.replace": "Replace",
+    "transfer.import": "Import",
+
+    "update.available": "A new version is available",
+    "update.offlineReady": "Ready to work offline",
+    "update.reload": "Reload",
+    "update.later": "Later",
+    "update.ok": "OK",
+};
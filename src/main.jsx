@@ -1,9 +1,82 @@
 import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
+import LockScreen from './components/LockScreen.jsx'
+import './index.css'
+import { loadLanguage, loadLockSettings, loadState, loadTheme, lockStorage, openStorage, unlockStorage } from './lib/storage.js'
+import { requestPersistence } from './lib/deviceStorage.js'
+import { I18nContext, applyDocumentLanguage, makeTranslator } from './lib/i18n.js'
+import { applyTheme } from './lib/theme.js'
 
-createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-)
+const root = createRoot(document.getElementById('root'))
+
+// Until the stored preference is read, follow the browser; the app takes over once it renders
+let t = makeTranslator('')
+
+function renderError(err) {
+  console.error('Failed loading storage', err)
+  root.render(
+    <div style={{ padding: 24, fontFamily: 'system-ui, sans-serif' }}>
+      <h1>{t('main.storageError', { app: 'Pocket Progress' })}</h1>
+      <p>{String(err && err.message ? err.message : err)}</p>
+    </div>
+  )
+}
+
+// Goals the app couldn't save because another tab locked it ({ base, goals }), kept until unlocked
+let unsaved = null
+
+function renderApp() {
+  return loadState(t('goals.firstGoalName')).then((state) => {
+    root.render(
+      <React.StrictMode>
+        <App initialState={{ ...state, unsaved }} onLock={lock} />
+      </React.StrictMode>
+    )
+    unsaved = null
+  })
+}
+
+// With the app lock on, nothing is read until the passphrase unlocks the data key
+function renderLockScreen() {
+  root.render(
+    <React.StrictMode>
+      <I18nContext.Provider value={t}>
+        <LockScreen
+          onUnlock={(passphrase) =>
+            unlockStorage(passphrase).then((ok) => (ok ? renderApp().then(() => true) : false))
+          }
+        />
+      </I18nContext.Provider>
+    </React.StrictMode>
+  )
+}
+
+function lock(pending) {
+  if (pending) unsaved = pending
+  lockStorage()
+  // The language may have changed since the app started
+  loadLanguage()
+    .then((language) => {
+      t = makeTranslator(language)
+    })
+    .catch((err) => console.error('Failed loading the language', err))
+    .then(renderLockScreen)
+}
+
+// Language and theme live outside the encrypted data, so the lock screen follows them too. Data
+// from before the language setting existed is migrated first, naming its goal in the browser's language.
+openStorage(t('goals.firstGoalName'))
+  .then(() => Promise.all([loadLanguage(), loadTheme()]))
+  .then(([language, theme]) => {
+    t = makeTranslator(language)
+    applyDocumentLanguage(t)
+    applyTheme(theme)
+  })
+  .then(loadLockSettings)
+  .then((lockSettings) => (lockSettings ? renderLockScreen() : renderApp()))
+  .then(() => {
+    // Ask the browser not to evict the data; the result is shown in Settings → About
+    requestPersistence().catch((err) => console.error('Failed requesting persistent storage', err))
+  })
+  .catch(renderError)
@@ -0,0 +1,64 @@
+import colors from 'tailwindcss/colors'
+import plugin from 'tailwindcss/plugin'
+
+/*
+  Light and dark themes without a dark: variant on every class: the shades below are CSS variables
+  that take the default palette in the light theme and a mirrored shade in the dark one (gray-50
+  page → gray-950, text-gray-900 → gray-50, bg-red-100 → red-900 …; light grays step one shade
+  further so buttons stand out from the gray-900 surface). Shades not listed, like the blue-600 of
+  the primary buttons, look the same in both. `surface` is the card and dialog background. The dark
+  theme applies with the "dark" class on <html>, or with the system setting unless the "light"
+  class is there (lib/theme.js).
+*/
+const DARK_SHADES = {
+  gray: { 50: 950, 100: 800, 200: 700, 300: 600, 400: 500, 500: 400, 600: 300, 700: 200, 800: 100, 900: 50, 950: 50 },
+  red: { 50: 950, 100: 900, 600: 400, 700: 300, 800: 200 },
+  amber: { 50: 950, 100: 900, 600: 400, 700: 300, 800: 200 },
+  green: { 50: 950, 100: 900, 600: 400, 700: 300, 800: 200 },
+  blue: { 50: 950, 100: 900, 300: 700, 700: 300, 800: 200 }
+}
+
+function channels(hex) {
+  const digits = hex.length === 4 ? hex.slice(1).replace(/./g, '$&$&') : hex.slice(1)
+  const n = parseInt(digits, 16)
+  return `${(n >> 16) & 255} ${(n >> 8) & 255} ${n & 255}`
+}
+
+function variables(theme) {
+  const vars = { '--surface': channels(theme === 'dark' ? colors.gray[900] : colors.white) }
+  for (const [name, shades] of Object.entries(DARK_SHADES)) {
+    for (const [shade, dark] of Object.entries(shades)) {
+      vars[`--${name}-${shade}`] = channels(colors[name][theme === 'dark' ? dark : shade])
+    }
+  }
+  return vars
+}
+
+const themedColors = { surface: 'rgb(var(--surface) / <alpha-value>)' }
+for (const [name, shades] of Object.entries(DARK_SHADES)) {
+  themedColors[name] = {}
+  for (const shade of Object.keys(shades)) {
+    themedColors[name][shade] = `rgb(var(--${name}-${shade}) / <alpha-value>)`
+  }
+}
+
+/** @type {import('tailwindcss').Config} */
+export default {
+  content: ['./index.html', './src/**/*.{js,jsx}'],
+  theme: {
+    extend: {
+      colors: themedColors
+    }
+  },
+  plugins: [
+    plugin(({ addBase }) => {
+      addBase({
+        ':root': { ...variables('light'), colorScheme: 'light' },
+        ':root.dark': { ...variables('dark'), colorScheme: 'dark' },
+        '@media (prefers-color-scheme: dark)': {
+          ':root:not(.light)': { ...variables('dark'), colorScheme: 'dark' }
+        }
+      })
+    })
+  ]
+}
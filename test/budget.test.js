@@ -0,0 +1,48 @@
+/* budget.test.js
+  Turning budget mode on for a goal that already has entries.
+*/
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { budgetStatus, budgetStreak, startBudget } from "../src/lib/budget.js";
+import { createGoal } from "../src/lib/goals.js";
+
+const entry = (id, date, amount) => ({ id, date: new Date(date).toISOString(), amount });
+
+test("earlier entries are filed into closed periods instead of the open one", () => {
+    const now = new Date(2024, 2, 15);
+    const goal = createGoal({
+        targetSum: 500,
+        entries: [
+            entry("mar", new Date(2024, 2, 10), 100),
+            entry("feb", new Date(2024, 1, 20), 300),
+            entry("jan", new Date(2024, 0, 5), 900),
+        ],
+    });
+    const budget = { ...goal, ...startBudget(goal, "month", now) };
+
+    assert.equal(budget.budget.currentStart, "2024-03-01");
+    assert.deepEqual(
+        budget.entries.map((e) => e.id),
+        ["mar"]
+    );
+    assert.deepEqual(
+        budget.periods.map((p) => [p.start, p.spent, p.entries.map((e) => e.id)]),
+        [
+            ["2024-01-01", 900, ["jan"]],
+            ["2024-02-01", 300, ["feb"]],
+        ]
+    );
+    const status = budgetStatus(budget, now);
+    assert.equal(status.spent, 100);
+    assert.equal(status.overspent, false);
+    assert.equal(budgetStreak(budget), 1);
+});
+
+test("a goal without earlier entries starts with no closed periods", () => {
+    const now = new Date(2024, 2, 15);
+    const goal = createGoal({ entries: [entry("mar", new Date(2024, 2, 12), 50)] });
+    const started = startBudget(goal, "week", now);
+    assert.equal(started.budget.currentStart, "2024-03-11");
+    assert.deepEqual(started.periods, []);
+    assert.equal(started.entries, goal.entries);
+});
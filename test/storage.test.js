@@ -0,0 +1,62 @@
+/* storage.test.js
+  Saving a long ledger against fake-indexeddb: a change writes only the entry records it touched,
+  also when another tab wrote in between and the save goes through the merge.
+  Each tab is its own instance of storage.js, loaded with a different query string.
+*/
+import "fake-indexeddb/auto";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { prependEntries } from "../src/lib/goals.js";
+
+const openTab = (name) => import(`../src/lib/storage.js?tab=${name}`);
+
+// Count the records put into each store while `task` runs
+async function countPuts(task) {
+    const counts = {};
+    const put = IDBObjectStore.prototype.put;
+    IDBObjectStore.prototype.put = function (...args) {
+        counts[this.name] = (counts[this.name] || 0) + 1;
+        return put.apply(this, args);
+    };
+    try {
+        await task();
+    } finally {
+        IDBObjectStore.prototype.put = put;
+    }
+    return counts;
+}
+
+function entry(id, day) {
+    return { id, amount: 10, date: new Date(Date.UTC(2024, 0, 1) + day * 86400000).toISOString() };
+}
+
+test("an entry added while another tab also added one is the only entry written", async () => {
+    const first = await openTab("first");
+    const second = await openTab("second");
+
+    const { goals: initial } = await first.loadState("Goal");
+    const ledger = Array.from({ length: 1000 }, (_, i) => entry(`old-${i}`, 1000 - i));
+    const seeded = [{ ...initial[0], entries: ledger }];
+    const { goals: stored } = await first.saveGoals(seeded, initial);
+
+    const { goals: base } = await second.loadState("Goal");
+    const [goal] = stored;
+    await first.saveGoals([{ ...goal, entries: prependEntries(goal.entries, [entry("first-tab", 1001)]) }], stored);
+
+    const local = [{ ...base[0], entries: prependEntries(base[0].entries, [entry("second-tab", 1002)]) }];
+    let saved;
+    const counts = await countPuts(async () => {
+        ({ goals: saved } = await second.saveGoals(local, base));
+    });
+
+    assert.equal(counts.entries, 1);
+    assert.deepEqual(
+        saved[0].entries.slice(0, 3).map((e) => e.id),
+        ["second-tab", "first-tab", "old-0"]
+    );
+    const { goals: reloaded } = await first.loadState("Goal");
+    assert.deepEqual(
+        reloaded[0].entries.map((e) => e.id),
+        saved[0].entries.map((e) => e.id)
+    );
+});
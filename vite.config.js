@@ -1,15 +1,24 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import { VitePWA } from 'vite-plugin-pwa'
+import { readFileSync } from 'node:fs'
+
+const pkg = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'))
 
 // If deploying to GitHub Pages at https://<user>.github.io/<repo>,
 // set base to '/<repo>/' below. For root domains, leave as '/'.
 export default defineConfig({
   base: '/Progress-Dial-PWA',
+  // Shown in Settings → About
+  define: {
+    __APP_VERSION__: JSON.stringify(pkg.version),
+    __BUILD_DATE__: JSON.stringify(new Date().toISOString())
+  },
   plugins: [
     react(),
     VitePWA({
-      registerType: 'autoUpdate',
+      // A new version waits for the user to reload (src/components/UpdatePrompt.jsx)
+      registerType: 'prompt',
       includeAssets: ['icons/icon-192.png', 'icons/icon-512.png', 'icons/maskable-512.png'],
       manifest: {
         name: 'Pocket Progress',
@@ -24,7 +33,28 @@ export default defineConfig({
           { src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' },
           { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png' },
           { src: 'icons/maskable-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' }
-        ]
+        ],
+        // Long-press menu on the home-screen icon; the app asks before adding (src/lib/quickAdd.js)
+        shortcuts: [
+          {
+            name: 'Add 1,000',
+            short_name: '+1k',
+            url: '/Progress-Dial-PWA/?add=1000',
+            icons: [{ src: 'icons/favicon-96x96.png', sizes: '96x96', type: 'image/png' }]
+          },
+          {
+            name: 'Add 10,000',
+            short_name: '+10k',
+            url: '/Progress-Dial-PWA/?add=10000',
+            icons: [{ src: 'icons/favicon-96x96.png', sizes: '96x96', type: 'image/png' }]
+          }
+        ],
+        // Text shared from another app prefills amount and label
+        share_target: {
+          action: '/Progress-Dial-PWA/',
+          method: 'GET',
+          params: { title: 'title', text: 'text', url: 'url' }
+        }
       }
     })
   ]